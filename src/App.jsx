@@ -1,14 +1,14 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip } from "recharts";
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, ComposedChart, Area, Line, LineChart, Legend } from "recharts";
+import { DATASETS, PREDICATE_OPS, DEFAULT_WORKLOAD, KEY_DISTRIBUTIONS, MERGE_MODES, CLEANER_POLICIES, CLEANER_POLICY_PARAMS, COMPACTION_STRATEGIES, COMPACTION_TRIGGERS, COMPACTION_EXECUTIONS, INDEX_TYPES, INDEX_SCOPES, bytesOf, createTable, applyAction, readTable, instantToDate, partitionPathsOf, latestSlice, baseFilesOf, logFilesOf, failedWritesOf, WRITE_TYPES, uncommittedInstantsOf, fileGroupView, savepointsOf, timeTravelError, createComparison, applyToPair, compareTables, generateWorkload, TABLE_TYPES, KEY_GENERATORS, TABLE_VERSIONS, DEFAULT_INDEX, DEFAULT_CLEANER, renderProperties, FIELD_GENERATORS, PARTITION_TRANSFORMS, DEFAULT_SCHEMA, fieldTypeOf, canOrderBy, partitionColumnOf, datasetFromSchema, detectFormat, parseRecords, mapColumns, checkRecords, zipTable, isTimelinePath, filesFromZip, loadTable, serializeSession, parseSession, encodeScenario, openScenarioLink, withStep, actionStep, customMergeCodeOf, tableDatasetOf, UNSEEDED_RUN, seededRun, advanceRun, createSource } from "./engine/index.js";
 
 /**
  * Hudi Processing Visualizer (enhanced)
- * - Adds realistic example datasets (NYC Taxi, Retail Orders, GitHub Events)
- * - Adds storage types: Merge-on-Read (MoR) vs Copy-on-Write (CoW)
- * - Adds a Timeline with Hudi instants (REQUESTED/INFLIGHT/COMPLETED) for commit, deltacommit, compaction, and clean
+ * - Adds storage types: Merge-on-Read (MoR) vs Copy-on-Write (CoW), and a side-by-side comparison of both fed the same actions
+ * - Adds a Timeline with Hudi instants (REQUESTED/INFLIGHT/COMPLETED) for commit, deltacommit, compaction, replacecommit, clean, rollback, savepoint and restore
  * - Read simulator supports Snapshot/Incremental and time-travel "as of instant"
- * - Single-file React component (Tailwind + recharts + framer-motion)
+ * - React UI (Tailwind + recharts + framer-motion) rendering the headless table engine in ./engine
  *
  * UPDATE (UX):
  * 1) All left-panel buttons now provide visual feedback on click (press animation + brief ring flash).
@@ -16,123 +16,6 @@ import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip } from "recha
  * 3) Timeline list highlights the selected instant.
  */
 
-/***********************************\
- |* Helpers & Data Generators       *|
- \***********************************/
-
-const rand = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-const pad2 = (n) => (n < 10 ? `0${n}` : `${n}`);
-const dateStr = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
-const timeStr = (d) => `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
-
-const makeInstantTime = () => {
-    // Hudi instants are often timestamp-based (yyyyMMddHHmmssSSS)
-    const d = new Date();
-    const SSS = `${d.getMilliseconds()}`.padStart(3, "0");
-    return (
-            `${d.getFullYear()}` +
-            pad2(d.getMonth() + 1) +
-            pad2(d.getDate()) +
-            pad2(d.getHours()) +
-            pad2(d.getMinutes()) +
-            pad2(d.getSeconds()) +
-            SSS
-    );
-};
-
-// Convert Hudi instantTime (yyyyMMddHHmmssSSS) to a Date
-const instantToDate = (instant) => {
-    if (!instant) return null;
-    try {
-        const yyyy = parseInt(instant.slice(0, 4), 10);
-        const MM = parseInt(instant.slice(4, 6), 10) - 1;
-        const dd = parseInt(instant.slice(6, 8), 10);
-        const hh = parseInt(instant.slice(8, 10), 10);
-        const mm = parseInt(instant.slice(10, 12), 10);
-        const ss = parseInt(instant.slice(12, 14), 10);
-        const SSS = parseInt(instant.slice(14, 17) || "0", 10);
-        return new Date(yyyy, MM, dd, hh, mm, ss, SSS);
-    } catch (e) {
-        return null;
-    }
-};
-
-// Example datasets
-const DATASETS = {
-    nycTaxi: {
-        name: "NYC Taxi Trips",
-        key: "trip_id",
-        partitionBy: (r) => `dt=${r.pickup_date}`,
-        generate: (n) => {
-            const rows = [];
-            for (let i = 0; i < n; i++) {
-                const d = new Date(Date.now() - rand(0, 7) * 24 * 3600 * 1000);
-                rows.push({
-                    trip_id: `t${Date.now()}_${i}_${rand(1000, 9999)}`,
-                    pickup_datetime: `${dateStr(d)} ${timeStr(d)}`,
-                    pickup_date: dateStr(d),
-                    passenger_count: rand(1, 5),
-                    total_amount: Number((Math.random() * 80 + 3).toFixed(2)),
-                    vendor_id: ["CMT", "VTS"][rand(0, 1)],
-                });
-            }
-            return rows;
-        },
-    },
-    retail: {
-        name: "Retail Orders",
-        key: "order_id",
-        partitionBy: (r) => `region=${r.region}`,
-        generate: (n) => {
-            const regions = ["US-EAST", "US-WEST", "EU", "APAC"];
-            const status = ["PENDING", "PAID", "SHIPPED", "CANCELLED"];
-            const rows = [];
-            for (let i = 0; i < n; i++) {
-                rows.push({
-                    order_id: `o${Date.now()}_${i}_${rand(1000, 9999)}`,
-                    customer_id: `c${rand(1, 5000)}`,
-                    order_ts: new Date().toISOString(),
-                    amount: Number((Math.random() * 500 + 5).toFixed(2)),
-                    status: status[rand(0, status.length - 1)],
-                    region: regions[rand(0, regions.length - 1)],
-                });
-            }
-            return rows;
-        },
-    },
-    ghEvents: {
-        name: "GitHub Events",
-        key: "event_id",
-        partitionBy: (r) => `dt=${r.date}`,
-        generate: (n) => {
-            const types = ["PushEvent", "PullRequestEvent", "IssueCommentEvent", "WatchEvent"];
-            const repos = ["apache/hudi", "vercel/next.js", "facebook/react", "pallets/flask", "numpy/numpy"];
-            const rows = [];
-            for (let i = 0; i < n; i++) {
-                const d = new Date(Date.now() - rand(0, 3) * 24 * 3600 * 1000);
-                rows.push({
-                    event_id: `e${Date.now()}_${i}_${rand(1000, 9999)}`,
-                    repo: repos[rand(0, repos.length - 1)],
-                    type: types[rand(0, types.length - 1)],
-                    actor: `user${rand(1, 2000)}`,
-                    date: dateStr(d),
-                    created_at: new Date().toISOString(),
-                });
-            }
-            return rows;
-        },
-    },
-};
-
-// FileGroup structure (simplified): { id, partition, baseFiles: [{id, version, rows, ts, instantTime}], deltaFiles: [{id, version, rows, ts, instantTime}] }
-let fileGroupCounter = 1;
-const makeFileGroup = (partition = "default") => ({
-    id: `fg-${fileGroupCounter++}`,
-    partition,
-    baseFiles: [],
-    deltaFiles: [],
-});
-
 /***********************************\
  |* Reusable UI: Standard Button   *|
  \***********************************/
@@ -160,29 +43,264 @@ function ClickyButton({ className = "", children, onClick, disabled, title, full
     );
 }
 
+// Custom dataset schemas live in the browser's localStorage
+const SCHEMAS_STORAGE_KEY = "hudi-visualizer.schemas";
+const loadSchemas = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(SCHEMAS_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Sessions live in the browser's IndexedDB: store `autosave` keeps the latest session under one key, store `snapshots`
+// the named ones ({ name, savedAt, data }); `data` is always a serialized session (see engine/session.js)
+const SESSION_DB = "hudi-visualizer";
+const AUTOSAVE_KEY = "latest";
+const AUTOSAVE_DELAY_MS = 2000;
+// A shared link carries its scenario in the URL hash
+const SCENARIO_HASH = "#scenario=";
+
+const openSessionDb = () =>
+        new Promise((resolve, reject) => {
+            const req = window.indexedDB.open(SESSION_DB, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore("autosave");
+                req.result.createObjectStore("snapshots", { keyPath: "name" });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+
+// Run one request against a store; resolves with its result once the transaction completes
+const sessionStore = async (store, mode, request) => {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(store, mode);
+        const req = request(tx.objectStore(store));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(req.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    });
+};
+
+const saveAutosave = (data) => sessionStore("autosave", "readwrite", (store) => store.put(data, AUTOSAVE_KEY));
+const loadAutosave = () => sessionStore("autosave", "readonly", (store) => store.get(AUTOSAVE_KEY));
+const readAutosave = async () => {
+    const data = await loadAutosave();
+    return data ? parseSession(data) : null;
+};
+const listSnapshots = () => sessionStore("snapshots", "readonly", (store) => store.getAll());
+const putSnapshot = (name, data) => sessionStore("snapshots", "readwrite", (store) => store.put({ name, savedAt: new Date().toISOString(), data }));
+const removeSnapshot = (name) => sessionStore("snapshots", "readwrite", (store) => store.delete(name));
+
+// Whether a session holds work that opening another one would throw away
+const hasWork = (session) => Boolean(session) && (session.table.timeline.length > 0 || (session.twin?.timeline.length ?? 0) > 0 || session.ingestBuffer.length > 0);
+
+// Opening a snapshot, a session file, a link or a table replaces the current session (and, with the next autosave,
+// its saved copy); a session from a file or a link may also bring CUSTOM merge code, which compileCustomMerge runs as
+// JavaScript in this page. Either needs a yes first; returns false when declined.
+const confirmOpen = (what, { replaces, customCode = [] }) => {
+    if (!replaces && customCode.length === 0) return true;
+    const parts = [`Open ${what}?`];
+    if (replaces) parts.push("It replaces the current session. Save a snapshot or export the session first to keep it.");
+    if (customCode.length > 0) parts.push("It uses this CUSTOM merge code, which runs as JavaScript in this page. Only continue if you trust where it came from:", ...customCode);
+    return window.confirm(parts.join("\n\n"));
+};
+
+const download = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+const downloadJson = (filename, data) => download(filename, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+
+// Table config keyed on a dataset's own fields: its key, partition field and ordering field
+const tableConfigFor = (dataset) => ({
+    name: dataset.name.toLowerCase().replace(/[^a-z0-9]+/g, "_"),
+    recordKeyField: dataset.key,
+    partitionPathField: dataset.partitionField,
+    precombineField: dataset.orderingField || "",
+    keyGenerator: "SIMPLE",
+    hiveStylePartitioning: true,
+    version: 6,
+});
+
+const INITIAL_TABLE = { storage: "mor", config: tableConfigFor(DATASETS.nycTaxi) };
+
 /***********************************\
  |* Top-level Component             *|
  \***********************************/
 export default function HudiVisualizer() {
     // simulation state
     const [datasetKey, setDatasetKey] = useState("nycTaxi");
-    const dataset = DATASETS[datasetKey];
+    // Custom datasets: schemas built in the schema editor, saved in the browser (keys `custom:<id>`)
+    const [schemas, setSchemas] = useState(loadSchemas);
+    const [editingSchemas, setEditingSchemas] = useState(false);
+    useEffect(() => window.localStorage.setItem(SCHEMAS_STORAGE_KEY, JSON.stringify(schemas)), [schemas]);
+    const customDatasets = useMemo(
+            () =>
+                    Object.fromEntries(
+                            schemas.flatMap((schema) => {
+                                try {
+                                    return [[`custom:${schema.id}`, datasetFromSchema(schema)]];
+                                } catch (e) {
+                                    return []; // a saved schema that no longer validates is left out
+                                }
+                            })
+                    ),
+            [schemas]
+    );
+    const dataset = DATASETS[datasetKey] || customDatasets[datasetKey] || DATASETS.nycTaxi;
+
+    // Table state lives in the headless engine; the UI only dispatches actions and renders the result
+    const [table, setTable] = useState(() => createTable(INITIAL_TABLE));
+    const { storage, fileGroups, timeline } = table;
+    // Seeded runs (see util.js): every engine call that draws random values or reads the clock gets a source over the
+    // current run, and the run moves on to where that source left off. `runRef` holds the latest run between renders.
+    const [run, setRun] = useState(UNSEEDED_RUN);
+    const runRef = useRef(run);
+    const updateRun = (next) => {
+        runRef.current = next;
+        setRun(next);
+    };
+    const withSource = (work) => {
+        const source = createSource(runRef.current);
+        try {
+            return work(source);
+        } finally {
+            updateRun(source.state());
+        }
+    };
+    // How the tables came about, for scenario links (see session.js): changes to the tables, the ingest buffer and the
+    // run are recorded as steps; creating or loading a table starts over from it. Steps adding records pass where the
+    // session stands after them, for a history that outgrows HISTORY_ROWS_LIMIT to start over from.
+    const [history, setHistory] = useState(() => ({ start: { options: INITIAL_TABLE, comparison: false, run: UNSEEDED_RUN, ingestBuffer: [] }, steps: [] }));
+    const record = (step, current) => setHistory((h) => withStep(h, step, current));
+    const restartHistory = (start) => setHistory({ start, steps: [] });
+    // Invalid actions throw inside the engine; the table stays as it was and the error is shown.
+    // Returns the instants the action created (none on error).
+    const [engineError, setEngineError] = useState(null);
+    // Comparison mode: `twin` is a Copy-on-Write table fed every action alongside `table` (then the Merge-on-Read side).
+    // An action only one side rejects (e.g. compaction on CoW) still applies to the other; its error is shown.
+    const [twin, setTwin] = useState(null);
+    const dispatch = (action) => {
+        record(actionStep(action, datasetKey));
+        try {
+            if (twin) {
+                const { pair, results } = withSource((source) => applyToPair({ mor: table, cow: twin }, action, source));
+                setTable(pair.mor);
+                setTwin(pair.cow);
+                const errors = ["mor", "cow"].filter((side) => results[side].error).map((side) => `${side === "mor" ? "MoR" : "CoW"}: ${results[side].error}`);
+                setEngineError(errors.length > 0 ? errors.join(" • ") : null);
+                return results.mor.instants || [];
+            }
+            const { table: next, instants } = withSource((source) => applyAction(table, action, source));
+            setTable(next);
+            setEngineError(null);
+            return instants;
+        } catch (e) {
+            setEngineError(e.message);
+            return [];
+        }
+    };
+
+    // Table type, key fields, key generator and version are fixed when a table is created (see the create dialog);
+    // afterwards only a migration changes the type or version
+    const [creating, setCreating] = useState(false);
+    const [showProperties, setShowProperties] = useState(false);
+    const resetView = () => {
+        setSelectedInstant(null);
+        setSelectedEntity(null);
+        setEngineError(null);
+    };
+    // Creating throws on an invalid config; the dialog shows the error and stays open
+    const createNewTable = (options, buffered = ingestBuffer) => {
+        restartHistory({ options, comparison: Boolean(twin), run: runRef.current, ingestBuffer: buffered });
+        if (twin) {
+            const { mor, cow } = withSource((source) => createComparison(options, source));
+            setTable(mor);
+            setTwin(cow);
+        } else {
+            setTable(withSource((source) => createTable(options, source)));
+        }
+        setCreating(false);
+        resetView();
+    };
+    const migrate = (patch) => dispatch({ type: "migrate", ...patch });
+
+    // Starting a seeded run empties the table, keeping its settings, so the same seed and the same actions rebuild the
+    // same table. Auto ingest goes off, as its ticks follow the wall clock.
+    const startRun = (seed) => {
+        updateRun(seededRun(seed));
+        setAutoIngest(false);
+        setIngestBuffer([]);
+        createNewTable({ storage: table.storage, config: table.config, merge: table.merge, index: table.index, fileSizing: table.fileSizing, cleaner: table.cleaner, compaction: table.compaction, clustering: table.clustering }, []);
+    };
+    const stopRun = () => {
+        updateRun(UNSEEDED_RUN);
+        record({ type: "stopRun" });
+    };
+    const advance = (ms) => {
+        updateRun(advanceRun(runRef.current, ms));
+        record({ type: "advance", ms });
+    };
+    // A table rebuilt from a .hoodie folder replaces the simulation (and ends comparison mode); false when declined
+    const loadExisting = (loaded, name) => {
+        if (!confirmOpen(`the table ${name}`, { replaces: hasWork(sessionRef.current) })) return false;
+        restartHistory({ table: loaded, twin: null, run: runRef.current, ingestBuffer: [] });
+        setTwin(null);
+        setTable(loaded);
+        setIngestBuffer([]);
+        resetView();
+        return true;
+    };
+
+    // Comparing starts two empty tables with the current table's config; leaving it keeps the MoR side
+    const toggleComparison = () => {
+        if (twin) {
+            setTwin(null);
+            record({ type: "leaveComparison" });
+        } else {
+            const options = { config: table.config, merge: table.merge, index: table.index, fileSizing: table.fileSizing, cleaner: table.cleaner, compaction: table.compaction, clustering: table.clustering };
+            restartHistory({ options, comparison: true, run: runRef.current, ingestBuffer });
+            const { mor, cow } = withSource((source) => createComparison(options, source));
+            setTable(mor);
+            setTwin(cow);
+        }
+        resetView();
+    };
 
-    const [storage, setStorage] = useState("mor"); // 'mor' | 'cow'
-    const [fileGroups, setFileGroups] = useState([makeFileGroup("p0"), makeFileGroup("p1")]);
     const [ingestBuffer, setIngestBuffer] = useState([]);
     const [autoIngest, setAutoIngest] = useState(true);
     const [ingestRate, setIngestRate] = useState(2); // records per tick
 
-    // Hudi timeline (instants)
+    // Hudi timeline (instants) lives in `table.timeline`
     // Each instant: { instantTime, type: 'commit'|'deltacommit'|'compaction'|'clean', state: 'REQUESTED'|'INFLIGHT'|'COMPLETED', records, notes, writtenRecords? }
-    const [timeline, setTimeline] = useState([]);
     const [selectedInstant, setSelectedInstant] = useState(null);
 
     // NEW: selection/hover details for FileGroups & files
-    const [selectedEntity, setSelectedEntity] = useState(null); // {type:'fileGroup'|'base'|'delta', data}
+    const [selectedEntity, setSelectedEntity] = useState(null); // {type:'fileGroup'|'base'|'log', data}
     const [hoverEntity, setHoverEntity] = useState(null);
 
+    // Workload profile (update ratio, key skew, hot partitions) used by every generator call
+    const [workload, setWorkload] = useState(DEFAULT_WORKLOAD);
+    const liveRecords = useMemo(() => readTable(table).snapshot, [table]);
+
+    // The dataset as the table partitions it: hot partitions are picked among the table's partition paths, which only
+    // line up with the dataset's partition values when the table partitions by that field
+    const tableDataset = useMemo(() => tableDatasetOf(table.config, dataset), [table.config, dataset]);
+    const hotPartitionPaths = table.config.partitionPathField === dataset.partitionField ? partitionPathsOf(tableDataset, createSource(run)) : [];
+
     // heartbeat
     useEffect(() => {
         const id = setInterval(() => {
@@ -191,149 +309,169 @@ export default function HudiVisualizer() {
             }
         }, 1000);
         return () => clearInterval(id);
-    }, [autoIngest, ingestRate, datasetKey]);
+    }, [autoIngest, ingestRate, tableDataset, workload, liveRecords, ingestBuffer]);
 
+    // Updates may target any key already committed or waiting in the buffer. Generated outside a state updater, which
+    // StrictMode runs twice and would draw from the run twice. A seeded run records how to draw them again, otherwise
+    // the records themselves.
     const bufferGenerate = (count) => {
-        setIngestBuffer((buf) => [...buf, ...dataset.generate(count)]);
+        const seeded = Boolean(runRef.current.seed);
+        const rows = withSource((source) => generateWorkload(tableDataset, count, workload, [...liveRecords, ...ingestBuffer], source));
+        addToBuffer(rows, seeded ? { type: "generate", count, workload, datasetKey } : { type: "rows", rows });
     };
-
-    // Utility to push/update an instant
-    const pushInstant = (patch) => {
-        setTimeline((t) => [{ ...patch }, ...t]); // newest at top for UI convenience
+    const addToBuffer = (rows, step = { type: "rows", rows }) => {
+        const buffered = [...ingestBuffer, ...rows];
+        setIngestBuffer(buffered);
+        record(step, { table, twin, run: runRef.current, ingestBuffer: buffered });
     };
-    const updateInstant = (instantTime, patch) => {
-        setTimeline((t) => t.map((i) => (i.instantTime === instantTime ? { ...i, ...patch } : i)));
+    const clearBuffer = () => {
+        setIngestBuffer([]);
+        record({ type: "clearBuffer" });
     };
 
-    // Commit buffered records
-    function commitBufferedRecords({ op = "upsert" } = {}) {
-        if (ingestBuffer.length === 0) return;
-        const instantTime = makeInstantTime();
-
-        // snapshot buffer for this commit so we can inspect later
-        const writtenRecords = [...ingestBuffer];
-
-        // REQUESTED
-        pushInstant({ instantTime, type: storage === "mor" ? "deltacommit" : "commit", state: "REQUESTED", records: ingestBuffer.length, notes: op, writtenRecords });
-
-        // INFLIGHT
-        updateInstant(instantTime, { state: "INFLIGHT" });
-
-        // Apply write
-        setFileGroups((prev) => {
-            const groups = prev.map((g) => ({ ...g }));
-            let assigned = 0;
-            const records = [...ingestBuffer];
-            let remaining = records.length;
-            while (remaining > 0) {
-                const r = records[records.length - remaining];
-                const part = dataset.partitionBy(r);
-                // choose/ensure a file group for that partition (round-robin per partition)
-                let target = groups[assigned % groups.length];
-                if (!target || target.partition !== part) {
-                    // find a group with this partition or create one
-                    target = groups.find((g) => g.partition === part) || makeFileGroup(part);
-                    if (!groups.includes(target)) groups.push(target);
-                }
-                if (storage === "mor") {
-                    // Write to delta (log) file
-                    const df = {
-                        id: `delta-${target.id}-${instantTime}-${Math.floor(Math.random() * 1000)}`,
-                        version: target.deltaFiles.length + 1,
-                        rows: 1,
-                        ts: Date.now(),
-                        instantTime,
-                    };
-                    target.deltaFiles.push(df);
+    // A new dataset usually needs a new table keyed on its fields: offer the create dialog
+    const changeDataset = (key) => {
+        setDatasetKey(key);
+        setWorkload((w) => ({ ...w, hotPartitions: [] }));
+        clearBuffer();
+        setCreating(true);
+    };
+
+    // Session persistence: the session autosaves to IndexedDB (at most every AUTOSAVE_DELAY_MS); on page load a scenario
+    // link wins over the autosave, and its hash is dropped so later reloads pick up the autosave again
+    const [sessionStatus, setSessionStatus] = useState(null); // { savedAt } | { error }
+    const sessionRef = useRef(null);
+    sessionRef.current = { datasetKey, schemas, workload, table, twin, ingestBuffer, run, history };
+    const restored = useRef(false);
+    const autosaveTimer = useRef(null);
+    const applySession = (session) => {
+        setSchemas((prev) => [...prev, ...session.schemas.filter((s) => !prev.some((p) => p.id === s.id))]);
+        setDatasetKey(session.datasetKey);
+        if (session.workload) setWorkload({ ...DEFAULT_WORKLOAD, ...session.workload });
+        setTable(session.table);
+        setTwin(session.twin);
+        setIngestBuffer(session.ingestBuffer);
+        updateRun(session.run ? { ...UNSEEDED_RUN, ...session.run } : UNSEEDED_RUN);
+        setHistory(session.history);
+        if (session.run?.seed) setAutoIngest(false);
+        resetView();
+    };
+    // Snapshots were saved in this browser; a session file may come from anyone, so its custom merge code is shown first.
+    // False when declined.
+    const openSession = (session, what, { trusted = false } = {}) => {
+        if (!confirmOpen(what, { replaces: hasWork(sessionRef.current), customCode: trusted ? [] : customMergeCodeOf(session) })) return false;
+        applySession(session);
+        return true;
+    };
+    useEffect(() => {
+        (async () => {
+            try {
+                if (window.location.hash.startsWith(SCENARIO_HASH)) {
+                    const encoded = window.location.hash.slice(SCENARIO_HASH.length);
+                    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+                    const saved = await readAutosave().catch(() => null); // an unreadable autosave holds no work to lose
+                    // declined, damaged or truncated: the autosave opens as on any other page load
+                    const { session, error } = openScenarioLink(encoded, saved, (scenario) => confirmOpen("the scenario from this link", { replaces: hasWork(saved), customCode: customMergeCodeOf(scenario) }));
+                    if (session) applySession(session);
+                    if (error) setSessionStatus({ error });
                 } else {
-                    // CoW: rewrite base (simulate creating a new base file version)
-                    const rowsInThis = 1;
-                    const newBase = {
-                        id: `base-${target.id}-${instantTime}-${Math.floor(Math.random() * 1000)}`,
-                        version: target.baseFiles.length + 1,
-                        rows: (target.baseFiles.at(-1)?.rows || 0) + rowsInThis,
-                        ts: Date.now(),
-                        instantTime,
-                    };
-                    target.baseFiles.push(newBase);
-                    // No deltas in CoW path
-                    target.deltaFiles = [];
+                    const saved = await readAutosave();
+                    if (saved) applySession(saved);
                 }
-                assigned++;
-                remaining--;
+            } catch (e) {
+                setSessionStatus({ error: e.message });
             }
-            return groups;
-        });
+            restored.current = true;
+        })();
+    }, []);
+    useEffect(() => {
+        if (!restored.current || autosaveTimer.current) return;
+        autosaveTimer.current = window.setTimeout(() => {
+            autosaveTimer.current = null;
+            saveAutosave(serializeSession(sessionRef.current)).then(
+                    () => setSessionStatus({ savedAt: new Date() }),
+                    (e) => setSessionStatus({ error: `Autosave failed: ${e.message}` })
+            );
+        }, AUTOSAVE_DELAY_MS);
+    }, [datasetKey, workload, table, twin, ingestBuffer, run, history]);
+
+    // Failure injection: the next commit or delete dies part-way, leaving an INFLIGHT instant with partial files and markers
+    const [failNextWrite, setFailNextWrite] = useState(false);
+    const failedWrites = useMemo(() => failedWritesOf(timeline), [timeline]);
+    const uncommitted = useMemo(() => uncommittedInstantsOf(timeline), [timeline]);
+    const write = (action) => {
+        const created = dispatch({ ...action, fail: failNextWrite });
+        setFailNextWrite(false);
+        return created;
+    };
 
-        // Clear buffer
+    // Commit buffered records; bulk_insert and the overwrites spread them over `parallelism` new file groups per partition
+    const [parallelism, setParallelism] = useState(2);
+    function commitBufferedRecords({ op = "upsert" } = {}) {
+        if (ingestBuffer.length === 0) return;
+        const created = write({ type: "commit", op, parallelism, records: ingestBuffer, dataset });
+        if (op !== "upsert" && op !== "insert" && created.length > 0) setSelectedInstant(created.at(-1));
         setIngestBuffer([]);
-        // COMPLETED
-        updateInstant(instantTime, { state: "COMPLETED" });
     }
 
+    // Rollback of failed writes (the next write also rolls them back first)
+    const rollbackFailedWrites = () => dispatch({ type: "rollback" });
+
+    // Savepoints pin a completed commit's files against clean; restore rolls the table back to one
+    const savepoints = useMemo(() => savepointsOf(timeline), [timeline]);
+    const savepointInstant = (target) => setSelectedInstant(dispatch({ type: "savepoint", target })[0] || null);
+    const restoreSavepoint = (target) => setSelectedInstant(dispatch({ type: "restore", savepoint: target })[0] || null);
+
     // Compaction (MoR only): can be scheduled, then run later
-    function scheduleCompaction() {
-        if (storage !== "mor") return;
-        const instantTime = makeInstantTime();
-        pushInstant({ instantTime, type: "compaction", state: "REQUESTED", records: 0, notes: "scheduled", writtenRecords: [] });
-    }
-    function runScheduledCompactions() {
-        if (storage !== "mor") return;
-        // Find REQUESTED compactions and execute
-        setTimeline((t) => {
-            const toRun = t.filter((i) => i.type === "compaction" && i.state === "REQUESTED");
-            if (toRun.length === 0) return t;
-            toRun.forEach((inst) => {
-                updateInstant(inst.instantTime, { state: "INFLIGHT" });
-            });
-            // Merge deltas to base
-            setFileGroups((prev) =>
-                    prev.map((fg) => {
-                        if (fg.deltaFiles.length === 0) return fg;
-                        const totalDeltaRows = fg.deltaFiles.reduce((s, d) => s + d.rows, 0);
-                        const newBase = {
-                            id: `base-${fg.id}-${makeInstantTime()}`,
-                            version: fg.baseFiles.length + 1,
-                            rows: (fg.baseFiles.at(-1)?.rows || 0) + totalDeltaRows,
-                            ts: Date.now(),
-                            instantTime: makeInstantTime(),
-                        };
-                        return { ...fg, baseFiles: [...fg.baseFiles, newBase], deltaFiles: [] };
-                    })
-            );
-            toRun.forEach((inst) => updateInstant(inst.instantTime, { state: "COMPLETED" }));
-            return t;
-        });
-    }
+    const scheduleCompaction = () => setSelectedInstant(dispatch({ type: "scheduleCompaction" })[0] || null);
+    const runScheduledCompactions = () => dispatch({ type: "runCompactions" });
 
-    // Clean: keep only last N base versions per file group
-    function cleanOlderVersions(keep = 1) {
-        const instantTime = makeInstantTime();
-        pushInstant({ instantTime, type: "clean", state: "REQUESTED", records: 0, writtenRecords: [] });
-        updateInstant(instantTime, { state: "INFLIGHT" });
-
-        setFileGroups((prev) =>
-                prev.map((fg) => {
-                    if (fg.baseFiles.length <= keep) return fg;
-                    const sorted = [...fg.baseFiles].sort((a, b) => b.ts - a.ts);
-                    return { ...fg, baseFiles: sorted.slice(0, keep) };
-                })
-        );
+    // Async compaction: a separate compactor picks up REQUESTED compactions a few seconds after they are scheduled
+    const pendingCompactions = timeline.filter((i) => i.type === "compaction" && i.state === "REQUESTED").length;
+    useEffect(() => {
+        if (storage !== "mor" || !table.compaction.autoSchedule || table.compaction.execution !== "async" || pendingCompactions === 0) return;
+        const id = setTimeout(runScheduledCompactions, 3000);
+        return () => clearTimeout(id);
+    }, [table]);
 
-        updateInstant(instantTime, { state: "COMPLETED" });
-    }
+    // Clean: scheduling plans the files the table's cleaner policy retires (see cleaner.js); running it deletes them
+    const scheduleClean = () => setSelectedInstant(dispatch({ type: "scheduleClean" })[0] || null);
+    const runCleans = () => dispatch({ type: "runCleans" });
+    const pendingClean = timeline.some((i) => i.type === "clean" && i.state === "REQUESTED");
 
-    function addPartition() {
-        setFileGroups((g) => [...g, makeFileGroup(`p${g.length}`)]);
-    }
+    // Clustering: rewrite small file groups into fewer, sorted ones (a replacecommit)
+    const scheduleClustering = () => setSelectedInstant(dispatch({ type: "scheduleClustering" })[0] || null);
+    const runClustering = () => setSelectedInstant(dispatch({ type: "runClustering" }).at(-1) || null);
+    const pendingClustering = timeline.some((i) => i.type === "replacecommit" && i.state === "REQUESTED");
+    const datasetFields = dataset.fields;
+
+    const saveSchema = (schema) => setSchemas((list) => (list.some((x) => x.id === schema.id) ? list.map((x) => (x.id === schema.id ? schema : x)) : [...list, schema]));
+    const deleteSchema = (id) => {
+        setSchemas((list) => list.filter((x) => x.id !== id));
+        if (datasetKey === `custom:${id}`) setDatasetKey("nycTaxi");
+    };
+
+    const addPartition = () => dispatch({ type: "addPartition" });
+
+    // File sizing: each group's latest committed rows, shown as a fill level against the max file size
+    const fileGroupRows = useMemo(
+            () => new Map(fileGroups.map((fg) => [fg.id, fileGroupView(fg, { merge: table.merge, exclude: uncommitted }).length])),
+            [fileGroups, table.merge, uncommitted]
+    );
+
+    // Deletes: by explicit record keys or by a { field, op, value } predicate
+    const deleteKeys = (keys) => write({ type: "delete", keys });
+    const deleteWhere = (where) => write({ type: "delete", where });
+    const deletePartition = (partition) => setSelectedInstant(dispatch({ type: "deletePartition", partitions: [partition] }).at(-1) || null);
+    const livePartitions = useMemo(() => [...new Set(fileGroups.filter((fg) => !fg.replacedBy && fg.slices.length > 0).map((fg) => fg.partition))].sort(), [fileGroups]);
 
     const totalRows = useMemo(
             () =>
                     fileGroups.reduce(
                             (s, fg) =>
                                     s +
-                                    fg.baseFiles.reduce((sb, b) => sb + b.rows, 0) +
-                                    fg.deltaFiles.reduce((sd, d) => sd + d.rows, 0),
+                                    baseFilesOf(fg).reduce((sb, b) => sb + b.rows, 0) +
+                                    logFilesOf(fg).reduce((sl, l) => sl + l.rows, 0),
                             0
                     ),
             [fileGroups]
@@ -359,34 +497,101 @@ export default function HudiVisualizer() {
                         <p className="text-sm text-slate-600">Realistic datasets, Merge-on-Read vs Copy-on-Write, and a true Hudi timeline with instants.</p>
                     </header>
 
+                    {engineError && (
+                            <div className="mb-4 px-3 py-2 rounded-lg border border-rose-300 bg-rose-50 text-sm text-rose-700 flex items-center justify-between">
+                                <span>{engineError}</span>
+                                <button className="text-xs px-2 py-1 rounded bg-rose-100" onClick={() => setEngineError(null)}>Dismiss</button>
+                            </div>
+                    )}
+
+                    {editingSchemas && (
+                            <SchemaEditor
+                                    schemas={schemas}
+                                    onSave={saveSchema}
+                                    onDelete={deleteSchema}
+                                    onUse={(id) => {
+                                        setEditingSchemas(false);
+                                        changeDataset(`custom:${id}`);
+                                    }}
+                                    onClose={() => setEditingSchemas(false)}
+                            />
+                    )}
+
+                    {creating && (
+                            <CreateTableDialog
+                                    dataset={dataset}
+                                    fields={datasetFields}
+                                    current={table}
+                                    comparing={!!twin}
+                                    onCreate={createNewTable}
+                                    onCancel={() => setCreating(false)}
+                            />
+                    )}
+
                     <main className="grid grid-cols-12 gap-6">
                         {/* Controls */}
                         <section className="col-span-4 bg-white p-4 rounded-2xl shadow space-y-4">
+                            <SessionPanel session={sessionRef.current} status={sessionStatus} onOpen={openSession} />
+
+                            <SeededRunPanel run={run} onStart={startRun} onStop={stopRun} onAdvance={advance} />
+
                             <div>
                                 <h2 className="font-semibold mb-2">Dataset</h2>
                                 <div className="flex items-center gap-2">
-                                    <select value={datasetKey} onChange={(e) => setDatasetKey(e.target.value)} className="text-sm p-2 rounded border w-full">
-                                        {Object.entries(DATASETS).map(([k, v]) => (
-                                                <option key={k} value={k}>{v.name}</option>
-                                        ))}
+                                    <select value={datasetKey} onChange={(e) => changeDataset(e.target.value)} className="text-sm p-2 rounded border w-full">
+                                        <optgroup label="Examples">
+                                            {Object.entries(DATASETS).map(([k, v]) => (
+                                                    <option key={k} value={k}>{v.name}</option>
+                                            ))}
+                                        </optgroup>
+                                        {Object.keys(customDatasets).length > 0 && (
+                                                <optgroup label="Custom">
+                                                    {Object.entries(customDatasets).map(([k, v]) => (
+                                                            <option key={k} value={k}>{v.name}</option>
+                                                    ))}
+                                                </optgroup>
+                                        )}
                                     </select>
+                                    <ClickyButton full={false} className="bg-slate-100 h-10" onClick={() => setEditingSchemas(true)} title="Define your own datasets">Schemas…</ClickyButton>
                                 </div>
                                 <div className="grid grid-cols-2 gap-2 mt-3">
                                     <ClickyButton className="bg-slate-800 text-white" onClick={() => bufferGenerate(25)}>Load 25 to Buffer</ClickyButton>
-                                    <ClickyButton className="bg-slate-200 text-slate-900" onClick={() => setIngestBuffer([])}>Clear Buffer</ClickyButton>
+                                    <ClickyButton className="bg-slate-200 text-slate-900" onClick={clearBuffer}>Clear Buffer</ClickyButton>
                                 </div>
-                                <div className="mt-2 text-xs text-slate-500">Partitioning varies by dataset (date vs region). Keys: <span className="font-mono">{dataset.key}</span></div>
+                                <div className="mt-2 text-xs text-slate-500">Dataset fields: <span className="font-mono">{datasetFields.join(', ')}</span></div>
+                                <WorkloadPanel workload={workload} onChange={setWorkload} partitions={hotPartitionPaths} />
                             </div>
 
                             <div>
-                                <h2 className="font-semibold mb-2">Write Storage</h2>
-                                <div className="grid grid-cols-2 gap-2">
-                                    <ClickyButton className={`${storage === 'mor' ? 'bg-sky-600 text-white' : 'bg-slate-100'}`} onClick={() => setStorage('mor')}>Merge-on-Read</ClickyButton>
-                                    <ClickyButton className={`${storage === 'cow' ? 'bg-sky-600 text-white' : 'bg-slate-100'}`} onClick={() => setStorage('cow')}>Copy-on-Write</ClickyButton>
+                                <h2 className="font-semibold mb-2">Table</h2>
+                                <TableSummary table={table} comparing={!!twin} />
+                                <div className="grid grid-cols-2 gap-2 mt-2">
+                                    <ClickyButton className="bg-sky-600 text-white" onClick={() => setCreating(true)} title="Start over with a new, empty table">New Table…</ClickyButton>
+                                    <ClickyButton className={showProperties ? 'bg-slate-700 text-white' : 'bg-slate-100'} onClick={() => setShowProperties((v) => !v)}>hoodie.properties</ClickyButton>
+                                    <ClickyButton
+                                            className="col-span-2 bg-slate-100"
+                                            onClick={() => download(`${table.config.name}.zip`, new Blob([zipTable(table)], { type: "application/zip" }))}
+                                            title="A zip of the files this table would leave on storage: .hoodie timeline and metadata, partitions with placeholder data files. Instant metadata is JSON, not Hudi's Avro: only this tool loads it back."
+                                    >
+                                        Download table (.zip)
+                                    </ClickyButton>
+                                    <p className="col-span-2 text-xs text-slate-500">
+                                        The download writes instant metadata as JSON where Hudi writes Avro, so Hudi tooling cannot read it; load it back here with Load an existing table.
+                                    </p>
+                                    <ClickyButton className={`col-span-2 ${twin ? 'bg-indigo-600 text-white' : 'bg-slate-100'}`} onClick={toggleComparison} title="Feed two fresh tables, one MoR and one CoW, the same actions">
+                                        {twin ? 'Stop comparing (keep MoR)' : 'Compare MoR vs CoW'}
+                                    </ClickyButton>
                                 </div>
+                                {showProperties && <pre className="mt-2 p-2 rounded bg-slate-900 text-slate-100 text-[11px] overflow-auto">{renderProperties(table)}</pre>}
+                                {!twin && <MigratePanel table={table} onMigrate={migrate} />}
+                                <LoadTablePanel onLoad={loadExisting} />
                                 <p className="text-xs text-slate-500 mt-2">
                                     MoR writes small delta (log) files and later compacts to base files. CoW rewrites base files directly on each commit.
+                                    {twin && ' Comparing: every action below goes to both tables; the panels on the right show the MoR side.'}
                                 </p>
+                                <MergeModePanel merge={table.merge} onApply={(mode, customCode) => dispatch({ type: "setMergeMode", mode, customCode })} />
+                                <IndexPanel index={table.index} />
+                                <FileSizingPanel sizing={table.fileSizing} onChange={(patch) => dispatch({ type: 'setFileSizing', ...patch })} />
                             </div>
 
                             <div>
@@ -397,86 +602,135 @@ export default function HudiVisualizer() {
                                     <div className="text-xs text-slate-500">Records/sec: {ingestRate}</div>
                                 </div>
                                 <input type="range" min={0} max={5} value={ingestRate} onChange={(e) => setIngestRate(Number(e.target.value))} className="w-full" />
+                                <FileImportPanel config={table.config} onAdd={(rows) => addToBuffer(rows)} />
 
                                 <div className="mt-3 text-sm">Buffer: <span className="font-semibold">{ingestBuffer.length}</span> records</div>
                                 <div className="grid grid-cols-2 gap-2 mt-2">
                                     <ClickyButton className="bg-emerald-500 text-white" onClick={() => commitBufferedRecords({ op: 'upsert' })}>Commit (Upsert)</ClickyButton>
                                     <ClickyButton className="bg-indigo-500 text-white" onClick={() => commitBufferedRecords({ op: 'insert' })}>Commit (Insert)</ClickyButton>
                                 </div>
+                                <div className="grid grid-cols-3 gap-2 mt-2">
+                                    <ClickyButton className="bg-teal-600 text-white" onClick={() => commitBufferedRecords({ op: 'bulk_insert' })} title="No index lookup: every record goes into new file groups">Bulk Insert</ClickyButton>
+                                    <ClickyButton className="bg-amber-600 text-white" onClick={() => commitBufferedRecords({ op: 'insert_overwrite' })} title="Replace every file group of the partitions this batch touches">Insert Overwrite</ClickyButton>
+                                    <ClickyButton className="bg-orange-700 text-white" onClick={() => commitBufferedRecords({ op: 'insert_overwrite_table' })} title="Replace every file group of the table">Overwrite Table</ClickyButton>
+                                </div>
+                                <label className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+                                    Parallelism (new file groups per partition)
+                                    <input type="number" min={1} max={8} value={parallelism} onChange={(e) => setParallelism(Math.max(1, Number(e.target.value)))} className="w-16 text-sm p-1 rounded border" />
+                                </label>
+                                <div className="mt-2 flex items-center gap-3">
+                                    <ClickyButton full={false} className={`${failNextWrite ? 'bg-rose-600 text-white' : 'bg-slate-100'}`} onClick={() => setFailNextWrite((v) => !v)} title="The next commit or delete crashes half-way through writing its files">
+                                        {failNextWrite ? 'Next write will fail' : 'Fail next write'}
+                                    </ClickyButton>
+                                    <span className="text-xs text-slate-500">Failed writes stay INFLIGHT; readers skip their files.</span>
+                                </div>
                             </div>
 
+                            <DeletePanel liveRecords={liveRecords} storage={storage} partitions={livePartitions} onDeleteKeys={deleteKeys} onDeleteWhere={deleteWhere} onDeletePartition={deletePartition} />
+
                             <div>
                                 <h2 className="font-semibold mb-2">Table Services</h2>
                                 <div className="grid grid-cols-2 gap-2">
                                     <ClickyButton className="bg-orange-400 text-white" onClick={addPartition}>Add Partition</ClickyButton>
-                                    <ClickyButton className="bg-rose-500 text-white" onClick={() => cleanOlderVersions(1)}>Clean (keep 1)</ClickyButton>
+                                    <ClickyButton className={`bg-fuchsia-600 text-white ${failedWrites.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`} disabled={failedWrites.length === 0} onClick={rollbackFailedWrites}>
+                                        Rollback Failed ({failedWrites.length})
+                                    </ClickyButton>
+                                </div>
+                                <CleanerPanel cleaner={table.cleaner} />
+                                <div className="grid grid-cols-2 gap-2 mt-2">
+                                    <ClickyButton className={`bg-rose-400 text-white ${pendingClean ? 'opacity-50 cursor-not-allowed' : ''}`} disabled={pendingClean} onClick={scheduleClean}>Schedule Clean</ClickyButton>
+                                    <ClickyButton className={`bg-rose-500 text-white ${!pendingClean ? 'opacity-50 cursor-not-allowed' : ''}`} disabled={!pendingClean} onClick={runCleans}>Run Clean</ClickyButton>
                                 </div>
                                 <div className="grid grid-cols-2 gap-2 mt-2">
                                     <ClickyButton className={`${storage !== 'mor' ? 'opacity-50 cursor-not-allowed bg-yellow-500 text-white' : 'bg-yellow-500 text-white'}`} disabled={storage !== 'mor'} onClick={scheduleCompaction}>Schedule Compaction</ClickyButton>
                                     <ClickyButton className={`${storage !== 'mor' ? 'opacity-50 cursor-not-allowed bg-yellow-600 text-white' : 'bg-yellow-600 text-white'}`} disabled={storage !== 'mor'} onClick={runScheduledCompactions}>Run Scheduled</ClickyButton>
                                 </div>
+                                {storage === 'mor' && <CompactionPanel compaction={table.compaction} onChange={(patch) => dispatch({ type: 'setCompaction', ...patch })} />}
                                 <p className="text-xs text-slate-500 mt-2">Compaction is only applicable for Merge-on-Read.</p>
+                                <ClusteringPanel clustering={table.clustering} fields={datasetFields} onChange={(patch) => dispatch({ type: 'setClustering', ...patch })} />
+                                <div className="grid grid-cols-2 gap-2 mt-2">
+                                    <ClickyButton className="bg-teal-500 text-white" onClick={scheduleClustering}>Schedule Clustering</ClickyButton>
+                                    <ClickyButton className={`bg-teal-600 text-white ${!pendingClustering ? 'opacity-50 cursor-not-allowed' : ''}`} disabled={!pendingClustering} onClick={runClustering}>Run Clustering</ClickyButton>
+                                </div>
                             </div>
 
-                            <div className="mt-2 text-xs text-slate-500">Total rows (base + delta): {totalRows}</div>
+                            <div className="mt-2 text-xs text-slate-500">Total rows (base + log files): {totalRows}</div>
                         </section>
 
                         {/* Visualization */}
                         <section className="col-span-8 space-y-4">
+                            {twin && <ComparisonView mor={table} cow={twin} />}
+
                             {/* FileGroups */}
                             <div className="bg-white p-4 rounded-2xl shadow">
                                 <div className="flex justify-between items-center">
                                     <h2 className="font-semibold">Partition FileGroups</h2>
-                                    <div className="text-sm text-slate-500">MoR shows deltas accumulating; CoW rewrites base versions.</div>
+                                    <div className="text-sm text-slate-500">File slices per group: MoR appends log files; CoW and compaction open new slices.</div>
                                 </div>
 
                                 <div className="mt-4 grid grid-cols-1 gap-3">
-                                    {fileGroups.map((fg) => (
-                                            <motion.div key={fg.id} layout className="p-3 border rounded-lg hover:border-sky-300 transition cursor-pointer" onClick={() => setSelectedEntity({ type: 'fileGroup', data: fg })} onMouseEnter={() => setHoverEntity({ type: 'fileGroup', data: fg })} onMouseLeave={() => setHoverEntity(null)} title={`FileGroup ${fg.id} in ${fg.partition} — base:${fg.baseFiles.length} delta:${fg.deltaFiles.length}`}>
-                                                <div className="flex items-start justify-between gap-4">
-                                                    <div>
-                                                        <div className="text-sm font-medium">{fg.id} — {fg.partition}</div>
-                                                        <div className="text-xs text-slate-500">Base: {fg.baseFiles.length} • Delta: {fg.deltaFiles.length}</div>
-                                                        <div className="flex flex-wrap gap-2 mt-2">
-                                                            {fg.baseFiles.map((b) => (
-                                                                    <span
-                                                                            key={b.id}
-                                                                            className="px-2 py-1 text-xs bg-slate-100 rounded hover:ring-2 hover:ring-slate-300 cursor-pointer"
-                                                                            title={`Base file v${b.version} • rows:${b.rows} • instant:${b.instantTime}`}
-                                                                            onMouseEnter={() => setHoverEntity({ type: 'base', data: { ...b, fileGroupId: fg.id, partition: fg.partition } })}
-                                                                            onMouseLeave={() => setHoverEntity(null)}
-                                                                            onClick={(e) => {
-                                                                                e.stopPropagation();
-                                                                                setSelectedEntity({ type: 'base', data: { ...b, fileGroupId: fg.id, partition: fg.partition } });
-                                                                            }}
-                                                                    >
-                              B v{b.version} ({b.rows}r)
-                            </span>
-                                                            ))}
-                                                            {fg.deltaFiles.map((d) => (
-                                                                    <span
-                                                                            key={d.id}
-                                                                            className="px-2 py-1 text-xs bg-amber-100 rounded hover:ring-2 hover:ring-amber-300 cursor-pointer"
-                                                                            title={`Delta file v${d.version} • rows:${d.rows} • instant:${d.instantTime}`}
-                                                                            onMouseEnter={() => setHoverEntity({ type: 'delta', data: { ...d, fileGroupId: fg.id, partition: fg.partition } })}
-                                                                            onMouseLeave={() => setHoverEntity(null)}
-                                                                            onClick={(e) => {
-                                                                                e.stopPropagation();
-                                                                                setSelectedEntity({ type: 'delta', data: { ...d, fileGroupId: fg.id, partition: fg.partition } });
-                                                                            }}
-                                                                    >
-                              Δ v{d.version} ({d.rows}r)
-                            </span>
-                                                            ))}
+                                    {fileGroups.map((fg) => {
+                                        const logCount = logFilesOf(fg).length;
+                                        const fileInfo = (f) => ({ ...f, fileGroupId: fg.id, partition: fg.partition });
+                                        return (
+                                                <motion.div key={fg.id} layout className={`p-3 border rounded-lg hover:border-sky-300 transition cursor-pointer ${fg.replacedBy ? 'opacity-50 bg-slate-50 border-dashed' : ''}`} onClick={() => setSelectedEntity({ type: 'fileGroup', data: fg })} onMouseEnter={() => setHoverEntity({ type: 'fileGroup', data: fg })} onMouseLeave={() => setHoverEntity(null)} title={`FileGroup ${fg.id} in ${fg.partition} — slices:${fg.slices.length} logs:${logCount}`}>
+                                                    <div className="flex items-start justify-between gap-4">
+                                                        <div>
+                                                            <div className="text-sm font-medium">
+                                                                {fg.id} — {fg.partition}
+                                                                {fg.bucket !== undefined && <span className="ml-2 text-[11px] px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">bucket {fg.bucket}</span>}
+                                                                {fg.replacedBy && <span className="ml-2 text-[11px] px-2 py-0.5 rounded-full bg-slate-200 text-slate-600">retired • replaced by replacecommit@{fg.replacedBy}</span>}
+                                                            </div>
+                                                            <div className="text-xs text-slate-500">fileId <span className="font-mono">{fg.fileId}</span> • Slices: {fg.slices.length} • Logs: {logCount}</div>
+                                                        </div>
+                                                        <div className="text-right">
+                                                            <div className="text-xs text-slate-500">Latest slice: {latestSlice(fg)?.baseInstant || '—'}</div>
+                                                            {!fg.replacedBy && <FillLevel rows={fileGroupRows.get(fg.id) || 0} sizing={table.fileSizing} />}
                                                         </div>
                                                     </div>
-                                                    <div className="text-right">
-                                                        <div className="text-xs text-slate-500">Last base: {fg.baseFiles.at(-1)?.instantTime || '—'}</div>
-                                                        <div className="text-xs text-slate-500">Last delta: {fg.deltaFiles.at(-1)?.instantTime || '—'}</div>
+                                                    <div className="mt-2 space-y-1">
+                                                        {fg.slices.map((slice) => (
+                                                                <div key={slice.baseInstant} className={`p-1.5 rounded border ${slice.pending ? 'border-dashed border-yellow-400' : 'border-slate-200'}`}>
+                                                                    <div className="text-[11px] text-slate-500">
+                                                                        slice @{slice.baseInstant}{slice.pending ? ' • pending compaction' : ''}
+                                                                    </div>
+                                                                    <div className="flex flex-wrap gap-1 mt-1">
+                                                                        {slice.baseFile && (
+                                                                                <span
+                                                                                        className={`px-2 py-0.5 text-[11px] font-mono bg-slate-100 rounded hover:ring-2 hover:ring-slate-300 cursor-pointer ${uncommitted.has(slice.baseFile.instantTime) ? 'outline-dashed outline-1 outline-rose-500 opacity-60' : ''}`}
+                                                                                        title={`Base file • rows:${slice.baseFile.rows}${slice.baseFile.bytes !== undefined ? ` • ${formatBytes(slice.baseFile.bytes)}` : ''} • instant:${slice.baseFile.instantTime}${uncommitted.has(slice.baseFile.instantTime) ? ' • uncommitted' : ''}`}
+                                                                                        onMouseEnter={() => setHoverEntity({ type: 'base', data: fileInfo(slice.baseFile) })}
+                                                                                        onMouseLeave={() => setHoverEntity(null)}
+                                                                                        onClick={(e) => {
+                                                                                            e.stopPropagation();
+                                                                                            setSelectedEntity({ type: 'base', data: fileInfo(slice.baseFile) });
+                                                                                        }}
+                                                                                >
+                                          {slice.baseFile.name} ({slice.baseFile.rows}r)
+                                        </span>
+                                                                        )}
+                                                                        {slice.logFiles.map((lf) => (
+                                                                                <span
+                                                                                        key={`${lf.name}@${lf.instantTime}`}
+                                                                                        className={`px-2 py-0.5 text-[11px] font-mono rounded hover:ring-2 cursor-pointer ${lf.block === 'delete' ? 'bg-rose-100 hover:ring-rose-300' : 'bg-amber-100 hover:ring-amber-300'} ${uncommitted.has(lf.instantTime) ? 'outline-dashed outline-1 outline-rose-500 opacity-60' : ''}`}
+                                                                                        title={`Log file (${lf.block} block) • rows:${lf.rows}${lf.bytes !== undefined ? ` • ${formatBytes(lf.bytes)}` : ''} • instant:${lf.instantTime}${uncommitted.has(lf.instantTime) ? ' • uncommitted' : ''}`}
+                                                                                        onMouseEnter={() => setHoverEntity({ type: 'log', data: fileInfo(lf) })}
+                                                                                        onMouseLeave={() => setHoverEntity(null)}
+                                                                                        onClick={(e) => {
+                                                                                            e.stopPropagation();
+                                                                                            setSelectedEntity({ type: 'log', data: fileInfo(lf) });
+                                                                                        }}
+                                                                                >
+                                          {lf.name} ({lf.rows}r)
+                                        </span>
+                                                                        ))}
+                                                                    </div>
+                                                                </div>
+                                                        ))}
                                                     </div>
-                                                </div>
-                                            </motion.div>
-                                    ))}
+                                                </motion.div>
+                                        );
+                                    })}
                                 </div>
 
                                 {/* Info panel for hovered/selected entity */}
@@ -487,7 +741,7 @@ export default function HudiVisualizer() {
                             <div className="bg-white p-4 rounded-2xl shadow">
                                 <div className="flex items-center justify-between">
                                     <h2 className="font-semibold">Timeline (Instants)</h2>
-                                    <span className="text-xs text-slate-500">Types: commit / deltacommit / compaction / clean</span>
+                                    <span className="text-xs text-slate-500">Types: commit / deltacommit / compaction / replacecommit / clean / rollback / savepoint / restore</span>
                                 </div>
 
                                 {/* Bars */}
@@ -515,10 +769,10 @@ export default function HudiVisualizer() {
                                     <AnimatePresence>
                                         {timeline.slice(0, 8).map((ins) => {
                                             const d = instantToDate(ins.instantTime);
-                                            const isSelected = selectedInstant && selectedInstant.instantTime === ins.instantTime;
+                                            const isSelected = selectedInstant && selectedInstant.instantTime === ins.instantTime && selectedInstant.type === ins.type;
                                             return (
                                                     <motion.div
-                                                            key={ins.instantTime}
+                                                            key={`${ins.instantTime}-${ins.type}`}
                                                             initial={{ opacity: 0, y: -4 }}
                                                             animate={{ opacity: 1, y: 0 }}
                                                             exit={{ opacity: 0 }}
@@ -542,6 +796,7 @@ export default function HudiVisualizer() {
                                                                 >
                               {ins.state}
                             </span>
+                                                                {savepoints.has(ins.instantTime) && <span className="ml-1 text-[11px] px-2 py-0.5 rounded-full bg-violet-100 text-violet-700">savepoint</span>}
                                                             </div>
                                                             <div className="text-xs text-slate-500">
                                                                 instant: {ins.instantTime} • records: {ins.records || 0} {ins.notes ? `• ${ins.notes}` : ''}
@@ -563,13 +818,61 @@ export default function HudiVisualizer() {
                                                 <div className="text-sm font-semibold">
                                                     {selectedInstant.type}@{selectedInstant.instantTime}
                                                 </div>
-                                                <ClickyButton full={false} className="bg-slate-200" onClick={() => setSelectedInstant(null)}>
-                                                    Close
-                                                </ClickyButton>
+                                                <div className="flex gap-2">
+                                                    {savepoints.has(selectedInstant.instantTime) ? (
+                                                            <ClickyButton full={false} className="bg-violet-600 text-white" onClick={() => restoreSavepoint(selectedInstant.instantTime)} title="Roll back every later write and return the file groups to this savepoint">
+                                                                Restore to savepoint
+                                                            </ClickyButton>
+                                                    ) : (
+                                                            selectedInstant.state === 'COMPLETED' &&
+                                                            WRITE_TYPES.includes(selectedInstant.type) && (
+                                                                    <ClickyButton full={false} className="bg-violet-100 text-violet-700" onClick={() => savepointInstant(selectedInstant.instantTime)} title="Pin this commit's files so clean cannot delete them">
+                                                                        Savepoint
+                                                                    </ClickyButton>
+                                                            )
+                                                    )}
+                                                    <ClickyButton full={false} className="bg-slate-200" onClick={() => setSelectedInstant(null)}>
+                                                        Close
+                                                    </ClickyButton>
+                                                </div>
                                             </div>
                                             <div className="text-xs text-slate-600 mb-2">
                                                 {selectedInstant.records || 0} records written{selectedInstant.notes ? ` • ${selectedInstant.notes}` : ''}
+                                                {typeof selectedInstant.updates === 'number' && ` • ${selectedInstant.inserts} inserts / ${selectedInstant.updates} updates`}
+                                                {selectedInstant.combined > 0 && ` • ${selectedInstant.combined} pre-combined in batch`}
+                                                {selectedInstant.stale > 0 && ` • ${selectedInstant.stale} late updates lose to newer ${selectedInstant.orderingField}`}
                                             </div>
+                                            {Array.isArray(selectedInstant.deletedKeys) && selectedInstant.deletedKeys.length > 0 && (
+                                                    <div className="mb-2 text-xs">
+                                                        <div className="font-medium text-rose-700 mb-1">Deleted keys ({selectedInstant.deletedKeys.length})</div>
+                                                        <div className="max-h-32 overflow-auto font-mono flex flex-wrap gap-1">
+                                                            {selectedInstant.deletedKeys.slice(0, 200).map((d) => (
+                                                                    <span key={`${d.partition}/${d.key}`} className="px-1.5 py-0.5 rounded bg-rose-50 border border-rose-200" title={`${d.partition} • ${d.fileGroupId}`}>{d.key}</span>
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                            )}
+                                            {(selectedInstant.failed || selectedInstant.rolledBack) && <RollbackDetail instant={selectedInstant} />}
+                                            {selectedInstant.type === 'restore' && <RestoreDetail instant={selectedInstant} />}
+                                            {selectedInstant.type === 'clean' && selectedInstant.plan && <CleanPlan instant={selectedInstant} />}
+                                            {selectedInstant.type === 'compaction' && selectedInstant.plan && <CompactionPlan instant={selectedInstant} />}
+                                            {selectedInstant.operation === 'cluster' && <ClusteringPlan instant={selectedInstant} />}
+                                            {OVERWRITE_OPERATIONS.includes(selectedInstant.operation) && <ReplaceDetail instant={selectedInstant} />}
+                                            {selectedInstant.operation === 'bulk_insert' && (
+                                                    <div className="mb-2 text-xs text-teal-700">No index lookup • new file groups: {selectedInstant.newFileGroupIds.join(', ')}</div>
+                                            )}
+                                            {selectedInstant.type === 'savepoint' && (
+                                                    <div className="mb-2 text-xs">
+                                                        <div className="font-medium text-violet-700 mb-1">Files pinned for {selectedInstant.savepointedInstant}</div>
+                                                        {Object.entries(selectedInstant.partitionFiles).map(([partition, files]) => (
+                                                                <div key={partition} className="font-mono">{partition}: {files.join(', ')}</div>
+                                                        ))}
+                                                    </div>
+                                            )}
+                                            {selectedInstant.metrics?.filesWritten > 0 && <InstantMetrics metrics={selectedInstant.metrics} />}
+                                            {selectedInstant.lookup && <IndexLookup lookup={selectedInstant.lookup} />}
+                                            {selectedInstant.insertPlacement && <InsertPlacement placement={selectedInstant.insertPlacement} />}
+                                            {Array.isArray(selectedInstant.merges) && selectedInstant.merges.length > 0 && <MergeDiff merges={selectedInstant.merges} mode={selectedInstant.mergeMode} />}
                                             {Array.isArray(selectedInstant.writtenRecords) && selectedInstant.writtenRecords.length > 0 ? (
                                                     <div className="max-h-64 overflow-auto text-xs">
                                                         <table className="w-full text-left">
@@ -593,18 +896,21 @@ export default function HudiVisualizer() {
                                                         )}
                                                     </div>
                                             ) : (
-                                                    <div className="text-xs text-slate-500">No per-record payload for this instant.</div>
+                                                    !selectedInstant.deletedKeys?.length && <div className="text-xs text-slate-500">No per-record payload for this instant.</div>
                                             )}
                                         </div>
                                 )}
                             </div>
 
+                            {/* Storage & amplification metrics */}
+                            <MetricsPanel timeline={timeline} />
+
                             {/* Read Simulator */}
                             <div className="bg-white p-4 rounded-2xl shadow">
                                 <h2 className="font-semibold">Read Models / Queries</h2>
                                 <p className="text-xs text-slate-500 mt-2">Compare Snapshot vs Incremental, and time travel to a specific instant.</p>
 
-                                <ReadSimulator fileGroups={fileGroups} timeline={timeline} storage={storage} />
+                                <ReadSimulator fileGroups={fileGroups} timeline={timeline} storage={storage} merge={table.merge} savepoints={savepoints} />
                             </div>
                         </section>
                     </main>
@@ -615,6 +921,1543 @@ export default function HudiVisualizer() {
     );
 }
 
+/***********************************\
+ |* Session Persistence             *|
+ \***********************************/
+
+// Longer links may be cut off by chat apps and issue trackers; the session file has no such limit
+const LONG_LINK_CHARS = 32 * 1024;
+
+// Named snapshots in IndexedDB, the session as a JSON file, and a link that opens the same table state
+function SessionPanel({ session, status, onOpen }) {
+    const [snapshots, setSnapshots] = useState([]);
+    const [name, setName] = useState("");
+    const [message, setMessage] = useState(null); // { text, error? }
+    const refresh = () => listSnapshots().then((list) => setSnapshots(list.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1))), () => {});
+    useEffect(() => {
+        refresh();
+    }, []);
+    const run = async (work) => {
+        try {
+            setMessage(await work());
+        } catch (e) {
+            setMessage({ text: e.message, error: true });
+        }
+    };
+    const save = () =>
+            run(async () => {
+                const snapshotName = name.trim() || `Snapshot ${new Date().toLocaleString()}`;
+                await putSnapshot(snapshotName, serializeSession(session));
+                setName("");
+                await refresh();
+                return { text: `Saved "${snapshotName}"` };
+            });
+    const load = (snapshot) =>
+            run(async () => {
+                const opened = onOpen(parseSession(snapshot.data), `the snapshot "${snapshot.name}"`, { trusted: true });
+                return opened ? { text: `Loaded "${snapshot.name}"` } : null;
+            });
+    const remove = (snapshot) =>
+            run(async () => {
+                await removeSnapshot(snapshot.name);
+                await refresh();
+                return null;
+            });
+    const importFile = (file) =>
+            run(async () => {
+                const opened = onOpen(parseSession(await file.text()), file.name);
+                return opened ? { text: `Imported ${file.name}` } : null;
+            });
+    const copyLink = () =>
+            run(async () => {
+                const link = `${window.location.origin}${window.location.pathname}${window.location.search}${SCENARIO_HASH}${encodeScenario(session)}`;
+                await navigator.clipboard.writeText(link);
+                const size = `${(link.length / 1024).toFixed(1)}k characters`;
+                if (link.length > LONG_LINK_CHARS) return { text: `Link copied (${size}): long links may get cut off; share the session file instead` };
+                // outside a seeded run the link replays the same records and actions, not the same file ids and instant times
+                const { start, steps } = session.history;
+                const exact = Boolean(start.run?.seed) && !steps.some((s) => s.type === "stopRun");
+                return { text: exact ? `Link copied (${size})` : `Link copied (${size}): not a seeded run, so file ids and instant times will differ` };
+            });
+    return (
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h2 className="font-semibold">Session</h2>
+                    <span className={`text-[11px] ${status?.error ? 'text-rose-700' : 'text-slate-500'}`}>
+                        {status?.error || (status?.savedAt ? `Autosaved ${status.savedAt.toLocaleTimeString()}` : 'Autosave on')}
+                    </span>
+                </div>
+                <div className="flex gap-2">
+                    <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Snapshot name" className="flex-1 min-w-0 text-sm p-1 rounded border" />
+                    <ClickyButton full={false} className="bg-slate-800 text-white" onClick={save}>Save</ClickyButton>
+                </div>
+                {snapshots.length > 0 && (
+                        <div className="mt-2 max-h-28 overflow-auto space-y-1">
+                            {snapshots.map((snapshot) => (
+                                    <div key={snapshot.name} className="flex items-center gap-2 text-xs">
+                                        <button type="button" className="flex-1 text-left truncate hover:underline" title={`Load (saved ${new Date(snapshot.savedAt).toLocaleString()})`} onClick={() => load(snapshot)}>
+                                            {snapshot.name}
+                                        </button>
+                                        <span className="text-slate-400">{new Date(snapshot.savedAt).toLocaleDateString()}</span>
+                                        <button type="button" className="text-slate-500 hover:text-rose-600" title="Delete snapshot" onClick={() => remove(snapshot)}>×</button>
+                                    </div>
+                            ))}
+                        </div>
+                )}
+                <div className="mt-2 grid grid-cols-3 gap-2">
+                    <ClickyButton className="bg-slate-100" onClick={() => download('hudi-session.json', new Blob([serializeSession(session)], { type: 'application/json' }))} title="The whole session: dataset, table config, file groups with their records, timeline and ingest buffer">
+                        Export
+                    </ClickyButton>
+                    <label className="h-9 px-3 rounded text-sm inline-flex items-center justify-center cursor-pointer bg-slate-100 hover:bg-slate-200">
+                        Import
+                        <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => e.target.files[0] && importFile(e.target.files[0]).then(() => (e.target.value = ''))} />
+                    </label>
+                    <ClickyButton className="bg-slate-100" onClick={copyLink} title="Copy a link that replays how this table came about: its settings, the seed and the steps since it was created">Copy link</ClickyButton>
+                </div>
+                {message && <div className={`mt-1 text-xs ${message.error ? 'text-rose-700' : 'text-slate-500'}`}>{message.text}</div>}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Seeded Runs                     *|
+ \***********************************/
+
+const CLOCK_STEPS = [
+    { label: "+1 min", ms: 60 * 1000 },
+    { label: "+1 h", ms: 3600 * 1000 },
+    { label: "+6 h", ms: 6 * 3600 * 1000 },
+    { label: "+1 day", ms: 24 * 3600 * 1000 },
+];
+
+const formatOffset = (ms) => (ms >= 3600 * 1000 ? `${+(ms / 3600 / 1000).toFixed(1)} h` : `${Math.round(ms / 60 / 1000)} min`);
+
+// Start or stop a seeded run, and fast-forward the clock (e.g. past KEEP_LATEST_BY_HOURS retention before a clean)
+function SeededRunPanel({ run, onStart, onStop, onAdvance }) {
+    const [seed, setSeed] = useState(run.seed || "demo");
+    const [error, setError] = useState(null);
+    const start = () => {
+        try {
+            onStart(seed);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+    return (
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <h2 className="font-semibold">Seeded run</h2>
+                    <span className="text-[11px] text-slate-500">
+                        {run.seed ? `Seed "${run.seed}"` : 'Random, wall clock'}
+                        {!run.seed && run.offset > 0 && ` +${formatOffset(run.offset)}`}
+                    </span>
+                </div>
+                <div className="flex gap-2">
+                    <input value={seed} onChange={(e) => setSeed(e.target.value)} placeholder="Seed" className="flex-1 min-w-0 text-sm p-1 rounded border" />
+                    <ClickyButton full={false} className="bg-slate-800 text-white" onClick={start} title="Empty the table (keeping its settings) and draw records, file ids and instant times from this seed">
+                        {run.seed ? 'Restart' : 'Start'}
+                    </ClickyButton>
+                    {run.seed && <ClickyButton full={false} className="bg-slate-100" onClick={onStop} title="Back to random records and the wall clock; the table stays">Stop</ClickyButton>}
+                </div>
+                <div className="mt-2 flex items-center gap-2">
+                    <span className="text-xs text-slate-500 flex-1" title="The time the next instant is issued at (or later)">Clock {new Date(createSource(run).now()).toLocaleString()}</span>
+                    {CLOCK_STEPS.map(({ label, ms }) => (
+                            <button key={label} type="button" className="text-xs px-2 py-1 rounded bg-slate-100 hover:bg-slate-200" onClick={() => onAdvance(ms)}>{label}</button>
+                    ))}
+                </div>
+                {error && <div className="mt-1 text-xs text-rose-700">{error}</div>}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Table Config                    *|
+ \***********************************/
+
+// The table's fixed config at a glance
+function TableSummary({ table, comparing }) {
+    const c = table.config;
+    return (
+            <div className="text-xs text-slate-600 space-y-0.5">
+                <div>
+                    <span className="font-mono font-semibold">{c.name}</span> • {comparing ? 'MERGE_ON_READ + COPY_ON_WRITE' : TABLE_TYPES[table.storage]} • version {c.version}
+                </div>
+                <div>
+                    Record key <span className="font-mono">{c.recordKeyField || '—'}</span> • partition path <span className="font-mono">{c.partitionPathField || '—'}</span>
+                    {c.hiveStylePartitioning ? ' (hive style)' : ''} • precombine <span className="font-mono">{c.precombineField || '—'}</span> • {c.keyGenerator} key generator
+                </div>
+            </div>
+    );
+}
+
+// Explicit migration: the only way to change the table type or version of an existing table
+function MigratePanel({ table, onMigrate }) {
+    const [tableType, setTableType] = useState(TABLE_TYPES[table.storage]);
+    const [version, setVersion] = useState(table.config.version);
+    useEffect(() => {
+        setTableType(TABLE_TYPES[table.storage]);
+        setVersion(table.config.version);
+    }, [table.storage, table.config.version]);
+    const changed = tableType !== TABLE_TYPES[table.storage] || version !== table.config.version;
+    return (
+            <div className="mt-2 grid grid-cols-3 gap-2 items-end">
+                <label className="text-xs text-slate-500">
+                    Table type
+                    <select value={tableType} onChange={(e) => setTableType(e.target.value)} className="mt-1 w-full text-sm p-1 rounded border">
+                        {Object.values(TABLE_TYPES).map((t) => (
+                                <option key={t} value={t}>{t}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-xs text-slate-500">
+                    Version
+                    <select value={version} onChange={(e) => setVersion(Number(e.target.value))} className="mt-1 w-full text-sm p-1 rounded border">
+                        {TABLE_VERSIONS.map((v) => (
+                                <option key={v} value={v}>{v}</option>
+                        ))}
+                    </select>
+                </label>
+                <ClickyButton className="bg-amber-500 text-white" disabled={!changed} onClick={() => onMigrate({ tableType, version })} title="MoR to CoW needs every log file compacted first">
+                    Migrate
+                </ClickyButton>
+            </div>
+    );
+}
+
+// Load a real table's .hoodie folder (directory upload, or a zip): only the timeline files are read, in the browser
+function LoadTablePanel({ onLoad }) {
+    const [result, setResult] = useState(null); // { name, warnings } | { error }
+    const load = async (name, readFiles) => {
+        try {
+            const { table, warnings } = loadTable(await readFiles());
+            if (!onLoad(table, name)) return setResult(null);
+            setResult({ name, instants: table.timeline.length, fileGroups: table.fileGroups.length, warnings });
+        } catch (e) {
+            setResult({ error: e.message });
+        }
+    };
+    const fromFolder = (fileList) => {
+        const files = [...fileList].filter((f) => isTimelinePath(f.webkitRelativePath || f.name));
+        load(files[0]?.webkitRelativePath.split('/')[0] || 'folder', async () => Object.fromEntries(await Promise.all(files.map(async (f) => [f.webkitRelativePath || f.name, new Uint8Array(await f.arrayBuffer())]))));
+    };
+    const fromZip = (file) => load(file.name, async () => filesFromZip(new Uint8Array(await file.arrayBuffer())));
+    const pick = 'px-3 py-2 rounded-xl text-sm text-center cursor-pointer bg-slate-100 hover:bg-slate-200';
+    return (
+            <div className="mt-2">
+                <div className="text-xs text-slate-500 mb-1">Load an existing table (.hoodie folder)</div>
+                <div className="grid grid-cols-2 gap-2">
+                    <label className={pick} title="A table folder or its .hoodie folder">
+                        Folder…
+                        <input type="file" webkitdirectory="" className="hidden" onChange={(e) => e.target.files.length > 0 && fromFolder(e.target.files)} />
+                    </label>
+                    <label className={pick} title="A zip of a table folder or its .hoodie folder">
+                        Zip…
+                        <input type="file" accept=".zip" className="hidden" onChange={(e) => e.target.files[0] && fromZip(e.target.files[0]).then(() => (e.target.value = ''))} />
+                    </label>
+                </div>
+                {result?.error && <div className="mt-1 text-xs text-rose-700">{result.error}</div>}
+                {result?.name && (
+                        <div className="mt-1 text-xs text-slate-600">
+                            Loaded {result.name}: {result.instants} instants, {result.fileGroups} file groups (no records: data files are not read)
+                            {result.warnings.map((w, idx) => (
+                                    <div key={idx} className="text-amber-700">{w}</div>
+                            ))}
+                        </div>
+                )}
+            </div>
+    );
+}
+
+// One field (select) or several (toggles, for the COMPLEX key generator)
+function FieldPicker({ label, fields, value, multiple, optional, onChange }) {
+    const selected = value.split(',').map((f) => f.trim()).filter(Boolean);
+    if (!multiple) {
+        return (
+                <label className="text-xs text-slate-500">
+                    {label}
+                    <select value={selected[0] || ''} onChange={(e) => onChange(e.target.value)} className="mt-1 w-full text-sm p-1 rounded border">
+                        {(optional || selected.length === 0) && <option value="">{optional ? '(none)' : 'Pick a field'}</option>}
+                        {fields.map((f) => (
+                                <option key={f} value={f}>{f}</option>
+                        ))}
+                    </select>
+                </label>
+        );
+    }
+    const toggle = (f) => onChange((selected.includes(f) ? selected.filter((x) => x !== f) : [...selected, f]).join(','));
+    return (
+            <div className="text-xs text-slate-500">
+                {label}
+                <div className="mt-1 flex flex-wrap gap-1">
+                    {fields.map((f) => (
+                            <button
+                                    key={f}
+                                    type="button"
+                                    onClick={() => toggle(f)}
+                                    className={`px-1.5 py-0.5 rounded border font-mono ${selected.includes(f) ? 'bg-sky-100 border-sky-300 text-sky-800' : 'bg-white border-slate-200'}`}
+                            >
+                                {f}
+                            </button>
+                    ))}
+                </div>
+            </div>
+    );
+}
+
+// Create a table: the hoodie.properties keys, index and cleaner included (all fixed afterwards), with the properties
+// file rendered as it would be written
+function CreateTableDialog({ dataset, fields, current, comparing, onCreate, onCancel }) {
+    const [storage, setStorage] = useState(current.storage);
+    const [config, setConfig] = useState(() => tableConfigFor(dataset));
+    const [index, setIndex] = useState({ ...DEFAULT_INDEX, ...current.index });
+    const [cleaner, setCleaner] = useState({ ...DEFAULT_CLEANER, ...current.cleaner });
+    const [error, setError] = useState(null);
+    const patchConfig = (patch) => setConfig((c) => ({ ...c, ...patch }));
+    const multiple = config.keyGenerator === 'COMPLEX';
+    const options = { storage, config, index, cleaner, merge: current.merge, fileSizing: current.fileSizing, compaction: current.compaction, clustering: current.clustering };
+    const preview = useMemo(() => renderProperties({ storage, config, index, cleaner }), [storage, config, index, cleaner]);
+    const create = () => {
+        try {
+            onCreate(options);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+    // dropping back to SIMPLE keeps the first of several fields
+    const changeKeyGenerator = (keyGenerator) => {
+        const first = (list) => list.split(',')[0].trim();
+        patchConfig(keyGenerator === 'SIMPLE' ? { keyGenerator, recordKeyField: first(config.recordKeyField), partitionPathField: first(config.partitionPathField) } : { keyGenerator });
+    };
+    return (
+            <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4" onClick={onCancel}>
+                <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-3xl max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+                    <div className="flex items-center justify-between">
+                        <h2 className="font-semibold">Create Table</h2>
+                        <span className="text-xs text-slate-500">Dataset: {dataset.name}</span>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-1">
+                        Table type, key fields, key generator, version, index and cleaner are written to <span className="font-mono">.hoodie/hoodie.properties</span> and fixed
+                        after creation (the type and version change only through a migration).
+                        {comparing && ' Comparing: a MoR and a CoW table are created with these settings.'}
+                    </p>
+                    <div className="mt-3 grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="block text-xs text-slate-500">
+                                hoodie.table.name
+                                <input value={config.name} onChange={(e) => patchConfig({ name: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border font-mono" />
+                            </label>
+                            {!comparing && (
+                                    <label className="block text-xs text-slate-500">
+                                        hoodie.table.type
+                                        <select value={storage} onChange={(e) => setStorage(e.target.value)} className="mt-1 w-full text-sm p-1 rounded border">
+                                            {Object.entries(TABLE_TYPES).map(([k, t]) => (
+                                                    <option key={k} value={k}>{t}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                            )}
+                            <div className="grid grid-cols-2 gap-2">
+                                <label className="text-xs text-slate-500">
+                                    Key generator
+                                    <select value={config.keyGenerator} onChange={(e) => changeKeyGenerator(e.target.value)} className="mt-1 w-full text-sm p-1 rounded border">
+                                        {KEY_GENERATORS.map((k) => (
+                                                <option key={k} value={k}>{k}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="text-xs text-slate-500">
+                                    hoodie.table.version
+                                    <select value={config.version} onChange={(e) => patchConfig({ version: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border">
+                                        {TABLE_VERSIONS.map((v) => (
+                                                <option key={v} value={v}>{v}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                            <FieldPicker label="hoodie.datasource.write.recordkey.field" fields={fields} value={config.recordKeyField} multiple={multiple} onChange={(v) => patchConfig({ recordKeyField: v })} />
+                            <FieldPicker label="hoodie.datasource.write.partitionpath.field" fields={fields} value={config.partitionPathField} multiple={multiple} onChange={(v) => patchConfig({ partitionPathField: v })} />
+                            <FieldPicker label="hoodie.datasource.write.precombine.field" fields={fields} value={config.precombineField} optional onChange={(v) => patchConfig({ precombineField: v })} />
+                            <label className="flex items-center gap-2 text-xs text-slate-500">
+                                <input type="checkbox" checked={config.hiveStylePartitioning} onChange={(e) => patchConfig({ hiveStylePartitioning: e.target.checked })} />
+                                Hive-style partition paths (<span className="font-mono">field=value</span>)
+                            </label>
+                            <IndexPanel
+                                    index={index}
+                                    onChange={({ indexType, ...patch }) => setIndex((i) => ({ ...i, ...patch, ...(indexType && { type: indexType }) }))}
+                            />
+                            <CleanerPanel cleaner={cleaner} onChange={(patch) => setCleaner((c) => ({ ...c, ...patch }))} />
+                        </div>
+                        <div>
+                            <div className="text-xs text-slate-500 mb-1">.hoodie/hoodie.properties</div>
+                            <pre className="p-2 rounded bg-slate-900 text-slate-100 text-[11px] overflow-auto">{preview}</pre>
+                        </div>
+                    </div>
+                    {error && <div className="mt-3 px-3 py-2 rounded border border-rose-300 bg-rose-50 text-sm text-rose-700">{error}</div>}
+                    <div className="mt-4 flex justify-end gap-2">
+                        <ClickyButton full={false} className="bg-slate-100" onClick={onCancel}>Cancel</ClickyButton>
+                        <ClickyButton full={false} className="bg-sky-600 text-white" onClick={create}>Create Table</ClickyButton>
+                    </div>
+                </div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Schema Editor                   *|
+ \***********************************/
+
+const GENERATOR_LABELS = { enum: 'Enum', intRange: 'Int range', decimal: 'Decimal', timestamp: 'Timestamp window', uuid: 'UUID', sequence: 'Sequential ID' };
+
+const newSchema = () => ({ ...DEFAULT_SCHEMA, id: Date.now().toString(36), name: 'My dataset' });
+
+// The parameters of one field's value generator
+function GeneratorParams({ generator, onChange }) {
+    const num = (k, props = {}) => (
+            <label className="text-[11px] text-slate-500">
+                {k}
+                <input type="number" value={generator[k]} onChange={(e) => onChange({ ...generator, [k]: Number(e.target.value) })} className="mt-0.5 w-20 text-xs p-1 rounded border block" {...props} />
+            </label>
+    );
+    switch (generator.kind) {
+        case 'enum':
+            return (
+                    <label className="text-[11px] text-slate-500 flex-1">
+                        values (comma-separated)
+                        <input value={generator.values.join(', ')} onChange={(e) => onChange({ ...generator, values: e.target.value.split(',').map((v) => v.trim()) })} className="mt-0.5 w-full text-xs p-1 rounded border block" />
+                    </label>
+            );
+        case 'intRange':
+            return <>{num('min', { step: 1 })}{num('max', { step: 1 })}</>;
+        case 'decimal':
+            return <>{num('min')}{num('max')}{num('scale', { min: 0, max: 6, step: 1 })}</>;
+        case 'timestamp':
+            return num('windowHours', { min: 1 });
+        case 'sequence':
+            return (
+                    <>
+                        {num('start', { step: 1 })}
+                        <label className="text-[11px] text-slate-500">
+                            prefix
+                            <input value={generator.prefix} onChange={(e) => onChange({ ...generator, prefix: e.target.value })} className="mt-0.5 w-20 text-xs p-1 rounded border block" />
+                        </label>
+                    </>
+            );
+        default:
+            return null;
+    }
+}
+
+// Define custom datasets: fields with value generators, the record key and the partition expression. Saved schemas
+// appear in the dataset list; all of them export as one JSON file.
+function SchemaEditor({ schemas, onSave, onDelete, onUse, onClose }) {
+    const [draft, setDraft] = useState(() => schemas[0] || newSchema());
+    const saved = schemas.some((x) => x.id === draft.id);
+    const patch = (p) => setDraft((d) => ({ ...d, ...p }));
+    const patchField = (idx, p) => patch({ fields: draft.fields.map((f, i) => (i === idx ? { ...f, ...p } : f)) });
+    const names = draft.fields.map((f) => f.name);
+    const preview = useMemo(() => {
+        try {
+            const ds = datasetFromSchema(draft);
+            // an unseeded source of its own, so previews never draw from (or move) the seeded run
+            const source = createSource();
+            return { sample: ds.generate(3, undefined, [], source), partitions: ds.partitionValues(source).map((v) => ds.partitionBy({ [ds.partitionField]: v })) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }, [draft]);
+    return (
+            <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4" onClick={onClose}>
+                <div className="bg-white rounded-2xl shadow-xl p-5 w-full max-w-5xl max-h-[90vh] overflow-auto" onClick={(e) => e.stopPropagation()}>
+                    <div className="flex items-center justify-between">
+                        <h2 className="font-semibold">Dataset Schemas</h2>
+                        <div className="flex gap-2">
+                            <ClickyButton full={false} className="bg-slate-100" disabled={schemas.length === 0} onClick={() => downloadJson('hudi-datasets.json', schemas)}>Export JSON</ClickyButton>
+                            <ClickyButton full={false} className="bg-slate-100" onClick={onClose}>Close</ClickyButton>
+                        </div>
+                    </div>
+                    <div className="mt-3 grid grid-cols-12 gap-4">
+                        <div className="col-span-3 space-y-1">
+                            {schemas.map((x) => (
+                                    <button key={x.id} type="button" onClick={() => setDraft(x)} className={`w-full text-left text-sm px-2 py-1 rounded border ${x.id === draft.id ? 'bg-sky-50 border-sky-300' : 'border-slate-200 hover:bg-slate-50'}`}>
+                                        {x.name}
+                                    </button>
+                            ))}
+                            <ClickyButton className="bg-slate-800 text-white" onClick={() => setDraft(newSchema())}>New Schema</ClickyButton>
+                            <p className="text-[11px] text-slate-500">Saved in this browser.</p>
+                        </div>
+                        <div className="col-span-9 space-y-3">
+                            <label className="block text-xs text-slate-500">
+                                Name
+                                <input value={draft.name} onChange={(e) => patch({ name: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border" />
+                            </label>
+                            <div className="space-y-1">
+                                {draft.fields.map((f, idx) => (
+                                        <div key={idx} className="flex items-end gap-2 p-1.5 rounded border border-slate-200">
+                                            <label className="text-[11px] text-slate-500">
+                                                field
+                                                <input value={f.name} onChange={(e) => patchField(idx, { name: e.target.value })} className="mt-0.5 w-32 text-xs p-1 rounded border font-mono block" />
+                                            </label>
+                                            <label className="text-[11px] text-slate-500">
+                                                generator
+                                                <select
+                                                        value={f.generator.kind}
+                                                        onChange={(e) => patchField(idx, { generator: { kind: e.target.value, ...FIELD_GENERATORS[e.target.value].defaults } })}
+                                                        className="mt-0.5 text-xs p-1 rounded border block"
+                                                >
+                                                    {Object.keys(FIELD_GENERATORS).map((k) => (
+                                                            <option key={k} value={k}>{GENERATOR_LABELS[k]}</option>
+                                                    ))}
+                                                </select>
+                                            </label>
+                                            <GeneratorParams generator={f.generator} onChange={(generator) => patchField(idx, { generator })} />
+                                            <span className="ml-auto text-[11px] font-mono text-slate-500 pb-1">{fieldTypeOf(f)}</span>
+                                            <button type="button" className="text-xs px-2 py-1 rounded bg-rose-50 text-rose-700" onClick={() => patch({ fields: draft.fields.filter((_, i) => i !== idx) })}>×</button>
+                                        </div>
+                                ))}
+                                <button
+                                        type="button"
+                                        className="text-xs px-2 py-1 rounded bg-slate-100"
+                                        onClick={() => patch({ fields: [...draft.fields, { name: `field_${draft.fields.length + 1}`, generator: { kind: 'enum', ...FIELD_GENERATORS.enum.defaults } }] })}
+                                >
+                                    + Add field
+                                </button>
+                            </div>
+                            <div className="grid grid-cols-4 gap-2">
+                                <label className="text-xs text-slate-500">
+                                    Record key
+                                    <select value={draft.key} onChange={(e) => patch({ key: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                                        {!names.includes(draft.key) && <option value="">Pick a field</option>}
+                                        {names.map((n) => (
+                                                <option key={n} value={n}>{n}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="text-xs text-slate-500">
+                                    Partition by
+                                    <select value={draft.partition.field} onChange={(e) => patch({ partition: { ...draft.partition, field: e.target.value } })} className="mt-1 w-full text-sm p-1 rounded border">
+                                        {!names.includes(draft.partition.field) && <option value="">Pick a field</option>}
+                                        {names.map((n) => (
+                                                <option key={n} value={n}>{n}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="text-xs text-slate-500">
+                                    Transform
+                                    <select value={draft.partition.transform} onChange={(e) => patch({ partition: { ...draft.partition, transform: e.target.value } })} className="mt-1 w-full text-sm p-1 rounded border">
+                                        {PARTITION_TRANSFORMS.map((t) => (
+                                                <option key={t} value={t}>{t}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label className="text-xs text-slate-500">
+                                    Ordering field
+                                    <select value={draft.orderingField} onChange={(e) => patch({ orderingField: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                                        <option value="">(none)</option>
+                                        {draft.fields.filter(canOrderBy).map((f) => (
+                                                <option key={f.name} value={f.name}>{f.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                            <p className="text-[11px] text-slate-500">
+                                Partition by an enum or int range field as is, or truncate a timestamp to a year, month, day or hour
+                                {draft.partition.transform !== 'identity' && draft.partition.field && <> (written to a derived column <span className="font-mono">{partitionColumnOf(draft)}</span>)</>}. A UUID or sequential key gives every insert a fresh key.
+                            </p>
+                            {preview.error ? (
+                                    <div className="px-3 py-2 rounded border border-rose-300 bg-rose-50 text-sm text-rose-700">{preview.error}</div>
+                            ) : (
+                                    <div className="text-xs">
+                                        <div className="text-slate-500">Partitions ({preview.partitions.length}): <span className="font-mono">{preview.partitions.slice(0, 6).join(', ')}{preview.partitions.length > 6 ? ' …' : ''}</span></div>
+                                        <pre className="mt-1 p-2 rounded bg-slate-50 border text-[11px] overflow-auto max-h-40">{JSON.stringify(preview.sample, null, 2)}</pre>
+                                    </div>
+                            )}
+                            <div className="flex justify-end gap-2">
+                                {saved && <ClickyButton full={false} className="bg-rose-100 text-rose-700" onClick={() => { onDelete(draft.id); setDraft(newSchema()); }}>Delete</ClickyButton>}
+                                <ClickyButton full={false} className="bg-slate-800 text-white" disabled={!!preview.error} onClick={() => onSave(draft)}>Save</ClickyButton>
+                                <ClickyButton full={false} className="bg-sky-600 text-white" disabled={!!preview.error} onClick={() => { onSave(draft); onUse(draft.id); }}>Save & Use</ClickyButton>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* File Import                     *|
+ \***********************************/
+
+const ISSUES_SHOWN = 8;
+
+// Drop (or pick) a CSV, JSON or NDJSON file, map its columns to the table's key fields and add its rows to the buffer;
+// rows without a key are left out, rows without a partition value land in the default partition unless skipped
+function FileImportPanel({ config, onAdd }) {
+    const [file, setFile] = useState(null); // { name, format, records, columns, errors }
+    const [mapping, setMapping] = useState({}); // table field -> file column
+    const [skipUnpartitioned, setSkipUnpartitioned] = useState(false);
+    const [dragging, setDragging] = useState(false);
+    const tableFields = [...new Set([config.recordKeyField, config.partitionPathField, config.precombineField].flatMap((list) => `${list || ''}`.split(',').map((f) => f.trim())).filter(Boolean))];
+    const load = async (f) => {
+        if (!f) return;
+        const text = await f.text();
+        const parsed = parseRecords(text, detectFormat(f.name, text));
+        setFile({ name: f.name, ...parsed });
+        setMapping(Object.fromEntries(tableFields.map((field) => [field, parsed.columns.some((c) => c.name === field) ? field : ''])));
+    };
+    const check = useMemo(() => {
+        if (!file) return null;
+        try {
+            return checkRecords(mapColumns(file.records, mapping), config, { skipUnpartitioned });
+        } catch (e) {
+            return { valid: [], issues: [], error: e.message };
+        }
+    }, [file, mapping, config, skipUnpartitioned]);
+    const count = (reason) => check.issues.filter((i) => i.reason === reason).length;
+    return (
+            <div className="mt-3">
+                <label
+                        className={`block p-3 rounded-lg border-2 border-dashed text-xs text-center cursor-pointer ${dragging ? 'border-sky-400 bg-sky-50' : 'border-slate-300 text-slate-500'}`}
+                        onDragOver={(e) => {
+                            e.preventDefault();
+                            setDragging(true);
+                        }}
+                        onDragLeave={() => setDragging(false)}
+                        onDrop={(e) => {
+                            e.preventDefault();
+                            setDragging(false);
+                            load(e.dataTransfer.files[0]);
+                        }}
+                >
+                    Drop a CSV, JSON or NDJSON file here, or click to browse
+                    <input type="file" accept=".csv,.tsv,.json,.ndjson,.jsonl" className="hidden" onChange={(e) => load(e.target.files[0]).then(() => (e.target.value = ''))} />
+                </label>
+                {file && (
+                        <div className="mt-2 p-2 rounded border border-slate-200 text-xs space-y-2">
+                            <div className="flex items-center justify-between">
+                                <span>
+                                    <span className="font-mono">{file.name}</span> • {file.format} • {file.records.length} rows
+                                </span>
+                                <button type="button" className="text-slate-500" onClick={() => setFile(null)}>×</button>
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                                {file.columns.map((c) => (
+                                        <span key={c.name} className="px-1.5 py-0.5 rounded bg-slate-100 font-mono">{c.name}: {c.type}</span>
+                                ))}
+                            </div>
+                            {file.errors.length > 0 && (
+                                    <div className="text-rose-700">
+                                        {file.errors.length} unparsable row{file.errors.length === 1 ? '' : 's'} skipped
+                                        {file.errors.slice(0, 3).map((err) => <div key={err.line}>line {err.line}: {err.message}</div>)}
+                                    </div>
+                            )}
+                            <div className="grid grid-cols-2 gap-2">
+                                {tableFields.map((field) => (
+                                        <label key={field} className="text-slate-500">
+                                            <span className="font-mono">{field}</span> ←
+                                            <select value={mapping[field] || ''} onChange={(e) => setMapping((m) => ({ ...m, [field]: e.target.value }))} className="mt-0.5 w-full p-1 rounded border">
+                                                <option value="">(no column)</option>
+                                                {file.columns.map((c) => (
+                                                        <option key={c.name} value={c.name}>{c.name}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                ))}
+                            </div>
+                            {check.error ? (
+                                    <div className="text-rose-700">{check.error}</div>
+                            ) : (
+                                    check.issues.length > 0 && (
+                                            <div className="text-amber-700">
+                                                {count('key')} row{count('key') === 1 ? '' : 's'} without a record key (left out), {count('partition')} without a partition value
+                                                {check.issues.slice(0, ISSUES_SHOWN).map((i) => (
+                                                        <div key={i.row} className="text-slate-600">row {i.row}: {i.message}</div>
+                                                ))}
+                                                {check.issues.length > ISSUES_SHOWN && <div className="text-slate-500">… {check.issues.length - ISSUES_SHOWN} more</div>}
+                                            </div>
+                                    )
+                            )}
+                            <label className="flex items-center gap-2 text-slate-500">
+                                <input type="checkbox" checked={skipUnpartitioned} onChange={(e) => setSkipUnpartitioned(e.target.checked)} />
+                                Leave out rows without a partition value
+                            </label>
+                            <ClickyButton
+                                    className="bg-slate-800 text-white"
+                                    disabled={check.valid.length === 0}
+                                    onClick={() => {
+                                        onAdd(check.valid);
+                                        setFile(null);
+                                    }}
+                            >
+                                Add {check.valid.length} rows to buffer
+                            </ClickyButton>
+                        </div>
+                )}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Workload Panel                  *|
+ \***********************************/
+function WorkloadPanel({ workload, onChange, partitions }) {
+    const set = (patch) => onChange({ ...workload, ...patch });
+    const toggleHot = (p) => set({ hotPartitions: workload.hotPartitions.includes(p) ? workload.hotPartitions.filter((h) => h !== p) : [...workload.hotPartitions, p] });
+    return (
+            <div className="mt-3 p-2 rounded border bg-slate-50 space-y-2">
+                <div className="text-xs font-medium">Workload profile</div>
+                <div>
+                    <div className="text-xs text-slate-500">Updates to existing keys: {Math.round(workload.updateRatio * 100)}%</div>
+                    <input type="range" min={0} max={100} step={5} value={Math.round(workload.updateRatio * 100)} onChange={(e) => set({ updateRatio: Number(e.target.value) / 100 })} className="w-full" />
+                </div>
+                <div className="flex items-center gap-2">
+                    <label className="text-xs text-slate-500">Key distribution</label>
+                    <select value={workload.keyDistribution} onChange={(e) => set({ keyDistribution: e.target.value })} className="ml-auto text-xs p-1 rounded border">
+                        {KEY_DISTRIBUTIONS.map((k) => (
+                                <option key={k} value={k}>{k}</option>
+                        ))}
+                    </select>
+                    {workload.keyDistribution === 'zipfian' && (
+                            <input type="number" min={0.5} max={3} step={0.1} value={workload.zipfSkew} onChange={(e) => set({ zipfSkew: Number(e.target.value) })} className="w-14 text-xs p-1 rounded border" title="Zipf skew (s)" />
+                    )}
+                </div>
+                <div>
+                    <div className="text-xs text-slate-500">Hot partitions ({Math.round(workload.hotWeight * 100)}% of inserts)</div>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                        {partitions.map((p) => (
+                                <button
+                                        key={p}
+                                        type="button"
+                                        onClick={() => toggleHot(p)}
+                                        className={`px-1.5 py-0.5 rounded text-[11px] font-mono border ${workload.hotPartitions.includes(p) ? 'bg-orange-100 border-orange-300 text-orange-800' : 'bg-white border-slate-200'}`}
+                                >
+                                    {p}
+                                </button>
+                        ))}
+                    </div>
+                    <input type="range" min={50} max={100} step={5} value={Math.round(workload.hotWeight * 100)} onChange={(e) => set({ hotWeight: Number(e.target.value) / 100 })} className="w-full mt-1" />
+                </div>
+                <div>
+                    <div className="text-xs text-slate-500">Late-arriving updates: {Math.round(workload.lateRatio * 100)}% ({workload.lateByMinutes} min older than stored)</div>
+                    <input type="range" min={0} max={100} step={5} value={Math.round(workload.lateRatio * 100)} onChange={(e) => set({ lateRatio: Number(e.target.value) / 100 })} className="w-full" />
+                </div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Merge Mode Panel & Diff         *|
+ \***********************************/
+function MergeModePanel({ merge, onApply }) {
+    const [mode, setMode] = useState(merge.mode);
+    const [code, setCode] = useState(merge.customCode);
+    const dirty = mode !== merge.mode || (mode === 'CUSTOM' && code !== merge.customCode);
+    return (
+            <div className="mt-3">
+                <div className="flex items-center gap-2">
+                    <label className="text-xs text-slate-500">Merge mode</label>
+                    <select value={mode} onChange={(e) => setMode(e.target.value)} className="ml-auto text-xs p-1 rounded border">
+                        {MERGE_MODES.map((m) => (
+                                <option key={m} value={m}>{m}</option>
+                        ))}
+                    </select>
+                </div>
+                {mode === 'CUSTOM' && (
+                        <>
+                            <textarea value={code} onChange={(e) => setCode(e.target.value)} spellCheck={false} rows={5} className="mt-2 w-full text-[11px] font-mono p-2 rounded border bg-slate-50" />
+                            <div className="mt-1 text-[11px] text-amber-700">The body runs as plain JavaScript in this page, unsandboxed: only apply code you wrote or have read.</div>
+                        </>
+                )}
+                {dirty && (
+                        <ClickyButton className="bg-sky-600 text-white mt-2" onClick={() => onApply(mode, code)}>Apply merge mode</ClickyButton>
+                )}
+            </div>
+    );
+}
+
+// Before/after of each merged key; only fields that differ are listed
+function MergeDiff({ merges, mode }) {
+    const changed = (m) => Object.keys({ ...m.before, ...m.after }).filter((f) => JSON.stringify(m.before[f]) !== JSON.stringify(m.after[f]));
+    return (
+            <div className="mb-2 text-xs">
+                <div className="font-medium text-sky-800 mb-1">Merged keys ({merges.length}) • {mode}</div>
+                <div className="max-h-48 overflow-auto">
+                    <table className="w-full text-left">
+                        <thead className="sticky top-0 bg-slate-100">
+                        <tr>
+                            <th className="px-2 py-1">Key</th>
+                            <th className="px-2 py-1">Before → After</th>
+                        </tr>
+                        </thead>
+                        <tbody>
+                        {merges.slice(0, 100).map((m) => {
+                            const fields = changed(m);
+                            return (
+                                    <tr key={`${m.partition}/${m.key}`} className="odd:bg-white even:bg-slate-50 align-top">
+                                        <td className="px-2 py-1 font-mono">{m.key}</td>
+                                        <td className="px-2 py-1 font-mono">
+                                            {fields.length === 0 ? (
+                                                    <span className="text-amber-700">stored version kept</span>
+                                            ) : (
+                                                    fields.map((f) => (
+                                                            <div key={f}>{f}: {JSON.stringify(m.before[f])} → {JSON.stringify(m.after[f])}</div>
+                                                    ))
+                                            )}
+                                        </td>
+                                    </tr>
+                            );
+                        })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Index Panel & Lookup            *|
+ \***********************************/
+
+// Without `onChange` the panel only shows the table's index: it is fixed when the table is created
+function IndexPanel({ index, onChange }) {
+    return (
+            <fieldset disabled={!onChange} className="mt-3 grid grid-cols-2 gap-2 items-end" title={onChange ? undefined : 'Set when the table is created (New Table…)'}>
+                <label className="text-xs text-slate-500">
+                    Index
+                    <select value={index.type} onChange={(e) => onChange({ indexType: e.target.value, ...(e.target.value === 'BUCKET' && { scope: 'PARTITIONED' }) })} className="mt-1 w-full text-sm p-1 rounded border">
+                        {INDEX_TYPES.map((t) => (
+                                <option key={t} value={t}>{t}</option>
+                        ))}
+                    </select>
+                </label>
+                {index.type === 'BUCKET' ? (
+                        <label className="text-xs text-slate-500">
+                            Buckets per partition
+                            <input type="number" min={1} value={index.numBuckets} onChange={(e) => onChange({ numBuckets: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border" />
+                        </label>
+                ) : (
+                        <label className="text-xs text-slate-500">
+                            Scope
+                            <select value={index.scope} onChange={(e) => onChange({ scope: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                                {INDEX_SCOPES.map((sc) => (
+                                        <option key={sc} value={sc}>{sc}</option>
+                                ))}
+                            </select>
+                        </label>
+                )}
+                {index.type === 'BLOOM' && (
+                        <label className="text-xs text-slate-500 col-span-2">
+                            Bloom false-positive rate: {index.bloomFpp}
+                            <input type="range" min={0} max={0.5} step={0.05} value={index.bloomFpp} onChange={(e) => onChange({ bloomFpp: Number(e.target.value) })} className="w-full" />
+                        </label>
+                )}
+                <p className="text-xs text-slate-500 col-span-2">
+                    {index.type === 'BUCKET' ? 'Keys hash to a fixed bucket (one file group each).' : 'Upserts look keys up to find the file group already holding them.'}
+                    {!onChange && ' Fixed at creation (hoodie.index.type).'}
+                </p>
+            </fieldset>
+    );
+}
+
+// How an upsert's index lookup went: the file groups it probed (range pruning, bloom checks, keys read) and where
+// every incoming key was routed
+function IndexLookup({ lookup }) {
+    const bloom = lookup.type === 'BLOOM';
+    const falsePositives = lookup.probes.reduce((n, p) => n + p.falsePositives, 0);
+    return (
+            <div className="mb-2 text-xs space-y-2">
+                <div className="font-medium text-indigo-800">
+                    Index lookup • {lookup.type} ({lookup.scope}{lookup.numBuckets ? `, ${lookup.numBuckets} buckets` : ''}{bloom ? `, fpp ${lookup.bloomFpp}` : ''})
+                    <span className="font-normal text-slate-600"> • {lookup.filesRead} files read, {lookup.keysRead} keys compared{bloom ? `, ${falsePositives} false positives` : ''}</span>
+                </div>
+                {lookup.probes.length > 0 && (
+                        <table className="w-full text-left">
+                            <thead className="bg-slate-100">
+                            <tr>
+                                <th className="px-2 py-1">FileGroup</th>
+                                {bloom && <th className="px-2 py-1">Range pruned</th>}
+                                {bloom && <th className="px-2 py-1">Bloom checks / hits</th>}
+                                {bloom && <th className="px-2 py-1">False +</th>}
+                                <th className="px-2 py-1">Keys read</th>
+                                <th className="px-2 py-1">Matches</th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                            {lookup.probes.map((p) => (
+                                    <tr key={p.fileGroupId} className="odd:bg-white even:bg-slate-50 align-top">
+                                        <td className="px-2 py-1" title={p.files.join('\n')}>{p.fileGroupId} <span className="text-slate-400">{p.partition} • {p.files.length} files</span></td>
+                                        {bloom && <td className="px-2 py-1">{p.rangePruned}</td>}
+                                        {bloom && <td className="px-2 py-1">{p.bloomChecks} / {p.bloomHits}</td>}
+                                        {bloom && <td className={`px-2 py-1 ${p.falsePositives ? 'text-rose-600 font-medium' : ''}`}>{p.falsePositives}</td>}
+                                        <td className="px-2 py-1">{p.keysRead || '—'}</td>
+                                        <td className="px-2 py-1">{p.matches}</td>
+                                    </tr>
+                            ))}
+                            </tbody>
+                        </table>
+                )}
+                <div className="max-h-32 overflow-auto font-mono flex flex-wrap gap-1">
+                    {lookup.records.slice(0, 200).map((r, idx) => (
+                            <span
+                                    key={`${idx}/${r.key}`}
+                                    className={`px-1.5 py-0.5 rounded border ${r.location === 'update' ? 'bg-sky-50 border-sky-200' : 'bg-emerald-50 border-emerald-200'}`}
+                                    title={`${r.location} → ${r.fileGroupId} (${r.partition})${r.bucket !== undefined ? ` • bucket ${r.bucket}` : ''}${r.falsePositives.length ? ` • bloom false positive in ${r.falsePositives.join(', ')}` : ''}`}
+                            >
+                                {r.key} → {r.fileGroupId}{r.falsePositives.length > 0 && <span className="text-rose-600"> ✗{r.falsePositives.length}</span>}
+                            </span>
+                    ))}
+                </div>
+                <div className="text-slate-500">Blue: update of the file group holding the key • green: insert{bloom ? ' • ✗: bloom false positives that read a file group for nothing' : ''}</div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* File Sizing                     *|
+ \***********************************/
+
+const KB = 1024;
+
+function FileSizingPanel({ sizing, onChange }) {
+    const field = (key, label) => (
+            <label className="text-xs text-slate-500">
+                {label}
+                <input type="number" min={1} value={sizing[key] / KB} onChange={(e) => onChange({ [key]: Number(e.target.value) * KB })} className="mt-1 w-full text-sm p-1 rounded border" />
+            </label>
+    );
+    return (
+            <div className="mt-3">
+                <div className="grid grid-cols-3 gap-2 items-end">
+                    {field('maxFileSize', 'Max file (KB)')}
+                    {field('smallFileLimit', 'Small file (KB)')}
+                    {field('recordSizeEstimate', 'Record (KB)')}
+                </div>
+                <label className="mt-2 block text-xs text-slate-500">
+                    Log → base compression ratio: {sizing.logCompressionRatio}
+                    <input type="range" min={0.1} max={1} step={0.05} value={sizing.logCompressionRatio} onChange={(e) => onChange({ logCompressionRatio: Number(e.target.value) })} className="w-full" />
+                </label>
+                <p className="text-xs text-slate-500 mt-1">New inserts top up file groups under the small file limit, then open new groups of at most the max file size.</p>
+            </div>
+    );
+}
+
+// A file group's size against the max file size; the tick marks the small file limit
+function FillLevel({ rows, sizing }) {
+    const bytes = bytesOf(rows, sizing);
+    const pct = Math.min(100, (bytes / sizing.maxFileSize) * 100);
+    const small = bytes < sizing.smallFileLimit;
+    return (
+            <div className="mt-1 w-40 ml-auto" title={`${rows} rows ≈ ${(bytes / KB).toFixed(0)} KB of ${(sizing.maxFileSize / KB).toFixed(0)} KB${small ? ' • small file' : ''}`}>
+                <div className="relative h-2 rounded bg-slate-100 overflow-hidden">
+                    <div className={`h-2 ${small ? 'bg-amber-400' : 'bg-emerald-500'}`} style={{ width: `${pct}%` }} />
+                    <div className="absolute top-0 h-2 w-px bg-slate-500" style={{ left: `${(sizing.smallFileLimit / sizing.maxFileSize) * 100}%` }} />
+                </div>
+                <div className="text-[11px] text-slate-500">{(bytes / KB).toFixed(0)} / {(sizing.maxFileSize / KB).toFixed(0)} KB{small ? ' • small' : ''}</div>
+            </div>
+    );
+}
+
+// Where a commit's new keys went: small file groups topped up first, then new groups
+function InsertPlacement({ placement }) {
+    return (
+            <div className="mb-2 text-xs space-y-1">
+                <div className="font-medium text-emerald-800">
+                    Insert placement • max {(placement.maxFileSize / KB).toFixed(0)} KB ({placement.recordsPerFile} records), small file limit {(placement.smallFileLimit / KB).toFixed(0)} KB
+                </div>
+                {placement.groups.map((g) => (
+                        <div key={g.fileGroupId}>
+                            <span className="font-medium">{g.partition}</span> {g.fileGroupId}:{' '}
+                            {g.newGroup ? <span className="text-teal-700">new file group, {g.records} records</span> : <span>small file topped up {g.rowsBefore} → {g.rowsBefore + g.records} records</span>}
+                        </div>
+                ))}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Delete Panel                    *|
+ \***********************************/
+function DeletePanel({ liveRecords, storage, partitions, onDeleteKeys, onDeleteWhere, onDeletePartition }) {
+    const [selectedKeys, setSelectedKeys] = useState([]);
+    const fields = useMemo(() => Object.keys(liveRecords[0] || {}).filter((f) => !f.startsWith("_hoodie_")), [liveRecords]);
+    const [where, setWhere] = useState({ field: "", op: "=", value: "" });
+    const field = fields.includes(where.field) ? where.field : fields[0] || "";
+    const keys = useMemo(() => [...new Set(liveRecords.map((r) => r._hoodie_record_key))].slice(0, 200), [liveRecords]);
+    const [partition, setPartition] = useState("");
+    const doomed = partitions.includes(partition) ? partition : partitions[0] || "";
+
+    return (
+            <div>
+                <h2 className="font-semibold mb-2">Delete</h2>
+                <select multiple value={selectedKeys} onChange={(e) => setSelectedKeys([...e.target.selectedOptions].map((o) => o.value))} className="text-xs font-mono p-1 rounded border w-full h-24">
+                    {keys.map((k) => (
+                            <option key={k} value={k}>{k}</option>
+                    ))}
+                </select>
+                <ClickyButton
+                        className="bg-rose-600 text-white mt-2"
+                        disabled={selectedKeys.length === 0}
+                        onClick={() => {
+                            onDeleteKeys(selectedKeys);
+                            setSelectedKeys([]);
+                        }}
+                >
+                    Delete selected keys ({selectedKeys.length})
+                </ClickyButton>
+
+                <div className="grid grid-cols-3 gap-2 mt-3">
+                    <select value={field} onChange={(e) => setWhere((w) => ({ ...w, field: e.target.value }))} className="text-xs p-1 rounded border">
+                        {fields.map((f) => (
+                                <option key={f} value={f}>{f}</option>
+                        ))}
+                    </select>
+                    <select value={where.op} onChange={(e) => setWhere((w) => ({ ...w, op: e.target.value }))} className="text-xs p-1 rounded border">
+                        {PREDICATE_OPS.map((op) => (
+                                <option key={op} value={op}>{op}</option>
+                        ))}
+                    </select>
+                    <input value={where.value} onChange={(e) => setWhere((w) => ({ ...w, value: e.target.value }))} placeholder="value" className="text-xs p-1 rounded border" />
+                </div>
+                <ClickyButton className="bg-rose-500 text-white mt-2" disabled={!field} onClick={() => onDeleteWhere({ ...where, field })}>
+                    Delete by predicate
+                </ClickyButton>
+                <p className="text-xs text-slate-500 mt-2">
+                    {storage === 'mor' ? 'MoR appends a log file with a delete block (tombstones) per file group.' : 'CoW rewrites base files without the deleted rows.'}
+                </p>
+
+                <div className="grid grid-cols-2 gap-2 mt-3">
+                    <select value={doomed} onChange={(e) => setPartition(e.target.value)} className="text-xs p-1 rounded border">
+                        {partitions.map((p) => (
+                                <option key={p} value={p}>{p}</option>
+                        ))}
+                    </select>
+                    <ClickyButton className="bg-rose-700 text-white" disabled={!doomed} onClick={() => onDeletePartition(doomed)}>
+                        Delete partition
+                    </ClickyButton>
+                </div>
+                <p className="text-xs text-slate-500 mt-2">delete_partition writes no data: a replacecommit retires every file group of the partition.</p>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Overwrite & Delete Partition    *|
+ \***********************************/
+
+const OVERWRITE_OPERATIONS = ["insert_overwrite", "insert_overwrite_table", "delete_partition"];
+
+// The file ids a replacecommit from insert_overwrite(_table) or delete_partition retired, and the groups it wrote
+function ReplaceDetail({ instant }) {
+    const replaced = instant.partitionToReplaceFileIds || {};
+    return (
+            <div className="mb-2 text-xs space-y-1">
+                <div className="text-amber-700">
+                    {instant.operation}: {instant.replacedFileIds.length} file group{instant.replacedFileIds.length === 1 ? '' : 's'} replaced
+                    {instant.newFileGroupIds ? `, ${instant.newFileGroupIds.length} written` : ''}
+                </div>
+                {Object.entries(replaced).map(([partition, fileIds]) => (
+                        <div key={partition} className="font-mono text-slate-500">{partition}: {fileIds.join(', ')}</div>
+                ))}
+                {instant.newFileGroupIds && <div className="text-teal-700">New file groups: {instant.newFileGroupIds.join(', ')}</div>}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Cleaner Panel & Clean Plan      *|
+ \***********************************/
+
+const CLEANER_PARAM_LABELS = { commitsRetained: "Commits retained", fileVersionsRetained: "File versions retained", hoursRetained: "Hours retained" };
+
+// Like the index, the cleaner is fixed at creation; without `onChange` the panel only shows it
+function CleanerPanel({ cleaner, onChange }) {
+    const param = CLEANER_POLICY_PARAMS[cleaner.policy];
+    return (
+            <fieldset disabled={!onChange} className="mt-2 grid grid-cols-2 gap-2 items-end" title={onChange ? undefined : 'Set when the table is created (New Table…)'}>
+                <label className="text-xs text-slate-500">
+                    Cleaner policy
+                    <select value={cleaner.policy} onChange={(e) => onChange({ policy: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                        {CLEANER_POLICIES.map((p) => (
+                                <option key={p} value={p}>{p}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-xs text-slate-500">
+                    {CLEANER_PARAM_LABELS[param]}
+                    <input type="number" min={1} value={cleaner[param]} onChange={(e) => onChange({ [param]: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border" />
+                </label>
+            </fieldset>
+    );
+}
+
+// The files a clean plans to delete (REQUESTED) or deleted (COMPLETED), per partition
+function CleanPlan({ instant }) {
+    const { plan } = instant;
+    const param = CLEANER_POLICY_PARAMS[plan.policy];
+    const partitions = Object.entries(plan.filesToDelete);
+    return (
+            <div className="mb-2 text-xs space-y-1">
+                <div className="text-slate-600">
+                    {plan.policy} ({CLEANER_PARAM_LABELS[param]}: {plan[param]}){plan.earliestCommitToRetain && ` • earliest commit to retain: ${plan.earliestCommitToRetain}`}
+                    {plan.retainedForSavepoints > 0 && ` • ${plan.retainedForSavepoints} slices kept for savepoints`}
+                </div>
+                <div className="font-medium text-rose-700">{instant.state === 'COMPLETED' ? 'Deleted' : 'Will delete'} ({partitions.reduce((n, [, files]) => n + files.length, 0)} files)</div>
+                {partitions.length === 0 && <div className="text-slate-500">Nothing to clean under this policy.</div>}
+                {partitions.map(([partition, files]) => (
+                        <div key={partition}>
+                            <div className="font-medium">{partition}</div>
+                            <div className="font-mono flex flex-wrap gap-1">
+                                {files.map((f) => (
+                                        <span key={f} className={`px-1.5 py-0.5 rounded border ${instant.state === 'COMPLETED' ? 'bg-rose-50 border-rose-200 line-through' : 'bg-white border-rose-200'}`}>{f}</span>
+                                ))}
+                            </div>
+                        </div>
+                ))}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Compaction Panel & Plan         *|
+ \***********************************/
+
+function CompactionPanel({ compaction, onChange }) {
+    const num = (key, label) => (
+            <label className="text-xs text-slate-500">
+                {label}
+                <input type="number" min={1} value={compaction[key]} onChange={(e) => onChange({ [key]: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border" />
+            </label>
+    );
+    return (
+            <div className="mt-2 p-2 rounded border border-yellow-200 bg-yellow-50 space-y-2">
+                <div className="grid grid-cols-2 gap-2 items-end">
+                    <label className="text-xs text-slate-500">
+                        Strategy
+                        <select value={compaction.strategy} onChange={(e) => onChange({ strategy: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                            {COMPACTION_STRATEGIES.map((s) => (
+                                    <option key={s} value={s}>{s}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {compaction.strategy === 'LOG_FILE_SIZE' && num('logSizeThreshold', 'Min log rows')}
+                    {compaction.strategy === 'BOUNDED_IO' && num('targetIO', 'Target IO (rows)')}
+                </div>
+                <label className="flex items-center gap-2 text-xs text-slate-600">
+                    <input type="checkbox" checked={compaction.autoSchedule} onChange={(e) => onChange({ autoSchedule: e.target.checked })} />
+                    Auto-schedule after writes
+                </label>
+                {compaction.autoSchedule && (
+                        <div className="grid grid-cols-2 gap-2 items-end">
+                            <label className="text-xs text-slate-500">
+                                Trigger
+                                <select value={compaction.trigger} onChange={(e) => onChange({ trigger: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                                    {COMPACTION_TRIGGERS.map((t) => (
+                                            <option key={t} value={t}>{t}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="text-xs text-slate-500">
+                                Execution
+                                <select value={compaction.execution} onChange={(e) => onChange({ execution: e.target.value })} className="mt-1 w-full text-sm p-1 rounded border">
+                                    {COMPACTION_EXECUTIONS.map((x) => (
+                                            <option key={x} value={x}>{x}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {compaction.trigger !== 'TIME_ELAPSED' && num('deltaCommits', 'Delta commits (N)')}
+                            {compaction.trigger !== 'NUM_COMMITS' && num('deltaSeconds', 'Seconds (T)')}
+                        </div>
+                )}
+            </div>
+    );
+}
+
+// The file slices a compaction plans to merge, per file group
+function CompactionPlan({ instant }) {
+    const { plan } = instant;
+    return (
+            <div className="mb-2 text-xs">
+                <div className="text-slate-600 mb-1">
+                    Strategy {plan.strategy}
+                    {plan.logSizeThreshold && ` • min log rows ${plan.logSizeThreshold}`}
+                    {plan.targetIO && ` • target IO ${plan.targetIO}`} • planned IO {plan.totalIO} rows
+                </div>
+                <table className="w-full text-left">
+                    <thead className="bg-slate-100">
+                    <tr>
+                        <th className="px-2 py-1">File group</th>
+                        <th className="px-2 py-1">Slice</th>
+                        <th className="px-2 py-1">Base / log files</th>
+                        <th className="px-2 py-1">Log rows</th>
+                        <th className="px-2 py-1">IO</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {plan.operations.map((op) => (
+                            <tr key={op.fileGroupId} className="odd:bg-white even:bg-slate-50 align-top">
+                                <td className="px-2 py-1">{op.fileGroupId}<div className="text-slate-400">{op.partition}</div></td>
+                                <td className="px-2 py-1 font-mono">@{op.baseInstant}</td>
+                                <td className="px-2 py-1 font-mono">{[op.baseFile || '(no base)', ...op.logFiles].map((f) => <div key={f}>{f}</div>)}</td>
+                                <td className="px-2 py-1">{op.logRows}</td>
+                                <td className="px-2 py-1">{op.io}</td>
+                            </tr>
+                    ))}
+                    </tbody>
+                </table>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Clustering Panel & Plan         *|
+ \***********************************/
+
+function ClusteringPanel({ clustering, fields, onChange }) {
+    const sortColumns = clustering.sortColumns.filter((c) => fields.includes(c));
+    const toggle = (f) => onChange({ sortColumns: sortColumns.includes(f) ? sortColumns.filter((c) => c !== f) : [...sortColumns, f] });
+    return (
+            <div className="mt-3 p-2 rounded border border-teal-200 bg-teal-50 space-y-2">
+                <div className="text-xs text-slate-500">Sort columns (in click order)</div>
+                <div className="flex flex-wrap gap-1">
+                    {fields.map((f) => (
+                            <button key={f} type="button" onClick={() => toggle(f)} className={`px-2 py-0.5 text-[11px] rounded border ${sortColumns.includes(f) ? 'bg-teal-600 text-white border-teal-600' : 'bg-white border-slate-300'}`}>
+                                {sortColumns.includes(f) && `${sortColumns.indexOf(f) + 1}. `}{f}
+                            </button>
+                    ))}
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="text-xs text-slate-500">
+                        Small file limit (rows)
+                        <input type="number" min={1} value={clustering.smallFileRows} onChange={(e) => onChange({ smallFileRows: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border" />
+                    </label>
+                    <label className="text-xs text-slate-500">
+                        Target file size (rows)
+                        <input type="number" min={1} value={clustering.targetFileRows} onChange={(e) => onChange({ targetFileRows: Number(e.target.value) })} className="mt-1 w-full text-sm p-1 rounded border" />
+                    </label>
+                </div>
+            </div>
+    );
+}
+
+// The file groups a clustering rewrites per partition, and once completed the file ids it replaced
+function ClusteringPlan({ instant }) {
+    const { plan } = instant;
+    return (
+            <div className="mb-2 text-xs space-y-1">
+                <div className="text-slate-600">
+                    Sort by {plan.sortColumns.length ? plan.sortColumns.join(', ') : '(none)'} • small file limit {plan.smallFileRows} rows • target {plan.targetFileRows} rows
+                </div>
+                {plan.inputGroups.map((g) => (
+                        <div key={g.partition}>
+                            <span className="font-medium">{g.partition}</span>: {g.fileGroupIds.join(', ')} ({g.rows} rows) → {g.outputGroups} file group{g.outputGroups === 1 ? '' : 's'}
+                            {instant.partitionToReplaceFileIds && (
+                                    <div className="font-mono text-slate-500">replaced: {instant.partitionToReplaceFileIds[g.partition].join(', ')}</div>
+                            )}
+                        </div>
+                ))}
+                {instant.newFileGroupIds && <div className="text-teal-700">New file groups: {instant.newFileGroupIds.join(', ')}</div>}
+            </div>
+    );
+}
+
+/***********************************\
+ |* Rollback & Restore             *|
+ \***********************************/
+
+// Markers and partial files of a failed write, or what a rollback instant removed
+function RollbackDetail({ instant }) {
+    const files = instant.rolledBack ? instant.deletedFiles.map((f) => `${f.partition}/${f.name}`) : instant.partialFiles;
+    return (
+            <div className="mb-2 text-xs space-y-2">
+                {instant.rolledBack ? (
+                        <div className="text-fuchsia-700">
+                            Rolled back {instant.rolledBack.type}@{instant.rolledBack.instantTime} ({instant.rolledBack.notes}): {instant.deletedFiles.length} files, {instant.records} rows removed
+                        </div>
+                ) : (
+                        <div className="text-rose-700">Writer failed before completing: {files.length} partial files are invisible to readers until this instant is rolled back.</div>
+                )}
+                <div>
+                    <div className="font-medium mb-1">{instant.rolledBack ? 'Deleted files' : 'Partial files'} ({files.length})</div>
+                    <div className="font-mono flex flex-wrap gap-1">
+                        {files.map((f) => (
+                                <span key={f} className="px-1.5 py-0.5 rounded bg-white border border-rose-200">{f}</span>
+                        ))}
+                    </div>
+                </div>
+                <div>
+                    <div className="font-medium mb-1">Marker files ({instant.markers.length})</div>
+                    <div className="font-mono flex flex-wrap gap-1">
+                        {instant.markers.map((m) => (
+                                <span key={m.name} className="px-1.5 py-0.5 rounded bg-white border border-slate-300" title={`${m.type} marker • ${m.fileGroupId}`}>{m.name}</span>
+                        ))}
+                    </div>
+                </div>
+            </div>
+    );
+}
+
+// Writes a restore rolled back and the files it deleted
+function RestoreDetail({ instant }) {
+    return (
+            <div className="mb-2 text-xs space-y-2">
+                <div className="text-violet-700">
+                    Restored to savepoint {instant.restoredTo}: {instant.rolledBackInstants.length} instants rolled back, {instant.deletedFiles.length} files and {instant.records} rows removed
+                </div>
+                <div className="font-mono flex flex-wrap gap-1">
+                    {instant.rolledBackInstants.map((i) => (
+                            <span key={i.instantTime} className="px-1.5 py-0.5 rounded bg-white border border-violet-200" title={i.notes}>{i.type}@{i.instantTime}</span>
+                    ))}
+                </div>
+            </div>
+    );
+}
+
+/***********************************\
+ |* Storage Metrics                 *|
+ \***********************************/
+
+const formatBytes = (b) => (b >= 1024 * 1024 ? `${(b / 1024 / 1024).toFixed(1)} MB` : `${(b / 1024).toFixed(1)} KB`);
+const formatRatio = (r) => (r === null || r === undefined ? '—' : `${r.toFixed(2)}×`);
+
+// What one instant wrote against what it changed logically
+function InstantMetrics({ metrics }) {
+    return (
+            <div className="mb-2 text-xs text-slate-600">
+                Wrote {formatBytes(metrics.bytesWritten)} in {metrics.filesWritten} file{metrics.filesWritten === 1 ? '' : 's'}
+                {metrics.logicalBytes > 0 && <> • logical change {formatBytes(metrics.logicalBytes)} • write amplification {formatRatio(metrics.writeAmplification)}</>}
+                {' '}• storage after: {formatBytes(metrics.totalBytes)} ({formatBytes(metrics.obsoleteBytes)} obsolete)
+            </div>
+    );
+}
+
+// Estimated bytes over the timeline: written per instant, storage footprint (live vs obsolete), file count,
+// write amplification (per instant and cumulative) and snapshot read amplification
+function MetricsPanel({ timeline }) {
+    const data = useMemo(() => {
+        let written = 0;
+        let logical = 0;
+        return [...timeline]
+                .reverse()
+                .filter((i) => i.metrics)
+                .map((i, idx) => {
+                    written += i.metrics.bytesWritten;
+                    logical += i.metrics.logicalBytes;
+                    return {
+                        idx: idx + 1,
+                        type: i.type,
+                        instantTime: i.instantTime,
+                        writtenKB: i.metrics.bytesWritten / 1024,
+                        liveKB: i.metrics.liveBytes / 1024,
+                        obsoleteKB: i.metrics.obsoleteBytes / 1024,
+                        files: i.metrics.fileCount,
+                        wa: i.metrics.writeAmplification,
+                        cumulativeWA: logical > 0 ? written / logical : null,
+                        ra: i.metrics.readAmplification,
+                    };
+                });
+    }, [timeline]);
+    const last = data.at(-1);
+    const latest = timeline.find((i) => i.metrics)?.metrics;
+    const label = (l, payload) => {
+        const p = (payload && payload[0] && payload[0].payload) || {};
+        return `${p.type || ''} #${l} ${p.instantTime || ''}`;
+    };
+    const kb = (v) => `${Number(v).toFixed(1)} KB`;
+    return (
+            <div className="bg-white p-4 rounded-2xl shadow">
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold">Storage & Amplification</h2>
+                    <span className="text-xs text-slate-500">Estimated bytes: base files columnar, log files row-based (see file sizing)</span>
+                </div>
+                {!last ? (
+                        <div className="text-sm text-slate-500 mt-3">Commit some records to see metrics.</div>
+                ) : (
+                        <>
+                            <div className="mt-3 grid grid-cols-4 gap-2 text-center">
+                                <div className="p-2 rounded bg-slate-50"><div className="text-[11px] text-slate-500">Storage</div><div className="font-semibold">{formatBytes(latest.totalBytes)}</div></div>
+                                <div className="p-2 rounded bg-slate-50"><div className="text-[11px] text-slate-500">Obsolete</div><div className="font-semibold">{formatBytes(latest.obsoleteBytes)}</div></div>
+                                <div className="p-2 rounded bg-slate-50"><div className="text-[11px] text-slate-500">Write amp. (cumulative)</div><div className="font-semibold">{formatRatio(last.cumulativeWA)}</div></div>
+                                <div className="p-2 rounded bg-slate-50"><div className="text-[11px] text-slate-500">Read amp. (snapshot)</div><div className="font-semibold">{formatRatio(latest.readAmplification)}</div></div>
+                            </div>
+                            <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div style={{ height: 180 }}>
+                                    <div className="text-xs text-slate-500">Bytes written per instant</div>
+                                    <ResponsiveContainer width="100%" height="90%">
+                                        <BarChart data={data}>
+                                            <XAxis dataKey="idx" />
+                                            <YAxis />
+                                            <Tooltip formatter={(v) => [kb(v), 'written']} labelFormatter={label} />
+                                            <Bar dataKey="writtenKB" fill="#0ea5e9" />
+                                        </BarChart>
+                                    </ResponsiveContainer>
+                                </div>
+                                <div style={{ height: 180 }}>
+                                    <div className="text-xs text-slate-500">Storage: live vs obsolete (KB), file count</div>
+                                    <ResponsiveContainer width="100%" height="90%">
+                                        <ComposedChart data={data}>
+                                            <XAxis dataKey="idx" />
+                                            <YAxis yAxisId="kb" />
+                                            <YAxis yAxisId="files" orientation="right" allowDecimals={false} />
+                                            <Tooltip formatter={(v, name) => [name === 'files' ? v : kb(v), name]} labelFormatter={label} />
+                                            <Legend wrapperStyle={{ fontSize: 11 }} />
+                                            <Area yAxisId="kb" type="stepAfter" dataKey="liveKB" name="live" stackId="s" stroke="#10b981" fill="#a7f3d0" />
+                                            <Area yAxisId="kb" type="stepAfter" dataKey="obsoleteKB" name="obsolete" stackId="s" stroke="#f59e0b" fill="#fde68a" />
+                                            <Line yAxisId="files" type="stepAfter" dataKey="files" stroke="#64748b" dot={false} />
+                                        </ComposedChart>
+                                    </ResponsiveContainer>
+                                </div>
+                                <div style={{ height: 180 }} className="md:col-span-2">
+                                    <div className="text-xs text-slate-500">Write amplification (bytes written / logical bytes changed) and snapshot read amplification</div>
+                                    <ResponsiveContainer width="100%" height="90%">
+                                        <LineChart data={data}>
+                                            <XAxis dataKey="idx" />
+                                            <YAxis />
+                                            <Tooltip formatter={(v, name) => [formatRatio(v), name]} labelFormatter={label} />
+                                            <Legend wrapperStyle={{ fontSize: 11 }} />
+                                            <Line type="monotone" dataKey="wa" name="write amp. (instant)" stroke="#0ea5e9" connectNulls={false} />
+                                            <Line type="monotone" dataKey="cumulativeWA" name="write amp. (cumulative)" stroke="#6366f1" dot={false} connectNulls />
+                                            <Line type="stepAfter" dataKey="ra" name="read amp." stroke="#f43f5e" dot={false} connectNulls />
+                                        </LineChart>
+                                    </ResponsiveContainer>
+                                </div>
+                            </div>
+                        </>
+                )}
+            </div>
+    );
+}
+
+/***********************************\
+ |* MoR vs CoW Comparison           *|
+ \***********************************/
+
+// [label, cost field, format, lower is cheaper]
+const COMPARISON_ROWS = [
+    ['Instants', 'instants', String, false],
+    ['Bytes written', 'bytesWritten', formatBytes, true],
+    ['Files written', 'filesWritten', String, true],
+    ['Write amp.', 'writeAmplification', formatRatio, true],
+    ['Storage', 'totalBytes', formatBytes, true],
+    ['Obsolete', 'obsoleteBytes', formatBytes, true],
+    ['Files on storage', 'fileCount', String, true],
+    ['Snapshot bytes read', 'snapshotBytesRead', formatBytes, true],
+    ['Snapshot files read', 'snapshotFilesRead', String, true],
+    ['Read amp.', 'readAmplification', formatRatio, true],
+    ['Snapshot rows', 'snapshotRows', String, false],
+];
+
+// Two tables fed the same actions: write and query cost side by side, then each table's file groups, timeline and read
+function ComparisonView({ mor, cow }) {
+    const cmp = useMemo(() => compareTables({ mor, cow }), [mor, cow]);
+    const cell = (side, other, [, field, format, cheaper]) => {
+        const v = cmp[side][field];
+        const wins = cheaper && v !== null && cmp[other][field] !== null && v < cmp[other][field];
+        return <td className={`p-1 text-right font-mono ${wins ? 'text-emerald-700 font-semibold' : ''}`}>{v === null ? '—' : format(v)}</td>;
+    };
+    const ratio = (field) => {
+        const [m, c] = [cmp.mor[field], cmp.cow[field]];
+        return m && c !== null ? `${(c / m).toFixed(2)}×` : '—';
+    };
+    return (
+            <div className="bg-white p-4 rounded-2xl shadow">
+                <div className="flex items-center justify-between">
+                    <h2 className="font-semibold">MoR vs CoW</h2>
+                    <span className={`text-[11px] px-2 py-0.5 rounded-full ${cmp.sameResults ? 'bg-emerald-100 text-emerald-700' : 'bg-rose-100 text-rose-700'}`}>
+                        {cmp.sameResults ? 'snapshot reads identical' : 'snapshot reads differ'}
+                    </span>
+                </div>
+                <p className="text-xs text-slate-500 mt-1">Same buffered batches and table services, same instant times. Green marks the cheaper side.</p>
+                <table className="w-full text-xs mt-3">
+                    <thead>
+                    <tr className="text-slate-500">
+                        <th className="p-1 text-left">Metric</th>
+                        <th className="p-1 text-right">MoR</th>
+                        <th className="p-1 text-right">CoW</th>
+                        <th className="p-1 text-right">CoW / MoR</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {COMPARISON_ROWS.map((row) => (
+                            <tr key={row[1]} className="border-t border-slate-100">
+                                <td className="p-1">{row[0]}</td>
+                                {cell('mor', 'cow', row)}
+                                {cell('cow', 'mor', row)}
+                                <td className="p-1 text-right font-mono text-slate-500">{ratio(row[1])}</td>
+                            </tr>
+                    ))}
+                    </tbody>
+                </table>
+                <div className="mt-4 grid grid-cols-2 gap-4">
+                    <ComparisonSide label="Merge-on-Read" table={mor} />
+                    <ComparisonSide label="Copy-on-Write" table={cow} />
+                </div>
+            </div>
+    );
+}
+
+// One side of the comparison: live file groups (latest slice), the timeline and the snapshot read
+function ComparisonSide({ label, table }) {
+    const snapshot = useMemo(() => readTable(table).snapshot, [table]);
+    const groups = table.fileGroups.filter((fg) => !fg.replacedBy && fg.slices.length > 0);
+    return (
+            <div className="space-y-3 min-w-0">
+                <h3 className="text-sm font-semibold">{label}</h3>
+                <div>
+                    <div className="text-xs text-slate-500 mb-1">File groups ({groups.length})</div>
+                    <div className="max-h-56 overflow-auto space-y-1">
+                        {groups.length === 0 && <div className="text-xs text-slate-400">No file groups yet.</div>}
+                        {groups.map((fg) => {
+                            const slice = latestSlice(fg);
+                            return (
+                                    <div key={fg.id} className="p-1.5 rounded border border-slate-200 text-[11px]">
+                                        <div className="text-slate-500">
+                                            {fg.partition} • {fg.id} • {fg.slices.length} slice{fg.slices.length === 1 ? '' : 's'}
+                                        </div>
+                                        <div className="flex flex-wrap gap-1 mt-1 font-mono">
+                                            {slice.baseFile && <span className="px-1.5 py-0.5 bg-slate-100 rounded" title={slice.baseFile.name}>base {slice.baseFile.rows}r</span>}
+                                            {slice.logFiles.map((lf) => (
+                                                    <span key={`${lf.name}@${lf.instantTime}`} className={`px-1.5 py-0.5 rounded ${lf.block === 'delete' ? 'bg-rose-100' : 'bg-amber-100'}`} title={lf.name}>
+                                                        log {lf.rows}r
+                                                    </span>
+                                            ))}
+                                        </div>
+                                    </div>
+                            );
+                        })}
+                    </div>
+                </div>
+                <div>
+                    <div className="text-xs text-slate-500 mb-1">Timeline ({table.timeline.length})</div>
+                    <div className="max-h-48 overflow-auto space-y-1">
+                        {table.timeline.map((ins) => (
+                                <div key={`${ins.instantTime}-${ins.type}`} className="px-2 py-1 rounded bg-slate-50 border border-slate-200 text-[11px] flex justify-between gap-2">
+                                    <span>
+                                        <span className="font-medium">{ins.type}</span>{' '}
+                                        <span className={ins.state === 'COMPLETED' ? 'text-emerald-700' : ins.state === 'INFLIGHT' ? 'text-yellow-700' : 'text-slate-500'}>{ins.state}</span>
+                                    </span>
+                                    <span className="font-mono text-slate-500">
+                                        {ins.instantTime}
+                                        {ins.metrics ? ` • ${formatBytes(ins.metrics.bytesWritten)}` : ''}
+                                    </span>
+                                </div>
+                        ))}
+                    </div>
+                </div>
+                <div>
+                    <div className="text-xs text-slate-500 mb-1">Snapshot read ({snapshot.length} rows)</div>
+                    <div className="max-h-40 overflow-auto text-[11px] font-mono">
+                        {snapshot.slice(0, 50).map((r) => (
+                                <div key={`${r._hoodie_partition_path}/${r._hoodie_record_key}`} className="truncate">
+                                    {r._hoodie_partition_path}/{r._hoodie_record_key} @{r._hoodie_commit_time}
+                                </div>
+                        ))}
+                        {snapshot.length > 50 && <div className="text-slate-500">… {snapshot.length - 50} more</div>}
+                    </div>
+                </div>
+            </div>
+    );
+}
+
 /***********************************\
  |* Read Simulator                  *|
  \***********************************/
@@ -630,13 +2473,23 @@ function EntityInfoPanel({ entity, clearSelection }) {
                 {data.fileGroupId && <div><span className="font-medium">FileGroup:</span> {data.fileGroupId}</div>}
                 {data.instantTime && <div><span className="font-medium">Instant:</span> {data.instantTime}</div>}
                 {typeof data.rows === 'number' && <div><span className="font-medium">Rows:</span> {data.rows}</div>}
-                {typeof data.version === 'number' && <div><span className="font-medium">Version:</span> v{data.version}</div>}
+                {typeof data.bytes === 'number' && <div><span className="font-medium">Size (est.):</span> {formatBytes(data.bytes)}</div>}
+                {Array.isArray(data.records) && data.records.length > 0 && (
+                        <div><span className="font-medium">Keys:</span> <span className="font-mono">{data.records.slice(0, 5).map((r) => r._hoodie_record_key).join(', ')}{data.records.length > 5 ? ' …' : ''}</span></div>
+                )}
+                {data.fileId && <div><span className="font-medium">File ID:</span> <span className="font-mono">{data.fileId}</span></div>}
+                {data.baseInstant && <div><span className="font-medium">Slice (base instant):</span> {data.baseInstant}</div>}
+                {typeof data.version === 'number' && <div><span className="font-medium">Log version:</span> {data.version}</div>}
+                {data.block && <div><span className="font-medium">Block:</span> {data.block}</div>}
+                {Array.isArray(data.slices) && <div><span className="font-medium">Slices:</span> {data.slices.map((s) => s.baseInstant).join(', ') || '—'}</div>}
+                {data.bucket !== undefined && <div><span className="font-medium">Bucket:</span> {data.bucket}</div>}
+                {data.replacedBy && <div><span className="font-medium">Replaced by:</span> replacecommit@{data.replacedBy} (retired)</div>}
             </div>
     );
     return (
             <div className="mt-3 border rounded-xl p-3 bg-sky-50">
                 <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">{type === 'fileGroup' ? `FileGroup ${data.id}` : type === 'base' ? `Base File ${data.id}` : `Delta File ${data.id}`}</div>
+                    <div className="text-sm font-semibold">{type === 'fileGroup' ? `FileGroup ${data.id}` : type === 'base' ? `Base File ${data.name}` : `Log File ${data.name}`}</div>
                     <button className="text-xs px-2 py-1 rounded bg-slate-200" onClick={clearSelection}>Close</button>
                 </div>
                 <div className="mt-2">{common}</div>
@@ -644,10 +2497,12 @@ function EntityInfoPanel({ entity, clearSelection }) {
     );
 }
 
-function ReadSimulator({ fileGroups, timeline, storage }) {
+function ReadSimulator({ fileGroups, timeline, storage, merge, savepoints }) {
     const [mode, setMode] = useState("snapshot"); // 'snapshot' | 'incremental'
     const completedInstants = useMemo(() => timeline.filter((i) => i.state === "COMPLETED"), [timeline]);
     const [asOf, setAsOf] = useState(completedInstants[0]?.instantTime || null);
+    // instants whose files a clean has deleted can no longer be time-travelled to
+    const unreadable = useMemo(() => new Map(completedInstants.map((i) => [i.instantTime, timeTravelError(timeline, i.instantTime)]).filter(([, e]) => e)), [completedInstants, timeline]);
 
     useEffect(() => {
         if (!completedInstants.length) return;
@@ -655,31 +2510,16 @@ function ReadSimulator({ fileGroups, timeline, storage }) {
     }, [completedInstants.length]);
 
     // Compute rows for current read, optionally as-of an instant
-    const { snapshotRows, incrementalRows } = useMemo(() => {
-        // For simplicity, treat each base/delta file as 1-row chunk entries with accumulated counts in base rows
-        // Time travel: include only files whose instantTime <= asOf
-        const includeFile = (f) => (asOf ? f.instantTime <= asOf : true);
-
-        let baseTotal = 0;
-        let deltaTotal = 0;
-        fileGroups.forEach((fg) => {
-            fg.baseFiles.filter(includeFile).forEach((b) => (baseTotal = Math.max(baseTotal, b.rows))); // take latest base rows count
-            fg.deltaFiles.filter(includeFile).forEach((d) => (deltaTotal += d.rows));
-        });
-
-        // Snapshot reads:
-        // - MoR: base + merged deltas (as-of)
-        // - CoW: just the latest base (as-of)
-        const snapshot = storage === "mor" ? baseTotal + deltaTotal : baseTotal;
-
-        // Incremental reads: only changes since last as-of instant (approx here: count deltas at that instant)
-        const inc = fileGroups.reduce(
-                (s, fg) => s + fg.deltaFiles.filter((d) => includeFile(d) && (!asOf || d.instantTime === asOf)).reduce((sd, d) => sd + d.rows, 0),
-                0
-        );
-
-        return { snapshotRows: snapshot, incrementalRows: inc };
-    }, [fileGroups, asOf, storage]);
+    const { snapshotRows, incrementalRows, uniqueKeys, incrementalDeletes, error } = useMemo(
+            () => {
+                try {
+                    return readTable({ fileGroups, storage, merge, timeline }, { asOf });
+                } catch (e) {
+                    return { snapshotRows: 0, incrementalRows: 0, uniqueKeys: 0, incrementalDeletes: [], error: e.message };
+                }
+            },
+            [fileGroups, asOf, storage, merge, timeline]
+    );
 
     return (
             <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -697,24 +2537,40 @@ function ReadSimulator({ fileGroups, timeline, storage }) {
                         <select value={asOf || ''} onChange={(e) => setAsOf(e.target.value || null)} className="text-sm p-1 rounded border w-full">
                             <option value="">(latest)</option>
                             {completedInstants.map((i) => (
-                                    <option key={i.instantTime} value={i.instantTime}>{i.type}@{i.instantTime}</option>
+                                    <option key={`${i.instantTime}-${i.type}`} value={i.instantTime} disabled={unreadable.has(i.instantTime)} title={unreadable.get(i.instantTime)} className={unreadable.has(i.instantTime) ? 'text-slate-400' : ''}>
+                                        {i.type}@{i.instantTime}{savepoints.has(i.instantTime) ? ' ★ savepoint' : ''}{unreadable.has(i.instantTime) ? ' (cleaned)' : ''}
+                                    </option>
                             ))}
                         </select>
                     </div>
 
                     <div className="mt-3 text-sm">Rows returned: <span className="font-semibold">{mode === 'snapshot' ? snapshotRows : incrementalRows}</span></div>
-                    <div className="text-xs text-slate-500 mt-1">Storage: {storage.toUpperCase()} • {mode === 'snapshot' ? 'Base + (MoR)Deltas / (CoW)Base' : 'Deltas at instant'}</div>
+                    {error && <div className="text-xs text-rose-600 mt-1">{error}</div>}
+                    {mode === 'snapshot' && <div className="text-xs text-slate-500 mt-1">Unique keys: {uniqueKeys}</div>}
+                    {mode === 'incremental' && incrementalDeletes.length > 0 && (
+                            <div className="text-xs text-rose-600 mt-1">Deletes at instant: {incrementalDeletes.length} ({incrementalDeletes.slice(0, 5).map((d) => d.key).join(', ')}{incrementalDeletes.length > 5 ? ' …' : ''})</div>
+                    )}
+                    <div className="text-xs text-slate-500 mt-1">Storage: {storage.toUpperCase()} • {mode === 'snapshot' ? 'Slice base merged with (MoR)log files by key / (CoW)base' : 'Records committed at instant'}</div>
                 </div>
 
                 <div className="p-3 bg-slate-50 rounded">
                     <div className="text-sm font-medium">Explain</div>
                     <div className="text-xs text-slate-600 mt-2">
                         <ul className="list-disc list-inside space-y-1">
-                            <li><b>Merge-on-Read</b>: Writes land in <i>delta</i> (log) files via <code>deltacommit</code>. Compaction later creates new base files.</li>
-                            <li><b>Copy-on-Write</b>: Each commit rewrites <i>base</i> files; no deltas or compaction.</li>
+                            <li><b>Merge-on-Read</b>: Writes land in <i>delta</i> (log) files via <code>deltacommit</code>. Compaction later writes the base file of a new file slice.</li>
+                            <li><b>Copy-on-Write</b>: Each commit rewrites <i>base</i> files (a new file slice); no log files or compaction.</li>
+                            <li><b>Table config</b>: The table type, record key, partition path and precombine fields, key generator and version live in <code>hoodie.properties</code> and are fixed at creation; only a migration changes the type (MoR → CoW after compacting every log file) or version.</li>
+                            <li><b>File slices</b>: A file group holds slices keyed by base instant: one base file (<code>fileId_writeToken_instant.parquet</code>) plus ordered log files (<code>.fileId_baseInstant.log.N</code>).</li>
+                            <li><b>Clustering</b>: Rewrites small file groups into fewer, sorted ones and records a <code>replacecommit</code>; replaced groups are retired and no longer read (time travel before the replacecommit still reads them).</li>
+                            <li><b>Deletes</b>: MoR appends delete blocks (tombstones) to log files that hide keys at read time; CoW rewrites base files without the rows.</li>
+                            <li><b>Merge modes</b>: When two versions of a key meet (in a batch, a CoW rewrite, compaction or a MoR read) the table's merge mode decides: commit time, event time (higher ordering value wins, so late data never overwrites newer data), partial update or a custom function. Current: <code>{merge.mode}</code>.</li>
+                            <li><b>Upsert vs Insert</b>: Upsert replaces the stored version of a record key in its file group; Insert skips the lookup and may write duplicate keys.</li>
+                            <li><b>Index</b>: Upserts tag each key with the file group holding it. SIMPLE reads every key in scope; BLOOM prunes by key range and bloom filter (false positives still cost a read); BUCKET hashes keys to a fixed file group per bucket with no lookup.</li>
+                            <li><b>File sizing</b>: New keys top up file groups under the small file limit before new groups are opened; no group grows past the max file size.</li>
+                            <li><b>Bulk insert & overwrite</b>: Bulk insert writes new file groups without a lookup; Insert Overwrite and delete_partition retire whole file groups with a replacecommit, so older reads still see them until the cleaner removes them.</li>
                             <li><b>Timeline (instants)</b>: Operations move through <code>REQUESTED → INFLIGHT → COMPLETED</code>.</li>
-                            <li><b>Snapshot reads</b>: MoR = base merged with deltas; CoW = latest base only. Time travel supported via "as of instant".</li>
-                            <li><b>Incremental reads</b>: Return changes at or since a given instant (simplified here as deltas at the selected instant).</li>
+                            <li><b>Snapshot reads</b>: MoR = slice base merged with its log files by record key; CoW = latest base only. Time travel supported via "as of instant", as long as a clean has not deleted the slices that instant needs (greyed out).</li>
+                            <li><b>Incremental reads</b>: Return changes at or since a given instant (simplified here as records whose latest version was committed at the selected instant).</li>
                         </ul>
                     </div>
                 </div>
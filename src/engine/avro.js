@@ -0,0 +1,177 @@
+import { inflateSync, strFromU8 } from "fflate";
+
+/***********************************\
+ |* Avro object container files     *|
+ \***********************************/
+
+// Hudi writes its table service plans and metadata (clean, compaction, rollback, savepoint, restore, clustering, and
+// from version 8 the commit metadata too) as Avro object container files: the magic 'Obj' 0x01, a header map holding
+// the writer schema (avro.schema) and codec (avro.codec), a 16-byte sync marker, then blocks of records. Records are
+// decoded generically against the writer schema into plain objects: records and maps as objects, arrays as arrays,
+// unions as the branch's value, enums as their symbol, bytes and fixed as Uint8Array, longs as numbers.
+const MAGIC = [0x4f, 0x62, 0x6a, 0x01];
+const CODECS = {
+    null: (bytes) => bytes,
+    deflate: (bytes) => inflateSync(bytes), // raw deflate, as RFC 1951
+};
+
+export const isAvroContainer = (bytes) => bytes instanceof Uint8Array && bytes.length >= 4 && MAGIC.every((b, i) => bytes[i] === b);
+
+// Reads Avro's binary encoding from a byte array
+function reader(bytes) {
+    let pos = 0;
+    const need = (n) => {
+        if (pos + n > bytes.length) throw new Error("truncated Avro data");
+    };
+    const r = {
+        done: () => pos >= bytes.length,
+        byte: () => {
+            need(1);
+            return bytes[pos++];
+        },
+        // zigzag varint; kept in doubles, exact up to 2^53
+        long: () => {
+            let n = 0;
+            let scale = 1;
+            let b;
+            do {
+                b = r.byte();
+                n += (b & 0x7f) * scale;
+                scale *= 128;
+            } while (b & 0x80);
+            return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+        },
+        fixed: (n) => {
+            need(n);
+            pos += n;
+            return bytes.subarray(pos - n, pos);
+        },
+        bytes: () => r.fixed(r.long()),
+        string: () => strFromU8(r.bytes()),
+        float: () => {
+            const b = r.fixed(4);
+            return new DataView(b.buffer, b.byteOffset, 4).getFloat32(0, true);
+        },
+        double: () => {
+            const b = r.fixed(8);
+            return new DataView(b.buffer, b.byteOffset, 8).getFloat64(0, true);
+        },
+        // arrays and maps come in blocks: a count (negative: followed by the block's size in bytes), 0 ends them
+        blocks: (readItem) => {
+            for (let count = r.long(); count !== 0; count = r.long()) {
+                if (count < 0) {
+                    r.long();
+                    count = -count;
+                }
+                for (let i = 0; i < count; i++) readItem();
+            }
+        },
+    };
+    return r;
+}
+
+// A decoder function for a schema; named types (records, enums, fixed) are registered by full and short name
+function decoderOf(schema, names = new Map(), namespace = "") {
+    if (typeof schema === "string") {
+        const primitive = PRIMITIVES[schema];
+        if (primitive) return primitive;
+        const named = names.get(schema) || names.get(namespace ? `${namespace}.${schema}` : schema);
+        if (!named) throw new Error(`unknown Avro type ${schema}`);
+        return (r) => named.decode(r);
+    }
+    if (Array.isArray(schema)) {
+        const branches = schema.map((s) => decoderOf(s, names, namespace));
+        return (r) => {
+            const branch = branches[r.long()];
+            if (!branch) throw new Error("Avro union branch out of range");
+            return branch(r);
+        };
+    }
+    const register = () => {
+        const space = schema.name.includes(".") ? schema.name.slice(0, schema.name.lastIndexOf(".")) : schema.namespace ?? namespace;
+        const short = schema.name.split(".").pop();
+        const entry = { decode: null };
+        names.set(space ? `${space}.${short}` : short, entry);
+        names.set(short, entry);
+        return { entry, space };
+    };
+    switch (schema.type) {
+        case "record":
+        case "error": {
+            const { entry, space } = register();
+            const fields = schema.fields.map((f) => ({ name: f.name, decode: decoderOf(f.type, names, space) }));
+            entry.decode = (r) => Object.fromEntries(fields.map((f) => [f.name, f.decode(r)]));
+            return entry.decode;
+        }
+        case "enum": {
+            const { entry } = register();
+            entry.decode = (r) => schema.symbols[r.long()];
+            return entry.decode;
+        }
+        case "fixed": {
+            const { entry } = register();
+            entry.decode = (r) => r.fixed(schema.size);
+            return entry.decode;
+        }
+        case "array": {
+            const item = decoderOf(schema.items, names, namespace);
+            return (r) => {
+                const out = [];
+                r.blocks(() => out.push(item(r)));
+                return out;
+            };
+        }
+        case "map": {
+            const value = decoderOf(schema.values, names, namespace);
+            return (r) => {
+                const out = {};
+                r.blocks(() => {
+                    const key = r.string();
+                    out[key] = value(r);
+                });
+                return out;
+            };
+        }
+        default:
+            // { "type": "long", "logicalType": ... } and the like
+            return decoderOf(schema.type, names, namespace);
+    }
+}
+
+const PRIMITIVES = {
+    null: () => null,
+    boolean: (r) => r.byte() !== 0,
+    int: (r) => r.long(),
+    long: (r) => r.long(),
+    float: (r) => r.float(),
+    double: (r) => r.double(),
+    bytes: (r) => r.bytes(),
+    string: (r) => r.string(),
+};
+
+// Decode an object container file: { schema, records }. Throws on anything it cannot decode (bad magic, an unknown
+// codec, a mismatched sync marker, truncated data).
+export function readAvroContainer(bytes) {
+    if (!isAvroContainer(bytes)) throw new Error("not an Avro object container file");
+    const r = reader(bytes);
+    r.fixed(4);
+    const meta = {};
+    r.blocks(() => {
+        const key = r.string();
+        meta[key] = r.bytes();
+    });
+    const sync = r.fixed(16);
+    const schema = JSON.parse(strFromU8(meta["avro.schema"] || new Uint8Array()));
+    const codecName = meta["avro.codec"] ? strFromU8(meta["avro.codec"]) : "null";
+    const codec = CODECS[codecName];
+    if (!codec) throw new Error(`unsupported Avro codec ${codecName}`);
+    const decode = decoderOf(schema);
+    const records = [];
+    while (!r.done()) {
+        const count = r.long();
+        const block = reader(codec(r.bytes()));
+        for (let i = 0; i < count; i++) records.push(decode(block));
+        if (!r.fixed(16).every((b, i) => b === sync[i])) throw new Error("Avro sync marker mismatch");
+    }
+    return { schema, records };
+}
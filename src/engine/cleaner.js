@@ -0,0 +1,110 @@
+import { makeInstantTime, instantToDate } from "./util.js";
+import { completedWritesOf, savepointedFilesOf } from "./timeline.js";
+
+/***********************************\
+ |* Cleaner policies                *|
+ \***********************************/
+
+// Hudi cleaner policies decide which file slices are old enough to delete:
+// - KEEP_LATEST_COMMITS: keep every slice needed to read as of any of the last `commitsRetained` commits
+// - KEEP_LATEST_FILE_VERSIONS: keep the last `fileVersionsRetained` slices of every file group
+// - KEEP_LATEST_BY_HOURS: keep every slice needed to read as of any commit in the last `hoursRetained` hours
+export const CLEANER_POLICIES = ["KEEP_LATEST_COMMITS", "KEEP_LATEST_FILE_VERSIONS", "KEEP_LATEST_BY_HOURS"];
+
+// The parameter each policy reads
+export const CLEANER_POLICY_PARAMS = {
+    KEEP_LATEST_COMMITS: "commitsRetained",
+    KEEP_LATEST_FILE_VERSIONS: "fileVersionsRetained",
+    KEEP_LATEST_BY_HOURS: "hoursRetained",
+};
+
+export const DEFAULT_CLEANER = { policy: "KEEP_LATEST_COMMITS", commitsRetained: 3, fileVersionsRetained: 1, hoursRetained: 1 };
+
+export function validateCleaner(cleaner) {
+    const param = CLEANER_POLICY_PARAMS[cleaner.policy];
+    if (!param) throw new Error(`Unknown cleaner policy: ${cleaner.policy}`);
+    const value = cleaner[param];
+    if (!(typeof value === "number" && value > 0)) throw new Error(`${param} must be a positive number`);
+}
+
+// Earliest commit a commit- or time-based policy must keep readable; null keeps everything
+const earliestCommitToRetain = (timeline, cleaner, instantTime) => {
+    const commits = completedWritesOf(timeline);
+    if (cleaner.policy === "KEEP_LATEST_COMMITS") return commits.length >= cleaner.commitsRetained ? commits[cleaner.commitsRetained - 1].instantTime : null;
+    if (cleaner.policy === "KEEP_LATEST_BY_HOURS") {
+        const cutoff = makeInstantTime(new Date(instantToDate(instantTime).getTime() - cleaner.hoursRetained * 3600 * 1000));
+        const recent = commits.filter((i) => i.instantTime >= cutoff);
+        return recent.length > 0 ? recent.at(-1).instantTime : commits[0]?.instantTime || null;
+    }
+    return null;
+};
+
+// Index of the oldest slice a file group must keep
+const firstRetainedSlice = (fg, cleaner, earliest) => {
+    let from;
+    if (cleaner.policy === "KEEP_LATEST_FILE_VERSIONS") {
+        from = Math.max(0, fg.slices.length - cleaner.fileVersionsRetained);
+    } else if (!earliest) {
+        from = 0;
+    } else {
+        // the slice serving reads as of the earliest retained commit, or the latest slice if all are older
+        const serving = fg.slices.findLastIndex((s) => s.baseInstant <= earliest);
+        from = serving < 0 ? 0 : serving;
+    }
+    // a kept slice without a base file reads through its predecessor
+    while (from > 0 && !fg.slices[from].baseFile) from--;
+    return from;
+};
+
+// Clean plan (the content of a REQUESTED clean instant): the slices and files to delete per partition.
+// Slices holding a file some savepoint needs are left out of the plan.
+export function planClean(table, instantTime) {
+    const cleaner = table.cleaner || DEFAULT_CLEANER;
+    const earliest = earliestCommitToRetain(table.timeline, cleaner, instantTime);
+    const pinned = savepointedFilesOf(table.timeline);
+    const slices = [];
+    const filesToDelete = {};
+    let retainedForSavepoints = 0;
+    table.fileGroups.forEach((fg) => {
+        // a file group retired by a replacecommit outside the retention window goes entirely
+        const retired = fg.replacedBy && (cleaner.policy === "KEEP_LATEST_FILE_VERSIONS" || (earliest && fg.replacedBy < earliest));
+        const upTo = retired ? fg.slices.length : firstRetainedSlice(fg, cleaner, earliest);
+        fg.slices.slice(0, upTo).forEach((slice, idx) => {
+            const files = [slice.baseFile, ...slice.logFiles].filter(Boolean);
+            if (files.some((f) => pinned.has(f.name))) {
+                retainedForSavepoints++;
+                return;
+            }
+            // servedUntil: reads as of [baseInstant, servedUntil) needed this slice
+            slices.push({ fileGroupId: fg.id, baseInstant: slice.baseInstant, servedUntil: fg.slices[idx + 1]?.baseInstant || fg.replacedBy });
+            filesToDelete[fg.partition] = [...(filesToDelete[fg.partition] || []), ...files.map((f) => f.name)];
+        });
+    });
+    return {
+        policy: cleaner.policy,
+        [CLEANER_POLICY_PARAMS[cleaner.policy]]: cleaner[CLEANER_POLICY_PARAMS[cleaner.policy]],
+        earliestCommitToRetain: earliest,
+        slices,
+        filesToDelete,
+        retainedForSavepoints,
+    };
+}
+
+// Delete the slices a plan lists (those already gone are skipped), and replaced file groups left without slices;
+// returns the new file groups and the rows removed
+export function executeCleanPlan(fileGroups, plan) {
+    const doomed = new Set(plan.slices.map((s) => `${s.fileGroupId}@${s.baseInstant}`));
+    let rows = 0;
+    const next = fileGroups.map((fg) => {
+        if (!fg.slices.some((s) => doomed.has(`${fg.id}@${s.baseInstant}`))) return fg;
+        return {
+            ...fg,
+            slices: fg.slices.filter((s) => {
+                if (!doomed.has(`${fg.id}@${s.baseInstant}`)) return true;
+                rows += [s.baseFile, ...s.logFiles].filter(Boolean).reduce((sum, f) => sum + f.rows, 0);
+                return false;
+            }),
+        };
+    });
+    return { fileGroups: next.filter((fg) => !(fg.replacedBy && fg.slices.length === 0)), rows };
+}
@@ -0,0 +1,63 @@
+import { compareValues } from "./merge.js";
+
+/***********************************\
+ |* Clustering plans                *|
+ \***********************************/
+
+// Clustering config:
+// - sortColumns: record fields the rewritten files are sorted by (picked from the dataset's fields)
+// - smallFileRows: file groups holding fewer rows than this are clustering candidates
+// - targetFileRows: target size of each rewritten file group
+// Sizes are counted in rows.
+export const DEFAULT_CLUSTERING = { sortColumns: [], smallFileRows: 20, targetFileRows: 40 };
+
+export function validateClustering(c) {
+    if (!Array.isArray(c.sortColumns)) throw new Error("sortColumns must be a list of field names");
+    ["smallFileRows", "targetFileRows"].forEach((k) => {
+        if (!(typeof c[k] === "number" && c[k] > 0)) throw new Error(`${k} must be a positive number`);
+    });
+}
+
+// File groups that a REQUESTED clustering (replacecommit) has planned to rewrite
+export const pendingClusteringGroupsOf = (timeline) =>
+        new Set(timeline.filter((i) => i.type === "replacecommit" && i.state === "REQUESTED" && i.plan).flatMap((i) => i.plan.inputGroups.flatMap((g) => g.fileGroupIds)));
+
+// Clustering plan: per partition, the small file groups to rewrite and how many sorted groups they become.
+// `candidates` are the live file groups eligible for clustering, each with its current row count.
+// A partition is only planned when the rewrite ends with fewer file groups than it started with.
+export function planClustering(table, candidates) {
+    const c = { ...DEFAULT_CLUSTERING, ...table.clustering };
+    const byPartition = new Map();
+    candidates
+            .filter(({ rows }) => rows > 0 && rows < c.smallFileRows)
+            .forEach(({ fg, rows }) => byPartition.set(fg.partition, [...(byPartition.get(fg.partition) || []), { fg, rows }]));
+    const inputGroups = [...byPartition.entries()]
+            .map(([partition, small]) => {
+                const rows = small.reduce((s, g) => s + g.rows, 0);
+                return {
+                    partition,
+                    fileGroupIds: small.map((g) => g.fg.id),
+                    fileIds: small.map((g) => g.fg.fileId),
+                    rows,
+                    outputGroups: Math.ceil(rows / c.targetFileRows),
+                };
+            })
+            .filter((g) => g.outputGroups < g.fileGroupIds.length);
+    return { sortColumns: [...c.sortColumns], smallFileRows: c.smallFileRows, targetFileRows: c.targetFileRows, inputGroups };
+}
+
+// Sort records by the given columns (numbers numerically, everything else as strings)
+export const sortRecords = (records, sortColumns) =>
+        [...records].sort((a, b) => {
+            for (const col of sortColumns) {
+                const d = compareValues(a[col], b[col]);
+                if (d !== 0) return d;
+            }
+            return 0;
+        });
+
+// Split `records` into `n` contiguous chunks of near-equal size
+export const chunk = (records, n) => {
+    const size = Math.ceil(records.length / n);
+    return Array.from({ length: n }, (_, i) => records.slice(i * size, (i + 1) * size)).filter((part) => part.length > 0);
+};
@@ -0,0 +1,105 @@
+import { instantToDate } from "./util.js";
+import { latestSlice, baseFilesOf } from "./layout.js";
+
+/***********************************\
+ |* Compaction plans & triggers     *|
+ \***********************************/
+
+// Compaction config (MoR):
+// - strategy: which file slices a plan picks
+//   - ALL: every file group whose latest slice has log files
+//   - LOG_FILE_SIZE: slices whose log files hold at least `logSizeThreshold` rows, largest first
+//   - BOUNDED_IO: largest slices first until the plan's IO (rows read + rows written) reaches `targetIO`
+// - autoSchedule / trigger: schedule after `deltaCommits` delta commits and/or `deltaSeconds` seconds since the last compaction
+//   (Hudi's NUM_COMMITS, TIME_ELAPSED, NUM_OR_TIME, NUM_AND_TIME)
+// - execution: 'inline' runs an auto-scheduled compaction right after the write; 'async' leaves it for a separate compactor
+// Sizes are counted in rows.
+export const COMPACTION_STRATEGIES = ["ALL", "LOG_FILE_SIZE", "BOUNDED_IO"];
+export const COMPACTION_TRIGGERS = ["NUM_COMMITS", "TIME_ELAPSED", "NUM_OR_TIME", "NUM_AND_TIME"];
+export const COMPACTION_EXECUTIONS = ["inline", "async"];
+
+export const DEFAULT_COMPACTION = {
+    strategy: "ALL",
+    logSizeThreshold: 10,
+    targetIO: 100,
+    autoSchedule: false,
+    trigger: "NUM_COMMITS",
+    deltaCommits: 3,
+    deltaSeconds: 60,
+    execution: "inline",
+};
+
+export function validateCompaction(c) {
+    if (!COMPACTION_STRATEGIES.includes(c.strategy)) throw new Error(`Unknown compaction strategy: ${c.strategy}`);
+    if (!COMPACTION_TRIGGERS.includes(c.trigger)) throw new Error(`Unknown compaction trigger: ${c.trigger}`);
+    if (!COMPACTION_EXECUTIONS.includes(c.execution)) throw new Error(`Unknown compaction execution: ${c.execution}`);
+    ["logSizeThreshold", "targetIO", "deltaCommits", "deltaSeconds"].forEach((k) => {
+        if (!(typeof c[k] === "number" && c[k] > 0)) throw new Error(`${k} must be a positive number`);
+    });
+}
+
+// One compaction operation per file group: the latest slice (base + committed logs) becomes the base of a new slice
+const operationOf = (fg, exclude) => {
+    const slice = latestSlice(fg);
+    const logFiles = slice.logFiles.filter((lf) => !exclude.has(lf.instantTime));
+    // a log-only slice reads through to the newest earlier base
+    const base = slice.baseFile || baseFilesOf(fg).at(-1) || null;
+    const baseRows = base ? base.rows : 0;
+    const logRows = logFiles.reduce((s, lf) => s + lf.rows, 0);
+    return {
+        fileGroupId: fg.id,
+        partition: fg.partition,
+        fileId: fg.fileId,
+        baseInstant: slice.baseInstant,
+        baseFile: base ? base.name : null,
+        logFiles: logFiles.map((lf) => lf.name),
+        baseRows,
+        logRows,
+        // read base + logs, write the merged base
+        io: baseRows + logRows + baseRows + logRows,
+    };
+};
+
+// Compaction plan for the table's strategy; `exclude` are uncommitted instants whose log files are not compacted,
+// `busy` file groups that a pending clustering will rewrite
+export function planCompaction(table, exclude, busy = new Set()) {
+    const c = { ...DEFAULT_COMPACTION, ...table.compaction };
+    const candidates = table.fileGroups
+            .filter((fg) => !fg.replacedBy && !busy.has(fg.id) && latestSlice(fg) && !latestSlice(fg).pending)
+            .map((fg) => operationOf(fg, exclude))
+            .filter((op) => op.logFiles.length > 0)
+            .sort((a, b) => b.logRows - a.logRows);
+    let operations = candidates;
+    if (c.strategy === "LOG_FILE_SIZE") operations = candidates.filter((op) => op.logRows >= c.logSizeThreshold);
+    if (c.strategy === "BOUNDED_IO") {
+        let io = 0;
+        operations = candidates.filter((op, idx) => {
+            if (idx > 0 && io + op.io > c.targetIO) return false;
+            io += op.io;
+            return true;
+        });
+    }
+    return {
+        strategy: c.strategy,
+        ...(c.strategy === "LOG_FILE_SIZE" && { logSizeThreshold: c.logSizeThreshold }),
+        ...(c.strategy === "BOUNDED_IO" && { targetIO: c.targetIO }),
+        operations,
+        totalIO: operations.reduce((s, op) => s + op.io, 0),
+    };
+}
+
+// Whether a write at `instantTime` should trigger scheduling a compaction (auto-schedule on)
+export function compactionDue(table, instantTime) {
+    const c = { ...DEFAULT_COMPACTION, ...table.compaction };
+    if (!c.autoSchedule || table.storage !== "mor") return false;
+    const last = table.timeline.find((i) => i.type === "compaction");
+    const since = table.timeline.filter((i) => i.type === "deltacommit" && i.state === "COMPLETED" && (!last || i.instantTime > last.instantTime));
+    if (since.length === 0) return false;
+    const from = last ? last.instantTime : since.at(-1).instantTime;
+    const byCount = since.length >= c.deltaCommits;
+    const byTime = (instantToDate(instantTime) - instantToDate(from)) / 1000 >= c.deltaSeconds;
+    if (c.trigger === "NUM_COMMITS") return byCount;
+    if (c.trigger === "TIME_ELAPSED") return byTime;
+    if (c.trigger === "NUM_OR_TIME") return byCount || byTime;
+    return byCount && byTime;
+}
@@ -0,0 +1,72 @@
+import { createSource } from "./util.js";
+import { createTable, applyAction, latestInstantTimeOf } from "./table.js";
+import { readTable } from "./read.js";
+import { storageMetricsOf } from "./metrics.js";
+
+/***********************************\
+ |* MoR vs CoW comparison           *|
+ \***********************************/
+
+// Two tables with the same config, one Merge-on-Read and one Copy-on-Write: { mor, cow }
+export const createComparison = (options = {}, source = createSource()) => ({
+    mor: createTable({ ...options, storage: "mor" }, source),
+    cow: createTable({ ...options, storage: "cow" }, source),
+});
+
+// Apply one action to both tables at the same instant time, so their timelines line up. A side the action is
+// invalid for keeps its table and reports the error (e.g. nothing to compact on CoW); only when both sides reject
+// it does this throw. Returns { pair, results: { mor, cow } } with each side's { instants } or { error }. Both sides
+// draw from the one `source`, MoR first.
+export function applyToPair(pair, action, source = createSource()) {
+    const latest = [latestInstantTimeOf(pair.mor), latestInstantTimeOf(pair.cow)].sort().at(-1);
+    const timed = { ...action, instantTime: action.instantTime || source.nextInstantTime(latest) };
+    const next = { ...pair };
+    const results = {};
+    ["mor", "cow"].forEach((side) => {
+        try {
+            const { table, instants } = applyAction(pair[side], timed, source);
+            next[side] = table;
+            results[side] = { instants };
+        } catch (e) {
+            results[side] = { error: e.message };
+        }
+    });
+    if (results.mor.error && results.cow.error) throw new Error(results.mor.error);
+    return { pair: next, results };
+}
+
+// Write cost and query cost of one table: totals over its timeline, plus what a snapshot read scans now
+const costOf = (table) => {
+    const measured = table.timeline.filter((i) => i.metrics);
+    const bytesWritten = measured.reduce((s, i) => s + i.metrics.bytesWritten, 0);
+    const logicalBytes = measured.reduce((s, i) => s + i.metrics.logicalBytes, 0);
+    const storage = storageMetricsOf(table);
+    return {
+        instants: table.timeline.length,
+        bytesWritten,
+        filesWritten: measured.reduce((s, i) => s + i.metrics.filesWritten, 0),
+        logicalBytes,
+        writeAmplification: logicalBytes > 0 ? bytesWritten / logicalBytes : null,
+        totalBytes: storage.totalBytes,
+        obsoleteBytes: storage.obsoleteBytes,
+        fileCount: storage.fileCount,
+        snapshotBytesRead: storage.liveBytes,
+        snapshotFilesRead: storage.liveFileCount,
+        readAmplification: storage.readAmplification,
+        snapshotRows: storage.snapshotRows,
+    };
+};
+
+// Both sides' costs, and whether their snapshot reads return the same records
+export function compareTables(pair) {
+    const rows = (table) =>
+            readTable(table)
+                    .snapshot.map((r) => JSON.stringify(Object.keys(r).sort().map((k) => [k, r[k]])))
+                    .sort();
+    const [mor, cow] = [rows(pair.mor), rows(pair.cow)];
+    return {
+        mor: costOf(pair.mor),
+        cow: costOf(pair.cow),
+        sameResults: mor.length === cow.length && mor.every((r, idx) => r === cow[idx]),
+    };
+}
@@ -0,0 +1,87 @@
+import { dateStr, timeStr } from "./util.js";
+import { generateWorkload } from "./workload.js";
+
+const daysAgo = (source, n) => new Date(source.now() - n * 24 * 3600 * 1000);
+
+// Every dataset spec gets generate(n, profile?, existing?, source?) driven by a workload profile (see workload.js)
+const withWorkload = (spec) => ({ ...spec, generate: (n, profile, existing, source) => generateWorkload(spec, n, profile, existing, source) });
+
+// Example datasets
+// - fields: the columns a record has
+// - partitionField / partitionValues(source): where new inserts can land (hot partitions are weighted among these)
+// - makeRecord(i, partitionValue, source): a fresh key; updateRecord(prev, source): a new version of an existing key.
+//   Values and times come from `source` (see createSource in util.js); keys take the run's next sequence number, so
+//   they never collide while a seeded run's clock stands still
+// - orderingField: precombine field; of two versions of a key the one with the higher value wins
+export const DATASETS = {
+    nycTaxi: withWorkload({
+        name: "NYC Taxi Trips",
+        key: "trip_id",
+        orderingField: "pickup_datetime",
+        partitionField: "pickup_date",
+        fields: ["trip_id", "pickup_datetime", "pickup_date", "passenger_count", "total_amount", "vendor_id"],
+        partitionBy: (r) => `dt=${r.pickup_date}`,
+        partitionValues: (source) => Array.from({ length: 8 }, (_, i) => dateStr(daysAgo(source, i))),
+        makeRecord: (i, pickupDate, source) => {
+            const d = new Date(`${pickupDate}T${timeStr(new Date(source.now()))}Z`);
+            return {
+                trip_id: `t${source.now()}_${source.nextSequence()}`,
+                pickup_datetime: `${dateStr(d)} ${timeStr(d)}`,
+                pickup_date: dateStr(d),
+                passenger_count: source.rand(1, 5),
+                total_amount: Number((source.random() * 80 + 3).toFixed(2)),
+                vendor_id: ["CMT", "VTS"][source.rand(0, 1)],
+            };
+        },
+        // fare adjustments (tips, tolls) arrive after the trip
+        updateRecord: (prev, source) => ({ ...prev, total_amount: Number((prev.total_amount + source.random() * 10).toFixed(2)) }),
+    }),
+    retail: withWorkload({
+        name: "Retail Orders",
+        key: "order_id",
+        orderingField: "order_ts",
+        partitionField: "region",
+        fields: ["order_id", "customer_id", "order_ts", "amount", "status", "region"],
+        partitionBy: (r) => `region=${r.region}`,
+        partitionValues: () => ["US-EAST", "US-WEST", "EU", "APAC"],
+        makeRecord: (i, region, source) => {
+            const status = ["PENDING", "PAID", "SHIPPED", "CANCELLED"];
+            return {
+                order_id: `o${source.now()}_${source.nextSequence()}`,
+                customer_id: `c${source.rand(1, 5000)}`,
+                order_ts: new Date(source.now()).toISOString(),
+                amount: Number((source.random() * 500 + 5).toFixed(2)),
+                status: status[source.rand(0, status.length - 1)],
+                region,
+            };
+        },
+        // orders move through their lifecycle
+        updateRecord: (prev, source) => {
+            const next = { PENDING: "PAID", PAID: "SHIPPED", SHIPPED: "SHIPPED", CANCELLED: "CANCELLED" };
+            return { ...prev, status: next[prev.status] || prev.status, order_ts: new Date(source.now()).toISOString() };
+        },
+    }),
+    ghEvents: withWorkload({
+        name: "GitHub Events",
+        key: "event_id",
+        orderingField: "created_at",
+        partitionField: "date",
+        fields: ["event_id", "repo", "type", "actor", "date", "created_at"],
+        partitionBy: (r) => `dt=${r.date}`,
+        partitionValues: (source) => Array.from({ length: 4 }, (_, i) => dateStr(daysAgo(source, i))),
+        makeRecord: (i, date, source) => {
+            const types = ["PushEvent", "PullRequestEvent", "IssueCommentEvent", "WatchEvent"];
+            const repos = ["apache/hudi", "vercel/next.js", "facebook/react", "pallets/flask", "numpy/numpy"];
+            return {
+                event_id: `e${source.now()}_${source.nextSequence()}`,
+                repo: repos[source.rand(0, repos.length - 1)],
+                type: types[source.rand(0, types.length - 1)],
+                actor: `user${source.rand(1, 2000)}`,
+                date,
+                created_at: new Date(source.now()).toISOString(),
+            };
+        },
+        // re-delivered events (e.g. an edited comment) replace the earlier copy
+        updateRecord: (prev, source) => ({ ...prev, actor: `user${source.rand(1, 2000)}`, created_at: new Date(source.now()).toISOString() }),
+    }),
+};
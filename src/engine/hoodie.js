@@ -0,0 +1,575 @@
+import { zipSync, unzipSync, strToU8, strFromU8 } from "fflate";
+import { instantToDate } from "./util.js";
+import { isAvroContainer, readAvroContainer } from "./avro.js";
+import { DEFAULT_TABLE_CONFIG, TABLE_TYPES, TABLE_VERSIONS, renderProperties, validateTableConfig, writerSettingsOf } from "./properties.js";
+import { DEFAULT_INDEX, validateIndex } from "./indexing.js";
+import { DEFAULT_CLEANER, validateCleaner } from "./cleaner.js";
+import { baseFilesOf, logFilesOf } from "./layout.js";
+import { withFileSizes, writeStatsOf } from "./metrics.js";
+import { WRITE_TYPES } from "./timeline.js";
+import { createTable } from "./table.js";
+
+/***********************************\
+ |* Table on storage (.hoodie)      *|
+ \***********************************/
+
+// The files a table would leave on storage:
+//   .hoodie/hoodie.properties
+//   .hoodie/<instant>.<action>.requested | .inflight | <instant>.<action>   timeline (layout v1, table versions 5 and 6)
+//   .hoodie/timeline/<instant>_<completion>.<action>                        completed instants (layout v2, version 8)
+//   .hoodie/.temp/<instant>/<partition>/<file>.marker.<TYPE>                 markers of failed writes
+//   <partition>/.hoodie_partition_metadata, <partition>/<base and log files>
+// Instant metadata is written as JSON, where Hudi stores clean, compaction, rollback and savepoint plans as Avro: the
+// export is for loading back into this tool (loadTable), not for Hudi tooling.
+// Data files are placeholders: the commit metadata's write stats carry their row counts and sizes.
+
+// Timeline action of an instant in each state: compaction completes as a commit, and under layout v2 a clustering
+// replacecommit is requested and inflight as `clustering`
+const actionOf = (instant, state, layout) => {
+    if (instant.type === "compaction" && state === "COMPLETED") return "commit";
+    if (instant.type === "replacecommit" && instant.operation === "cluster" && layout === 2 && state !== "COMPLETED") return "clustering";
+    return instant.type;
+};
+
+const STATES = ["REQUESTED", "INFLIGHT", "COMPLETED"];
+
+// Files per state: REQUESTED has the requested file, INFLIGHT adds the inflight one, COMPLETED the completed one.
+// A savepoint has no requested file; a commit's inflight file is the bare `<instant>.inflight`.
+export function timelineFileNames(instant, version = DEFAULT_TABLE_CONFIG.version) {
+    const layout = version >= 8 ? 2 : 1;
+    const dir = layout === 2 ? ".hoodie/timeline" : ".hoodie";
+    const t = instant.instantTime;
+    return STATES.slice(0, STATES.indexOf(instant.state) + 1)
+            .filter((state) => !(instant.type === "savepoint" && state === "REQUESTED"))
+            .map((state) => {
+                const action = actionOf(instant, state, layout);
+                if (state === "REQUESTED") return { state, name: `${dir}/${t}.${action}.requested` };
+                if (state === "INFLIGHT") return { state, name: action === "commit" ? `${dir}/${t}.inflight` : `${dir}/${t}.${action}.inflight` };
+                // the simulator does not track completion times: an instant completes at its own instant time
+                return { state, name: layout === 2 ? `${dir}/${t}_${instant.completionTime || t}.${action}` : `${dir}/${t}.${action}` };
+            });
+}
+
+// Hudi's WriteOperationType of a write instant
+const operationTypeOf = (instant) => {
+    if (instant.type === "compaction") return "COMPACT";
+    if (instant.operation === "cluster") return "CLUSTER";
+    if (instant.operation) return instant.operation.toUpperCase();
+    if (instant.deletedKeys) return "DELETE";
+    return instant.notes === "insert" ? "INSERT" : "UPSERT";
+};
+
+// HoodieCommitMetadata of a commit, deltacommit, compaction or replacecommit
+function commitMetadata(instant, fileGroups) {
+    const stats = instant.partitionToWriteStats || writeStatsOf(fileGroups, instant.instantTime);
+    return {
+        partitionToWriteStats: Object.fromEntries(
+                Object.entries(stats).map(([partitionPath, list]) => [partitionPath, list.map((s) => ({ ...s, partitionPath, totalWriteErrors: 0 }))])
+        ),
+        compacted: instant.type === "compaction",
+        extraMetadata: {},
+        operationType: operationTypeOf(instant),
+        ...(instant.type === "replacecommit" && { partitionToReplaceFileIds: instant.partitionToReplaceFileIds || {} }),
+    };
+}
+
+const compactionPlan = (plan) => ({
+    operations: plan.operations.map((op) => ({
+        baseInstantTime: op.baseInstant,
+        fileId: op.fileId,
+        partitionPath: op.partition,
+        dataFilePath: op.baseFile,
+        deltaFilePaths: op.logFiles,
+    })),
+    extraMetadata: { strategy: plan.strategy },
+    version: 2,
+});
+
+const clusteringPlan = (plan) => ({
+    operationType: "CLUSTER",
+    clusteringPlan: {
+        inputGroups: plan.inputGroups.map((g) => ({
+            slices: g.fileIds.map((fileId) => ({ fileId, partitionPath: g.partition })),
+            numOutputFileGroups: g.outputGroups,
+        })),
+        strategy: { strategyParams: { sortColumns: plan.sortColumns.join(","), smallFileRows: plan.smallFileRows, targetFileRows: plan.targetFileRows } },
+    },
+});
+
+const cleanerPlan = (plan) => ({
+    earliestInstantToRetain: plan.earliestCommitToRetain ? { timestamp: plan.earliestCommitToRetain, action: "commit", state: "COMPLETED" } : null,
+    policy: plan.policy,
+    filePathsToBeDeletedPerPartition: Object.fromEntries(
+            Object.entries(plan.filesToDelete).map(([partition, files]) => [partition, files.map((f) => ({ filePath: `${partition}/${f}`, isBootstrapBaseFile: false }))])
+    ),
+    version: 2,
+});
+
+const cleanMetadata = (instant) => ({
+    startCleanTime: instant.instantTime,
+    timeTakenInMillis: 0,
+    totalFilesDeleted: Object.values(instant.plan.filesToDelete).flat().length,
+    earliestCommitToRetain: instant.plan.earliestCommitToRetain || "",
+    partitionMetadata: Object.fromEntries(
+            Object.entries(instant.plan.filesToDelete).map(([partitionPath, files]) => [
+                partitionPath,
+                { policy: instant.plan.policy, partitionPath, deletePathPatterns: files, successDeleteFiles: files, failedDeleteFiles: [] },
+            ])
+    ),
+    version: 2,
+});
+
+// Deleted files grouped by partition, as rollback and restore metadata list them
+const deletedByPartition = (deletedFiles) => {
+    const byPartition = {};
+    deletedFiles.forEach((f) => (byPartition[f.partition] = [...(byPartition[f.partition] || []), f.name]));
+    return Object.fromEntries(Object.entries(byPartition).map(([partitionPath, files]) => [partitionPath, { partitionPath, successDeleteFiles: files, failedDeleteFiles: [] }]));
+};
+
+const rollbackMetadata = (instant) => ({
+    startRollbackTime: instant.instantTime,
+    timeTakenInMillis: 0,
+    totalFilesDeleted: instant.deletedFiles.length,
+    commitsRollback: [instant.rolledBack.instantTime],
+    partitionMetadata: deletedByPartition(instant.deletedFiles),
+    instantsRollback: [{ commitTime: instant.rolledBack.instantTime, action: instant.rolledBack.type }],
+    version: 1,
+});
+
+const savepointMetadata = (instant) => ({
+    savepointedBy: "hudi-visualizer",
+    savepointedAt: Number(instant.instantTime),
+    comments: instant.notes,
+    partitionMetadata: Object.fromEntries(
+            Object.entries(instant.partitionFiles).map(([partitionPath, files]) => [partitionPath, { partitionPath, savepointDataFile: files }])
+    ),
+    version: 1,
+});
+
+const restoreMetadata = (instant) => ({
+    startRestoreTime: instant.instantTime,
+    timeTakenInMillis: 0,
+    instantsToRollback: instant.rolledBackInstants.map((i) => ({ commitTime: i.instantTime, action: i.type })),
+    hoodieRestoreMetadata: { [instant.restoredTo]: [{ totalFilesDeleted: instant.deletedFiles.length, partitionMetadata: deletedByPartition(instant.deletedFiles) }] },
+    version: 1,
+});
+
+// Content of one timeline file: a write's requested file is empty and its inflight file holds the write stats so far;
+// table services store their plan in the requested file
+function timelineFileContent(instant, state, fileGroups) {
+    const { type, plan } = instant;
+    if (type === "commit" || type === "deltacommit") return state === "REQUESTED" ? null : commitMetadata(instant, fileGroups);
+    if (type === "compaction") return state === "COMPLETED" ? commitMetadata(instant, fileGroups) : compactionPlan(plan);
+    if (type === "replacecommit") {
+        if (state === "COMPLETED") return commitMetadata(instant, fileGroups);
+        if (state === "REQUESTED") return plan ? clusteringPlan(plan) : { operationType: operationTypeOf(instant) };
+        return plan ? null : commitMetadata(instant, fileGroups);
+    }
+    if (type === "clean") return state === "COMPLETED" ? cleanMetadata(instant) : cleanerPlan(plan);
+    if (type === "rollback") return state === "COMPLETED" ? rollbackMetadata(instant) : { instantToRollback: { commitTime: instant.rolledBack.instantTime, action: instant.rolledBack.type } };
+    if (type === "savepoint") return state === "COMPLETED" ? savepointMetadata(instant) : null;
+    if (type === "restore") return state === "COMPLETED" ? restoreMetadata(instant) : { instantsToRollback: restoreMetadata(instant).instantsToRollback };
+    return null;
+}
+
+const json = (data) => (data === null ? "" : `${JSON.stringify(data, null, 2)}\n`);
+
+// Every file of the table, path (relative to the table's base path) -> text content
+export function tableFiles(table) {
+    const version = { ...DEFAULT_TABLE_CONFIG, ...table.config }.version;
+    const files = { ".hoodie/hoodie.properties": renderProperties(table) };
+    [...table.timeline].reverse().forEach((instant) =>
+            timelineFileNames(instant, version).forEach(({ state, name }) => (files[name] = json(timelineFileContent(instant, state, table.fileGroups))))
+    );
+    Object.entries(table.markers || {}).forEach(([instantTime, markers]) => markers.forEach((m) => (files[`.hoodie/.temp/${instantTime}/${m.name}`] = "")));
+    const partitions = new Map();
+    table.fileGroups.forEach((fg) => {
+        const written = [...baseFilesOf(fg), ...logFilesOf(fg)];
+        const first = written.reduce((min, f) => (!min || f.instantTime < min ? f.instantTime : min), partitions.get(fg.partition));
+        partitions.set(fg.partition, first);
+        baseFilesOf(fg).forEach((f) => (files[`${fg.partition}/${f.name}`] = `placeholder parquet base file: ${f.rows} rows written by ${f.instantTime}\n`));
+        logFilesOf(fg).forEach((f) => (files[`${fg.partition}/${f.name}`] = `placeholder log file: one ${f.block} block of ${f.rows} rows written by ${f.instantTime}\n`));
+    });
+    partitions.forEach((commitTime, partition) => {
+        files[`${partition}/.hoodie_partition_metadata`] = `#partition metadata\ncommitTime=${commitTime || ""}\npartitionDepth=${partition.split("/").length}\n`;
+    });
+    return files;
+}
+
+// The table's files as a zip archive under a folder named after the table
+export function zipTable(table) {
+    const root = { ...DEFAULT_TABLE_CONFIG, ...table.config }.name;
+    return zipSync(Object.fromEntries(Object.entries(tableFiles(table)).map(([path, content]) => [`${root}/${path}`, strToU8(content)])));
+}
+
+/***********************************\
+ |* Loading a .hoodie folder        *|
+ \***********************************/
+
+// The reverse of tableFiles: rebuild a table from the .hoodie folder of a real (or exported) table. Only the files
+// directly in .hoodie (and .hoodie/timeline) are read: hoodie.properties and the active timeline, whose metadata (JSON,
+// or Avro for table service plans and version 8 commits) gives every write's files (partitionToWriteStats), the file
+// ids a replacecommit replaced, and the files cleans, rollbacks and restores deleted. Data files are not read, so file slices carry row counts and sizes but no records,
+// and files written by archived instants are missing.
+
+// Files worth reading: .hoodie/<name> and .hoodie/timeline/<name> (not the metadata table, archive, markers, ...)
+const TIMELINE_PATH = /(^|\/)\.hoodie\/(timeline\/)?[^/]+$/;
+export const isTimelinePath = (path) => TIMELINE_PATH.test(path);
+
+// The timeline files of a zip archive (a table folder, or its .hoodie folder), path -> bytes
+export const filesFromZip = (bytes) => unzipSync(bytes, { filter: (f) => isTimelinePath(f.name) });
+
+// File content is text or bytes (Avro metadata needs the bytes)
+const textOf = (content) => (typeof content === "string" ? content : strFromU8(content));
+
+// <instant>[_<completion>].<action>[.requested|.inflight], or a commit's bare <instant>.inflight
+const TIMELINE_FILE = /^(\d+)(?:_(\d+))?\.([a-z]+)(?:\.(requested|inflight))?$/;
+const TIMELINE_ACTIONS = ["commit", "deltacommit", "compaction", "replacecommit", "clustering", "clean", "rollback", "savepoint", "restore"];
+const BASE_FILE = /^([^_]+)_([^_]+)_(\d+)\.[a-z]+$/;
+const LOG_FILE = /^\.([^_]+)_(\d+)\.log\.(\d+)/;
+
+// java.util.Properties text -> { key: value }
+const parseProperties = (text) =>
+        Object.fromEntries(
+                text
+                        .split(/\r?\n/)
+                        .map((line) => line.trim())
+                        .filter((line) => line && !line.startsWith("#") && !line.startsWith("!"))
+                        .map((line) => {
+                            const at = line.search(/[=:]/);
+                            const unescape = (v) => v.trim().replace(/\\(.)/g, "$1");
+                            return at < 0 ? [unescape(line), ""] : [unescape(line.slice(0, at)), unescape(line.slice(at + 1))];
+                        })
+        );
+
+// Table type, config, index and cleaner from hoodie.properties; a config the simulator cannot model falls back to one
+// without key fields, index or cleaner settings it cannot model to the defaults
+function tableConfigOf(props, warnings) {
+    const fields = (key) => `${props[key] || ""}`.split(",").map((f) => f.trim().split(":")[0]).filter(Boolean).join(",");
+    const recordKeyField = fields("hoodie.table.recordkey.fields");
+    const partitionPathField = fields("hoodie.table.partition.fields");
+    const version = Number(props["hoodie.table.version"]) || DEFAULT_TABLE_CONFIG.version;
+    const shownAs = TABLE_VERSIONS.filter((v) => v <= version).at(-1) ?? TABLE_VERSIONS[0];
+    if (shownAs !== version) warnings.push(`Table version ${version} is shown as version ${shownAs}`);
+    const keyGenerator = `${props["hoodie.table.keygenerator.class"] || props["hoodie.table.keygenerator.type"] || ""}`;
+    const config = {
+        name: `${props["hoodie.table.name"] || DEFAULT_TABLE_CONFIG.name}`.replace(/[^A-Za-z0-9_]/g, "_").replace(/^(\d)/, "_$1"),
+        recordKeyField,
+        partitionPathField,
+        precombineField: fields("hoodie.table.precombine.field").split(",")[0] || fields("hoodie.table.ordering.fields").split(",")[0] || "",
+        keyGenerator: /complex|custom/i.test(keyGenerator) || recordKeyField.includes(",") || partitionPathField.includes(",") ? "COMPLEX" : "SIMPLE",
+        hiveStylePartitioning: props["hoodie.datasource.write.hive_style_partitioning"] === "true",
+        version: shownAs,
+    };
+    // Hudi defaults to COPY_ON_WRITE
+    const storage = Object.keys(TABLE_TYPES).find((k) => TABLE_TYPES[k] === props["hoodie.table.type"]) || "cow";
+    const settings = writerSettingsOf(props);
+    const checked = (key, validate, fallback) => {
+        try {
+            validate(settings[key]);
+            return settings[key];
+        } catch (e) {
+            warnings.push(`${e.message}: the default ${key} settings are used`);
+            return fallback;
+        }
+    };
+    const index = checked("index", validateIndex, DEFAULT_INDEX);
+    const cleaner = checked("cleaner", validateCleaner, DEFAULT_CLEANER);
+    try {
+        validateTableConfig(config);
+        return { storage, config, index, cleaner };
+    } catch (e) {
+        warnings.push(`${e.message}: the table is loaded without key fields`);
+        return { storage, config: { ...config, recordKeyField: "", partitionPathField: "" }, index, cleaner };
+    }
+}
+
+// The action an instant completes as: a compaction completes as a commit, a clustering as a replacecommit
+const COMPLETED_ACTIONS = { compaction: "commit", clustering: "replacecommit" };
+
+// Group timeline files by instant: { instantTime, completionTime, files: { REQUESTED|INFLIGHT|COMPLETED: { action, content } } }.
+// Two instants may share an instant time: a savepoint takes the time of the commit it protects.
+function timelineEntriesOf(entries) {
+    const byInstant = new Map();
+    entries.forEach(({ name, content }) => {
+        const m = TIMELINE_FILE.exec(name);
+        if (!m) return;
+        const [, instantTime, completionTime, dotted, suffix] = m;
+        const [action, state] = dotted === "inflight" && !suffix ? ["commit", "INFLIGHT"] : [dotted, suffix ? suffix.toUpperCase() : "COMPLETED"];
+        const key = `${instantTime}.${COMPLETED_ACTIONS[action] || action}`;
+        const entry = byInstant.get(key) || { instantTime, completionTime: null, files: {} };
+        entry.files[state] = { action, content };
+        if (completionTime) entry.completionTime = completionTime;
+        byInstant.set(key, entry);
+    });
+    // at the same instant time the write comes first, then the savepoint of it
+    const order = (entry) => `${entry.instantTime}${Object.values(entry.files)[0].action === "savepoint" ? 1 : 0}`;
+    return [...byInstant.values()].sort((a, b) => (order(a) < order(b) ? -1 : 1));
+}
+
+const baseName = (path) => `${path}`.split("/").pop();
+
+// Partition -> file names, from { partition: [names or paths] }
+const namesByPartition = (byPartition = {}) => Object.fromEntries(Object.entries(byPartition).map(([p, files]) => [p, files.map((f) => baseName(f.filePath || f))]));
+
+// One instant of the simulator's timeline from its timeline files; its metadata says what happened to which files
+function instantOf(entry, warnings) {
+    const { instantTime, files } = entry;
+    const state = files.COMPLETED ? "COMPLETED" : files.INFLIGHT ? "INFLIGHT" : "REQUESTED";
+    const actions = Object.values(files).map((f) => f.action);
+    const unsupported = actions.find((a) => !TIMELINE_ACTIONS.includes(a));
+    if (unsupported) {
+        warnings.push(`Skipped ${unsupported} instant ${instantTime}`);
+        return null;
+    }
+    // Avro metadata that cannot be decoded fails the load: without a plan's file lists the rebuilt file groups would
+    // be wrong (a clean deleting nothing, say), where a JSON file that does not parse is only reported
+    const read = (s) => {
+        const content = files[s]?.content;
+        const file = `${instantTime}.${files[s]?.action} (${s.toLowerCase()})`;
+        if (isAvroContainer(content)) {
+            try {
+                return readAvroContainer(content).records[0] ?? null;
+            } catch (e) {
+                throw new Error(`${file} holds Avro metadata that cannot be decoded (${e.message}), so the table cannot be rebuilt`);
+            }
+        }
+        const text = content ? textOf(content) : "";
+        if (!text.trim()) return null;
+        if (text.startsWith("Obj\u0001")) throw new Error(`${file} holds Avro metadata read as text: pass its bytes`);
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            warnings.push(`${file}: ${e.message}`);
+            return null;
+        }
+    };
+    const requested = read("REQUESTED");
+    const meta = read(state === "COMPLETED" ? "COMPLETED" : "INFLIGHT");
+    // a compaction completes as a commit whose metadata says `compacted` (JSON) or operationType COMPACT (Avro)
+    const type = actions.includes("compaction") || meta?.compacted || meta?.operationType === "COMPACT" ? "compaction" : actions.includes("clustering") ? "replacecommit" : files[state].action;
+    const base = { instantTime, type, state, records: 0, notes: "", writtenRecords: [], ...(entry.completionTime && { completionTime: entry.completionTime }) };
+
+    if (type === "clean") {
+        const filesToDelete = meta?.partitionMetadata
+                ? Object.fromEntries(Object.entries(meta.partitionMetadata).map(([p, m]) => [p, (m.successDeleteFiles || m.deletePathPatterns || []).map(baseName)]))
+                : namesByPartition(requested?.filePathsToBeDeletedPerPartition || requested?.filesToBeDeletedPerPartition); // v2 plans, v1 plans
+        const policy = requested?.policy || Object.values(meta?.partitionMetadata || {})[0]?.policy || "";
+        const earliest = requested?.earliestInstantToRetain?.timestamp || meta?.earliestCommitToRetain || null;
+        const count = Object.values(filesToDelete).flat().length;
+        return { ...base, notes: `${policy}: ${count} files ${state === "COMPLETED" ? "deleted" : "planned"}`, plan: { policy, earliestCommitToRetain: earliest, slices: [], filesToDelete, retainedForSavepoints: 0 } };
+    }
+    if (type === "compaction" && state !== "COMPLETED") {
+        const operations = (requested?.operations || []).map((op) => ({
+            partition: op.partitionPath,
+            fileId: op.fileId,
+            baseInstant: op.baseInstantTime,
+            baseFile: op.dataFilePath ? baseName(op.dataFilePath) : null,
+            logFiles: (op.deltaFilePaths || []).map(baseName),
+            baseRows: 0,
+            logRows: 0,
+            io: 0,
+        }));
+        const strategy = requested?.extraMetadata?.strategy || "loaded";
+        return { ...base, notes: `scheduled (${strategy}, ${operations.length} slices)`, plan: { strategy, operations, totalIO: 0 } };
+    }
+    if (type === "replacecommit" && state === "REQUESTED") {
+        const cluster = requested?.operationType === "CLUSTER" || actions.includes("clustering");
+        const groups = (requested?.clusteringPlan?.inputGroups || []).map((g) => ({
+            partition: g.slices?.[0]?.partitionPath,
+            fileIds: (g.slices || []).map((sl) => sl.fileId),
+            rows: 0,
+            outputGroups: g.numOutputFileGroups || 1,
+        }));
+        const params = requested?.clusteringPlan?.strategy?.strategyParams || {};
+        return {
+            ...base,
+            notes: cluster ? `clustering scheduled (${groups.reduce((n, g) => n + g.fileIds.length, 0)} file groups)` : `${`${requested?.operationType || "replacecommit"}`.toLowerCase()} requested`,
+            ...(cluster && {
+                operation: "cluster",
+                plan: { sortColumns: params.sortColumns ? `${params.sortColumns}`.split(",") : [], smallFileRows: Number(params.smallFileRows) || 0, targetFileRows: Number(params.targetFileRows) || 0, inputGroups: groups },
+            }),
+        };
+    }
+    if (WRITE_TYPES.includes(type)) {
+        const stats = meta?.partitionToWriteStats || {};
+        const operationType = `${meta?.operationType || requested?.operationType || (actions.includes("clustering") ? "CLUSTER" : "")}`.toLowerCase();
+        const records = Object.values(stats).flat().reduce((n, s) => n + (s.numWrites || 0) + (s.numDeletes || 0), 0);
+        const replaced = meta?.partitionToReplaceFileIds || {};
+        return {
+            ...base,
+            records,
+            notes: `${operationType || type}${state === "INFLIGHT" ? " (inflight)" : ""}`,
+            ...(type === "compaction" && { plan: { strategy: "loaded", operations: [], totalIO: 0 } }),
+            ...(operationType && !["upsert", "insert", "delete", "compact"].includes(operationType) && { operation: operationType }),
+            ...(operationType === "delete" && { deletedKeys: [] }),
+            ...(type === "replacecommit" && { partitionToReplaceFileIds: replaced, replacedFileIds: Object.values(replaced).flat() }),
+            ...(state === "INFLIGHT" && { failed: true, markers: [] }),
+            partitionToWriteStats: stats,
+        };
+    }
+    if (type === "rollback" || type === "restore") {
+        const partitionMetadata = type === "rollback" ? meta?.partitionMetadata : Object.values(meta?.hoodieRestoreMetadata || {})[0]?.[0]?.partitionMetadata;
+        const deletedFiles = Object.entries(namesByPartition(Object.fromEntries(Object.entries(partitionMetadata || {}).map(([p, m]) => [p, m.successDeleteFiles || []])))).flatMap(
+                ([partition, names]) => names.map((name) => ({ partition, fileGroupId: null, name, rows: 0 }))
+        );
+        if (type === "restore") {
+            const restoredTo = Object.keys(meta?.hoodieRestoreMetadata || {})[0] || null;
+            const rolledBackInstants = (meta?.instantsToRollback || requested?.instantsToRollback || []).map((i) => ({ instantTime: i.commitTime, type: i.action, notes: "" }));
+            return { ...base, notes: `restored to savepoint ${restoredTo}`, restoredTo, rolledBackInstants, deletedFiles };
+        }
+        const target = meta?.instantsRollback?.[0] || { commitTime: meta?.commitsRollback?.[0] || requested?.instantToRollback?.commitTime, action: requested?.instantToRollback?.action || "commit" };
+        return { ...base, notes: `rolled back ${target.action} ${target.commitTime}`, rolledBack: { instantTime: target.commitTime, type: target.action, notes: "" }, deletedFiles, markers: [] };
+    }
+    // savepoint
+    const partitionFiles = Object.fromEntries(Object.entries(meta?.partitionMetadata || {}).map(([p, m]) => [p, (m.savepointDataFile || []).map(baseName)]));
+    return { ...base, notes: meta?.comments || "savepoint", partitionFiles };
+}
+
+// Replay the instants oldest first onto file groups: writes add the files of their write stats, pending compactions
+// open pending slices, replacecommits retire file groups, and cleans, rollbacks and restores delete files
+function rebuildFileGroups(instants, warnings) {
+    const groups = new Map(); // `${partition}/${fileId}` -> file group
+    let nextFileGroupId = 1;
+    const groupOf = (partition, fileId) => {
+        const key = `${partition}/${fileId}`;
+        if (!groups.has(key)) groups.set(key, { id: `fg-${nextFileGroupId++}`, fileId, partition, slices: [] });
+        return groups.get(key);
+    };
+    const sliceOf = (fg, baseInstant) => {
+        let slice = fg.slices.find((s) => s.baseInstant === baseInstant);
+        if (!slice) {
+            slice = { baseInstant, baseFile: null, logFiles: [] };
+            fg.slices = [...fg.slices, slice].sort((a, b) => (a.baseInstant < b.baseInstant ? -1 : 1));
+        }
+        return slice;
+    };
+    const removeFiles = (partition, names) => {
+        const doomed = new Set(names);
+        groups.forEach((fg) => {
+            if (fg.partition !== partition) return;
+            fg.slices = fg.slices
+                    .map((s) => ({ ...s, baseFile: s.baseFile && doomed.has(s.baseFile.name) ? null : s.baseFile, logFiles: s.logFiles.filter((lf) => !doomed.has(lf.name)) }))
+                    .filter((s) => s.baseFile || s.logFiles.length > 0 || s.pending);
+        });
+    };
+
+    const instantsOut = instants.map((instant) => {
+        const ts = instantToDate(instant.instantTime)?.getTime() || 0;
+        if (instant.partitionToWriteStats) {
+            const created = [];
+            Object.entries(instant.partitionToWriteStats).forEach(([partition, stats]) =>
+                    stats.forEach((stat) => {
+                        const name = baseName(stat.path || "");
+                        const part = stat.partitionPath ?? partition;
+                        const bytes = stat.fileSizeInBytes ?? stat.totalWriteBytes;
+                        const isNew = !groups.has(`${part}/${stat.fileId}`);
+                        const base = BASE_FILE.exec(name);
+                        const log = LOG_FILE.exec(name);
+                        if (!base && !log) return warnings.push(`Skipped unrecognised file ${stat.path} of ${instant.instantTime}`);
+                        const fg = groupOf(part, stat.fileId || (base || log)[1]);
+                        if (isNew) created.push(fg.id);
+                        if (base) {
+                            const slice = sliceOf(fg, instant.instantTime);
+                            slice.baseFile = { name, fileId: fg.fileId, writeToken: base[2], instantTime: instant.instantTime, rows: stat.numWrites || 0, records: [], ts, bytes };
+                            delete slice.pending;
+                        } else {
+                            const deletes = (stat.numDeletes || 0) > 0 && !stat.numWrites;
+                            const slice = sliceOf(fg, log[2]);
+                            slice.logFiles = [
+                                ...slice.logFiles,
+                                {
+                                    name,
+                                    fileId: fg.fileId,
+                                    baseInstant: log[2],
+                                    version: Number(log[3]),
+                                    instantTime: instant.instantTime,
+                                    block: deletes ? "delete" : "data",
+                                    op: deletes ? "delete" : instant.notes.split(" ")[0],
+                                    orderingField: null,
+                                    rows: deletes ? stat.numDeletes : stat.numWrites || 0,
+                                    records: [],
+                                    ts,
+                                    bytes,
+                                },
+                            ];
+                        }
+                    })
+            );
+            if (instant.failed) return { ...instant, createdFileGroupIds: created, partialFiles: Object.values(instant.partitionToWriteStats).flat().map((s) => baseName(s.path || "")) };
+        }
+        if (instant.type === "compaction" && instant.state !== "COMPLETED") {
+            const operations = instant.plan.operations.map((op) => {
+                const fg = groupOf(op.partition, op.fileId);
+                sliceOf(fg, instant.instantTime).pending = true;
+                return { ...op, fileGroupId: fg.id };
+            });
+            return { ...instant, plan: { ...instant.plan, operations } };
+        }
+        if (instant.type === "replacecommit" && instant.state === "COMPLETED") {
+            Object.entries(instant.partitionToReplaceFileIds).forEach(([partition, fileIds]) =>
+                    fileIds.forEach((fileId) => groups.has(`${partition}/${fileId}`) && (groups.get(`${partition}/${fileId}`).replacedBy = instant.instantTime))
+            );
+        }
+        if (instant.plan?.inputGroups) {
+            const inputGroups = instant.plan.inputGroups.map((g) => ({ ...g, fileGroupIds: g.fileIds.map((fileId) => groupOf(g.partition, fileId).id) }));
+            return { ...instant, plan: { ...instant.plan, inputGroups } };
+        }
+        if (instant.type === "clean") {
+            // the slices the clean deleted, and until when reads needed them (for time travel checks)
+            const slices = [];
+            Object.entries(instant.plan.filesToDelete).forEach(([partition, names]) =>
+                    groups.forEach((fg) => {
+                        if (fg.partition !== partition) return;
+                        fg.slices.forEach((s, idx) => {
+                            if (![s.baseFile, ...s.logFiles].some((f) => f && names.includes(f.name))) return;
+                            slices.push({ fileGroupId: fg.id, baseInstant: s.baseInstant, servedUntil: fg.slices[idx + 1]?.baseInstant || fg.replacedBy });
+                        });
+                    })
+            );
+            if (instant.state === "COMPLETED") Object.entries(instant.plan.filesToDelete).forEach(([partition, names]) => removeFiles(partition, names));
+            return { ...instant, plan: { ...instant.plan, slices } };
+        }
+        if ((instant.type === "rollback" || instant.type === "restore") && instant.state === "COMPLETED") {
+            const byPartition = {};
+            instant.deletedFiles.forEach((f) => (byPartition[f.partition] = [...(byPartition[f.partition] || []), f.name]));
+            Object.entries(byPartition).forEach(([partition, names]) => removeFiles(partition, names));
+        }
+        // Hudi savepoints a commit at the commit's own instant time; this tool's exports write the savepoint at an
+        // instant of its own, after the write it keeps
+        if (instant.type === "savepoint") {
+            const writes = instants.filter((i) => WRITE_TYPES.includes(i.type) && i.state === "COMPLETED" && i.instantTime <= instant.instantTime);
+            const ownTime = writes.some((i) => i.instantTime === instant.instantTime);
+            return { ...instant, savepointedInstant: ownTime ? instant.instantTime : writes.at(-1)?.instantTime || instant.instantTime };
+        }
+        return instant;
+    });
+    // file groups left without files are gone from storage
+    return { fileGroups: [...groups.values()].filter((fg) => fg.slices.length > 0), instants: instantsOut, nextFileGroupId };
+}
+
+// Rebuild a table from a table folder's files (path -> text content or bytes; any leading folders are fine, the
+// outermost .hoodie folder is used). Returns { table, warnings }; throws without a hoodie.properties, or on Avro
+// metadata it cannot decode.
+export function loadTable(files) {
+    const warnings = [];
+    const roots = Object.keys(files)
+            .filter(isTimelinePath)
+            .map((path) => path.slice(0, path.search(TIMELINE_PATH) + (path.match(TIMELINE_PATH)[1] ? 1 : 0)));
+    const root = roots.sort((a, b) => a.length - b.length)[0];
+    const entries = Object.entries(files)
+            .filter(([path]) => root !== undefined && path.startsWith(`${root}.hoodie/`) && isTimelinePath(path.slice(root.length)))
+            .map(([path, content]) => ({ name: baseName(path), content }));
+    const properties = entries.find((e) => e.name === "hoodie.properties");
+    if (!properties) throw new Error("No .hoodie/hoodie.properties found: pick a table folder, its .hoodie folder, or a zip of either");
+    const { storage, config, index, cleaner } = tableConfigOf(parseProperties(textOf(properties.content)), warnings);
+    const instants = timelineEntriesOf(entries)
+            .map((entry) => instantOf(entry, warnings))
+            .filter(Boolean);
+    const { fileGroups, instants: replayed, nextFileGroupId } = rebuildFileGroups(instants, warnings);
+    const table = createTable({ storage, config, index, cleaner, partitions: [] });
+    return {
+        table: { ...table, fileGroups: withFileSizes(fileGroups, table.fileSizing), timeline: [...replayed].reverse(), nextFileGroupId },
+        warnings,
+    };
+}
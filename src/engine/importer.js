@@ -0,0 +1,189 @@
+import { keyGeneratorOf, DEFAULT_PARTITION_PATH } from "./properties.js";
+
+/***********************************\
+ |* File import                     *|
+ \***********************************/
+
+// Records from local files: CSV (header row, column types inferred), a JSON array of objects, or NDJSON (one object
+// per line). Parsing returns { format, records, columns: [{ name, type }], errors: [{ line, message }] }; rows that
+// cannot be parsed are reported and left out.
+export const IMPORT_FORMATS = ["csv", "json", "ndjson"];
+
+// By file extension, else by content: a leading '[' is a JSON array, a leading '{' NDJSON, anything else CSV
+export function detectFormat(fileName = "", text = "") {
+    const ext = fileName.toLowerCase().split(".").pop();
+    if (ext === "csv" || ext === "tsv") return "csv";
+    if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+    const head = text.trimStart()[0];
+    if (head === "[") return "json";
+    if (head === "{") return "ndjson";
+    return "csv";
+}
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, newlines and "" for a quote).
+// Each row carries the line it starts on.
+function csvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === "\n") line++;
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === "") {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = "";
+            rowLine = ++line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || row.length > 0) rows.push({ line: rowLine, cells: [...row, cell] });
+    return rows.filter((r) => !(r.cells.length === 1 && r.cells[0].trim() === ""));
+}
+
+// Column types, most specific first: a column is int if every non-empty cell is, and so on
+const INT = /^-?(0|[1-9]\d*)$/;
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+const CELL_TYPES = [
+    { type: "int", test: (v) => INT.test(v) && Number.isSafeInteger(Number(v)), parse: Number },
+    { type: "double", test: (v) => NUMBER.test(v), parse: Number },
+    { type: "boolean", test: (v) => /^(true|false)$/i.test(v), parse: (v) => v.toLowerCase() === "true" },
+    { type: "string", test: () => true, parse: (v) => v },
+];
+
+const inferType = (cells) => CELL_TYPES.find(({ test }) => cells.every((v) => v === "" || test(v)));
+
+function parseCsv(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = firstLine.split("\t").length > firstLine.split(",").length ? "\t" : ",";
+    const [header, ...body] = csvRows(text, delimiter);
+    if (!header) return { records: [], columns: [], errors: [] };
+    const names = header.cells.map((n) => n.trim());
+    const errors = [];
+    const rows = body.filter(({ line, cells }) => {
+        if (cells.length === names.length) return true;
+        errors.push({ line, message: `expected ${names.length} cells, found ${cells.length}` });
+        return false;
+    });
+    const types = names.map((_, c) => inferType(rows.map(({ cells }) => cells[c].trim())));
+    const records = rows.map(({ cells }) => Object.fromEntries(names.map((n, c) => {
+        const v = cells[c].trim();
+        return [n, v === "" ? null : types[c].parse(v)];
+    })));
+    return { records, columns: names.map((name, c) => ({ name, type: types[c].type })), errors };
+}
+
+const valueType = (v) => (typeof v === "number" ? (Number.isInteger(v) ? "int" : "double") : typeof v === "object" ? "json" : typeof v);
+
+// Columns of JSON records: every key seen, typed by its non-null values ('mixed' if they disagree)
+function jsonColumns(records) {
+    const types = new Map();
+    records.forEach((r) =>
+            Object.entries(r).forEach(([k, v]) => {
+                if (v === null || v === undefined) return types.set(k, types.get(k) || null);
+                const t = valueType(v);
+                types.set(k, !types.get(k) || types.get(k) === t ? t : "mixed");
+            })
+    );
+    return [...types.entries()].map(([name, type]) => ({ name, type: type || "string" }));
+}
+
+const isRecord = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function parseJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        return { records: [], columns: [], errors: [{ line: 1, message: e.message }] };
+    }
+    if (!Array.isArray(parsed)) return { records: [], columns: [], errors: [{ line: 1, message: "expected a JSON array of objects" }] };
+    const errors = [];
+    const records = parsed.filter((r, idx) => {
+        if (isRecord(r)) return true;
+        errors.push({ line: idx + 1, message: `element ${idx} is not an object` });
+        return false;
+    });
+    return { records, columns: jsonColumns(records), errors };
+}
+
+function parseNdjson(text) {
+    const errors = [];
+    const records = [];
+    text.split(/\r?\n/).forEach((raw, idx) => {
+        if (raw.trim() === "") return;
+        try {
+            const r = JSON.parse(raw);
+            if (isRecord(r)) records.push(r);
+            else errors.push({ line: idx + 1, message: "not a JSON object" });
+        } catch (e) {
+            errors.push({ line: idx + 1, message: e.message });
+        }
+    });
+    return { records, columns: jsonColumns(records), errors };
+}
+
+const PARSERS = { csv: parseCsv, json: parseJson, ndjson: parseNdjson };
+
+export function parseRecords(text, format) {
+    if (!PARSERS[format]) throw new Error(`Unknown import format: ${format}`);
+    // a UTF-8 byte order mark would otherwise stick to the first CSV header (and break JSON.parse)
+    return { format, ...PARSERS[format](text.replace(/^\uFEFF/, "")) };
+}
+
+// Rename file columns to table fields: `mapping` is { tableField: fileColumn }
+export const mapColumns = (records, mapping) => {
+    const moves = Object.entries(mapping).filter(([field, column]) => column && column !== field);
+    if (moves.length === 0) return records;
+    return records.map((r) => {
+        const next = { ...r };
+        moves.forEach(([, column]) => delete next[column]);
+        moves.forEach(([field, column]) => (next[field] = r[column]));
+        return next;
+    });
+};
+
+// Check mapped records against the table's key generator: rows without a record key (missing or empty, with the
+// table's key fields or the dataset's key alike) cannot be written and are left out; rows without a partition value land in the default partition, or are left out with `skipUnpartitioned`.
+// Returns { valid, issues: [{ row (1-based), reason: 'key'|'partition', message }] }.
+export function checkRecords(records, config, { dataset, skipUnpartitioned = false } = {}) {
+    const keyGen = keyGeneratorOf(config, dataset);
+    const partitionFields = `${config?.partitionPathField || ""}`.split(",").map((f) => f.trim()).filter(Boolean);
+    const valid = [];
+    const issues = [];
+    records.forEach((r, idx) => {
+        try {
+            keyGen.recordKey(r);
+        } catch (e) {
+            issues.push({ row: idx + 1, reason: "key", message: e.message });
+            return;
+        }
+        const missing = partitionFields.filter((f) => r[f] === undefined || r[f] === null || r[f] === "");
+        if (missing.length > 0) {
+            issues.push({ row: idx + 1, reason: "partition", message: `no value for ${missing.join(", ")}: lands in ${DEFAULT_PARTITION_PATH}` });
+            if (skipUnpartitioned) return;
+        }
+        valid.push(r);
+    });
+    return { valid, issues };
+}
@@ -0,0 +1,24 @@
+// Public surface of the headless table engine (no React imports below this folder)
+export { pad2, dateStr, timeStr, shiftTimestamp, makeInstantTime, instantAfter, instantToDate } from "./util.js";
+export { UNSEEDED_RUN, seededRun, advanceRun, createSource } from "./util.js";
+export { DATASETS } from "./datasets.js";
+export { FIELD_GENERATORS, PARTITION_TRANSFORMS, DEFAULT_SCHEMA, fieldTypeOf, canOrderBy, partitionColumnOf, validateSchema, datasetFromSchema } from "./schema.js";
+export { DEFAULT_WORKLOAD, KEY_DISTRIBUTIONS, generateWorkload, partitionPathsOf } from "./workload.js";
+export { createTable, applyAction, latestInstantTimeOf, makeFileGroup, WRITE_OPERATIONS } from "./table.js";
+export { WRITE_TYPES, completedWritesOf, failedWritesOf, savepointsOf, savepointedFilesOf, timeTravelError } from "./timeline.js";
+export { CLEANER_POLICIES, CLEANER_POLICY_PARAMS, DEFAULT_CLEANER, planClean } from "./cleaner.js";
+export { COMPACTION_STRATEGIES, COMPACTION_TRIGGERS, COMPACTION_EXECUTIONS, DEFAULT_COMPACTION, planCompaction } from "./compaction.js";
+export { DEFAULT_CLUSTERING, planClustering } from "./clustering.js";
+export { INDEX_TYPES, INDEX_SCOPES, DEFAULT_INDEX, bucketOf } from "./indexing.js";
+export { DEFAULT_FILE_SIZING, bytesOf, recordsPerFile, planInserts } from "./sizing.js";
+export { fileBytes, writeStatsOf, storageMetricsOf } from "./metrics.js";
+export { TABLE_TYPES, KEY_GENERATORS, TABLE_VERSIONS, DEFAULT_TABLE_CONFIG, DEFAULT_PARTITION_PATH, keyGeneratorOf, tableDatasetOf, renderProperties, INDEX_PROPERTIES, CLEANER_PROPERTIES, writerSettingsOf } from "./properties.js";
+export { IMPORT_FORMATS, detectFormat, parseRecords, mapColumns, checkRecords } from "./importer.js";
+export { timelineFileNames, tableFiles, zipTable, isTimelinePath, filesFromZip, loadTable } from "./hoodie.js";
+export { isAvroContainer, readAvroContainer } from "./avro.js";
+export { SESSION_VERSION, SCENARIO_VERSION, serializeSession, parseSession, HISTORY_ROWS_LIMIT, withStep, actionStep, encodeScenario, decodeScenario, replayScenario, openScenarioLink, customMergeCodeOf } from "./session.js";
+export { createComparison, applyToPair, compareTables } from "./comparison.js";
+export { readTable } from "./read.js";
+export { newFileId, bucketFileId, baseFileName, logFileName, latestSlice, isReplacedAsOf, baseFilesOf, logFilesOf, filesWrittenAt, filesAsOf } from "./layout.js";
+export { PREDICATE_OPS, matchesPredicate, mergeRecords, precombine, fileGroupView, uncommittedInstantsOf } from "./records.js";
+export { MERGE_MODES, DEFAULT_MERGE, DEFAULT_CUSTOM_MERGE, mergePair, pickLatest, compileCustomMerge } from "./merge.js";
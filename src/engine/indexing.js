@@ -0,0 +1,104 @@
+import { recordKeyOf } from "./records.js";
+
+/***********************************\
+ |* Index (key -> file group)       *|
+ \***********************************/
+
+// Index config: how an upsert finds the file group already holding each incoming key (tagging)
+// - type
+//   - SIMPLE: join the incoming keys against every key stored in the file groups in scope (reads all of them)
+//   - BLOOM: prune by each file group's min/max key range, then check its bloom filter; only groups whose filter
+//     says "maybe" are read, and `bloomFpp` of the absent keys are false positives that read a group for nothing
+//   - BUCKET: hash the key into one of `numBuckets` buckets per partition, each backed by one file group; no lookup
+// - scope: PARTITIONED looks a key up in its own partition only; GLOBAL across the table (an update then stays in the
+//   partition that already holds the key). BUCKET is always partitioned.
+export const INDEX_TYPES = ["SIMPLE", "BLOOM", "BUCKET"];
+export const INDEX_SCOPES = ["PARTITIONED", "GLOBAL"];
+
+export const DEFAULT_INDEX = { type: "SIMPLE", scope: "PARTITIONED", numBuckets: 4, bloomFpp: 0.1 };
+
+export function validateIndex(c) {
+    if (!INDEX_TYPES.includes(c.type)) throw new Error(`Unknown index type: ${c.type}`);
+    if (!INDEX_SCOPES.includes(c.scope)) throw new Error(`Unknown index scope: ${c.scope}`);
+    if (c.type === "BUCKET" && c.scope === "GLOBAL") throw new Error("The BUCKET index is partitioned only");
+    if (!(Number.isInteger(c.numBuckets) && c.numBuckets > 0)) throw new Error("numBuckets must be a positive integer");
+    if (!(typeof c.bloomFpp === "number" && c.bloomFpp >= 0 && c.bloomFpp < 1)) throw new Error("bloomFpp must be in [0, 1)");
+}
+
+// Java's String.hashCode, so a key always lands in the same bucket
+const hashCode = (s) => [...`${s}`].reduce((h, ch) => (Math.imul(31, h) + ch.charCodeAt(0)) | 0, 0);
+
+export const bucketOf = (key, numBuckets) => Math.abs(hashCode(key)) % numBuckets;
+
+// A bloom filter answers "maybe" for every key it holds, and for an absent key with probability `fpp`
+// (decided by hashing the key with the file id, so the same lookup gives the same answer)
+const bloomMightContain = (entry, key, fpp) => entry.keys.has(key) || (Math.abs(hashCode(`${entry.fg.fileId}/${key}`)) % 10000) / 10000 < fpp;
+
+// Tag a batch with the file group holding each key. `groups` are the live file groups as
+// { fg, records (latest committed view), files (names of the files a lookup reads) }.
+// Returns one tag per record, { record, fileGroupId, existing, bucket?, falsePositives } where `existing` is the stored
+// version (null: an insert) and a null fileGroupId leaves placement to the writer, plus the lookup summary for the
+// instant drawer: the file groups probed and what each check did.
+export function tagRecords(index, batch, groups) {
+    const c = { ...DEFAULT_INDEX, ...index };
+    const entries = groups.map(({ fg, records, files }) => {
+        const byKey = new Map(records.map((r) => [recordKeyOf(r), r]));
+        const keys = [...byKey.keys()].sort();
+        return { fg, files, byKey, keys: new Set(keys), minKey: keys[0], maxKey: keys.at(-1) };
+    });
+    const inScope = (entry, partition) => c.scope === "GLOBAL" || entry.fg.partition === partition;
+    const probes = new Map(entries.map((e) => [e.fg.id, { fileGroupId: e.fg.id, partition: e.fg.partition, files: e.files, keysRead: 0, rangePruned: 0, bloomChecks: 0, bloomHits: 0, falsePositives: 0, matches: 0 }]));
+    const read = new Set(); // file groups whose keys were read
+    const readKeys = (entry) => {
+        if (!read.has(entry.fg.id)) probes.get(entry.fg.id).keysRead = entry.keys.size;
+        read.add(entry.fg.id);
+    };
+
+    const tags = batch.map((record) => {
+        const key = recordKeyOf(record);
+        const partition = record._hoodie_partition_path;
+        if (c.type === "BUCKET") {
+            const bucket = bucketOf(key, c.numBuckets);
+            const entry = entries.find((e) => e.fg.partition === partition && e.fg.bucket === bucket);
+            const existing = entry?.byKey.get(key) || null;
+            return { record, fileGroupId: entry ? entry.fg.id : null, existing, bucket, falsePositives: [] };
+        }
+        let found = null;
+        const falsePositives = [];
+        entries
+                .filter((e) => inScope(e, partition) && e.keys.size > 0)
+                .forEach((e) => {
+                    const probe = probes.get(e.fg.id);
+                    if (c.type === "BLOOM") {
+                        if (key < e.minKey || key > e.maxKey) {
+                            probe.rangePruned++;
+                            return;
+                        }
+                        probe.bloomChecks++;
+                        if (!bloomMightContain(e, key, c.bloomFpp)) return;
+                        probe.bloomHits++;
+                        if (!e.keys.has(key)) {
+                            probe.falsePositives++;
+                            falsePositives.push(e.fg.id);
+                        }
+                    }
+                    readKeys(e);
+                    if (e.keys.has(key) && !found) {
+                        probe.matches++;
+                        found = e;
+                    }
+                });
+        return { record, fileGroupId: found ? found.fg.id : null, existing: found ? found.byKey.get(key) : null, falsePositives };
+    });
+
+    const lookup = {
+        type: c.type,
+        scope: c.type === "BUCKET" ? "PARTITIONED" : c.scope,
+        ...(c.type === "BUCKET" && { numBuckets: c.numBuckets }),
+        ...(c.type === "BLOOM" && { bloomFpp: c.bloomFpp }),
+        probes: c.type === "BUCKET" ? [] : [...probes.values()].filter((p) => read.has(p.fileGroupId) || p.rangePruned > 0 || p.bloomChecks > 0),
+        filesRead: [...read].reduce((n, id) => n + probes.get(id).files.length, 0),
+        keysRead: [...read].reduce((n, id) => n + probes.get(id).keysRead, 0),
+    };
+    return { tags, lookup };
+}
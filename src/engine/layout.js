@@ -0,0 +1,113 @@
+import { instantToDate, createSource } from "./util.js";
+
+/***********************************\
+ |* Storage layout                  *|
+ \***********************************/
+
+// Hudi lays a file group out as file slices keyed by base instant:
+//   FileGroup { id, fileId, partition, slices: [FileSlice], bucket? }
+//   FileSlice { baseInstant, baseFile | null, logFiles: [LogFile], pending? }
+//   BaseFile  { name, fileId, writeToken, instantTime, rows, records, ts }
+//   LogFile   { name, fileId, baseInstant, version, instantTime, block: 'data'|'delete', op, orderingField, rows, records, ts }
+// `ts` is the write time (that of the instant). File ids and write tokens draw from the caller's source (see util.js).
+// A slice without a base file (log-only, or waiting on a pending compaction) reads through to the previous slice.
+// A file group rewritten by a replacecommit (clustering, insert overwrite) is retired: `replacedBy` holds that instant.
+
+const hex = (source, n) => Array.from({ length: n }, () => source.rand(0, 15).toString(16)).join("");
+
+// File ids look like Hudi's UUID-based ids with a file index suffix
+export const newFileId = (source = createSource()) => `${hex(source, 8)}-${hex(source, 4)}-${hex(source, 4)}-${hex(source, 4)}-${hex(source, 12)}-0`;
+
+// Bucket index file ids start with the zero-padded bucket number in place of the first UUID block
+export const bucketFileId = (bucket, source = createSource()) => `${`${bucket}`.padStart(8, "0")}-${hex(source, 4)}-${hex(source, 4)}-${hex(source, 4)}-${hex(source, 12)}-0`;
+
+// Write token: <taskPartitionId>-<stageId>-<taskAttemptId>
+export const newWriteToken = (source = createSource()) => `${source.rand(0, 9)}-${source.rand(10, 99)}-${source.rand(10, 99)}`;
+
+const writtenAt = (instantTime) => instantToDate(instantTime).getTime();
+
+export const baseFileName = (fileId, writeToken, instantTime) => `${fileId}_${writeToken}_${instantTime}.parquet`;
+export const logFileName = (fileId, baseInstant, version) => `.${fileId}_${baseInstant}.log.${version}`;
+
+export const makeBaseFile = (fileId, instantTime, records, source) => {
+    const writeToken = newWriteToken(source);
+    return { name: baseFileName(fileId, writeToken, instantTime), fileId, writeToken, instantTime, rows: records.length, records, ts: writtenAt(instantTime) };
+};
+
+// Open a new slice whose base file was written at `instantTime`
+export const withBaseSlice = (fg, instantTime, records, source) => ({
+    ...fg,
+    slices: [...fg.slices, { baseInstant: instantTime, baseFile: makeBaseFile(fg.fileId, instantTime, records, source), logFiles: [] }],
+});
+
+// Append one log file (holding one data or delete block) to the latest slice; an empty file group gets a log-only slice
+export const withLogFile = (fg, { instantTime, block = "data", op, orderingField = null, records }) => {
+    const slices = fg.slices.length > 0 ? [...fg.slices] : [{ baseInstant: instantTime, baseFile: null, logFiles: [] }];
+    const slice = slices.at(-1);
+    const version = slice.logFiles.length + 1;
+    const logFile = {
+        name: logFileName(fg.fileId, slice.baseInstant, version),
+        fileId: fg.fileId,
+        baseInstant: slice.baseInstant,
+        version,
+        instantTime,
+        block,
+        op,
+        orderingField,
+        rows: records.length,
+        records,
+        ts: writtenAt(instantTime),
+    };
+    slices[slices.length - 1] = { ...slice, logFiles: [...slice.logFiles, logFile] };
+    return { ...fg, slices };
+};
+
+export const latestSlice = (fg) => fg.slices.at(-1) || null;
+
+// Whether a file group was already replaced for a read as of `asOf` (null: latest)
+export const isReplacedAsOf = (fg, asOf = null) => Boolean(fg.replacedBy) && (!asOf || fg.replacedBy <= asOf);
+export const baseFilesOf = (fg) => fg.slices.map((s) => s.baseFile).filter(Boolean);
+export const logFilesOf = (fg) => fg.slices.flatMap((s) => s.logFiles);
+
+// Files a given instant wrote into a file group
+export const filesWrittenAt = (fg, instantTime) => [
+    ...baseFilesOf(fg).filter((f) => f.instantTime === instantTime),
+    ...logFilesOf(fg).filter((f) => f.instantTime === instantTime),
+];
+
+// Marker file a writer creates before writing a data file: CREATE (new file), MERGE (base rewrite) or APPEND (log)
+export const markerFor = (fg, file, existedBefore) => {
+    const type = file.block ? (file.version === 1 ? "CREATE" : "APPEND") : existedBefore ? "MERGE" : "CREATE";
+    return { partition: fg.partition, fileGroupId: fg.id, fileName: file.name, type, name: `${fg.partition}/${file.name}.marker.${type}` };
+};
+
+// Drop every file an instant wrote; slices left empty by that go too
+export const withoutFilesOf = (fg, instantTime) => ({
+    ...fg,
+    slices: fg.slices
+            .map((s) => ({
+                ...s,
+                baseFile: s.baseFile && s.baseFile.instantTime === instantTime ? null : s.baseFile,
+                logFiles: s.logFiles.filter((lf) => lf.instantTime !== instantTime),
+            }))
+            .filter((s) => s.baseFile || s.logFiles.length > 0 || s.pending),
+});
+
+// Files a reader as of `asOf` (null: latest) touches in a file group: the chosen slice's logs plus its base, reading
+// through to earlier slices while a slice has no base file yet (the same files fileGroupView merges). Files written
+// by `exclude`d (uncommitted) instants are skipped.
+export const filesAsOf = (fg, asOf = null, exclude = new Set()) => {
+    const visible = (f) => (!asOf || f.instantTime <= asOf) && !exclude.has(f.instantTime);
+    const files = [];
+    let idx = fg.slices.length - 1;
+    while (idx >= 0 && asOf && fg.slices[idx].baseInstant > asOf) idx--;
+    for (; idx >= 0; idx--) {
+        const slice = fg.slices[idx];
+        files.push(...slice.logFiles.filter(visible));
+        if (slice.baseFile && visible(slice.baseFile)) {
+            files.push(slice.baseFile);
+            break;
+        }
+    }
+    return files;
+};
@@ -0,0 +1,75 @@
+/***********************************\
+ |* Merge modes                     *|
+ \***********************************/
+
+// How two versions of the same key combine (Hudi record merge modes / payload classes):
+// - COMMIT_TIME_ORDERING: the later write always wins (overwrite with latest)
+// - EVENT_TIME_ORDERING: the higher ordering (precombine) value wins; ties go to the later write
+// - PARTIAL_UPDATE: event-time winner, with its null/missing fields filled from the other version
+// - CUSTOM: user-supplied JavaScript body of `(stored, incoming, ctx) => merged`
+export const MERGE_MODES = ["COMMIT_TIME_ORDERING", "EVENT_TIME_ORDERING", "PARTIAL_UPDATE", "CUSTOM"];
+
+export const DEFAULT_CUSTOM_MERGE = `// stored / incoming: two versions of one key (incoming was written later)
+// ctx: { orderingField, key }; return the merged record
+return incoming[ctx.orderingField] >= stored[ctx.orderingField] ? incoming : stored;`;
+
+export const DEFAULT_MERGE = { mode: "EVENT_TIME_ORDERING", customCode: DEFAULT_CUSTOM_MERGE };
+
+export const compareValues = (a, b) => (typeof a === "number" && typeof b === "number" ? a - b : `${a ?? ""}`.localeCompare(`${b ?? ""}`));
+
+// Of two versions of a key the higher ordering value wins, ties go to the later one.
+// Without an ordering field the later version always wins.
+export const pickLatest = (older, newer, orderingField = null) =>
+        !orderingField || compareValues(newer[orderingField], older[orderingField]) >= 0 ? newer : older;
+
+const fillNulls = (winner, other) => {
+    const out = { ...winner };
+    Object.entries(other).forEach(([k, v]) => {
+        if (out[k] === null || out[k] === undefined) out[k] = v;
+    });
+    return out;
+};
+
+const compiled = new Map();
+
+// Compile a custom merge body once per source text; syntax errors surface here. The body runs unsandboxed, with the
+// page's full access.
+export function compileCustomMerge(code) {
+    if (!compiled.has(code)) {
+        try {
+            compiled.set(code, new Function("stored", "incoming", "ctx", code));
+        } catch (e) {
+            throw new Error(`Custom merge function does not compile: ${e.message}`);
+        }
+    }
+    return compiled.get(code);
+}
+
+// Merge an older (stored) and a newer (incoming) version of one key under a merge config
+// ({ mode, orderingField, customCode }); returns the record that survives
+export function mergePair(older, newer, { mode = DEFAULT_MERGE.mode, orderingField = null, customCode = DEFAULT_CUSTOM_MERGE } = {}) {
+    switch (mode) {
+        case "COMMIT_TIME_ORDERING":
+            return newer;
+        case "EVENT_TIME_ORDERING":
+            return pickLatest(older, newer, orderingField);
+        case "PARTIAL_UPDATE": {
+            const winner = pickLatest(older, newer, orderingField);
+            return fillNulls(winner, winner === newer ? older : newer);
+        }
+        case "CUSTOM": {
+            const fn = compileCustomMerge(customCode);
+            let merged;
+            try {
+                merged = fn({ ...older }, { ...newer }, { orderingField, key: older._hoodie_record_key });
+            } catch (e) {
+                throw new Error(`Custom merge function failed for key ${older._hoodie_record_key}: ${e.message}`);
+            }
+            if (!merged || typeof merged !== "object") throw new Error("Custom merge function must return a record object");
+            // the key and partition of a record are not the merge function's to change
+            return { ...merged, _hoodie_record_key: older._hoodie_record_key, _hoodie_partition_path: older._hoodie_partition_path };
+        }
+        default:
+            throw new Error(`Unknown merge mode: ${mode}`);
+    }
+}
@@ -0,0 +1,86 @@
+import { fileGroupView, uncommittedInstantsOf } from "./records.js";
+import { filesAsOf, filesWrittenAt, baseFilesOf, logFilesOf } from "./layout.js";
+import { DEFAULT_FILE_SIZING } from "./sizing.js";
+
+/***********************************\
+ |* Storage metrics                 *|
+ \***********************************/
+
+// Estimated file sizes: a base (columnar) file takes `recordSizeEstimate` bytes per row; a log (row-based) file holds the
+// same rows less compressed, by Hudi's log-to-parquet compression ratio (`logCompressionRatio`); a delete block only
+// carries keys, a tenth of a record each.
+const TOMBSTONE_FRACTION = 0.1;
+
+export function fileBytes(file, sizing) {
+    const c = { ...DEFAULT_FILE_SIZING, ...sizing };
+    if (!file.block) return file.rows * c.recordSizeEstimate;
+    const perRow = file.block === "delete" ? c.recordSizeEstimate * TOMBSTONE_FRACTION : c.recordSizeEstimate;
+    return Math.round((file.rows * perRow) / c.logCompressionRatio);
+}
+
+// Stamp an estimated size on every file that does not carry one yet (file groups without such files are kept as is)
+export function withFileSizes(fileGroups, sizing) {
+    const sized = (f) => (f.bytes === undefined ? { ...f, bytes: fileBytes(f, sizing) } : f);
+    return fileGroups.map((fg) => {
+        if (fg.slices.every((s) => (!s.baseFile || s.baseFile.bytes !== undefined) && s.logFiles.every((lf) => lf.bytes !== undefined))) return fg;
+        return { ...fg, slices: fg.slices.map((s) => ({ ...s, baseFile: s.baseFile && sized(s.baseFile), logFiles: s.logFiles.map(sized) })) };
+    });
+}
+
+// Commit metadata of an instant: per partition, one write stat per file it wrote (Hudi's partitionToWriteStats)
+export function writeStatsOf(fileGroups, instantTime) {
+    const stats = {};
+    fileGroups.forEach((fg) => {
+        filesWrittenAt(fg, instantTime).forEach((f) => {
+            const prev = fg.slices.filter((s) => s.baseFile && s.baseFile.instantTime < instantTime).at(-1);
+            stats[fg.partition] = [
+                ...(stats[fg.partition] || []),
+                {
+                    fileId: fg.fileId,
+                    path: `${fg.partition}/${f.name}`,
+                    prevCommit: f.block ? f.baseInstant : prev ? prev.baseFile.instantTime : "null",
+                    numWrites: f.block === "delete" ? 0 : f.rows,
+                    numDeletes: f.block === "delete" ? f.rows : 0,
+                    totalWriteBytes: f.bytes,
+                    fileSizeInBytes: f.bytes,
+                },
+            ];
+        });
+    });
+    return stats;
+}
+
+// Bytes an instant wrote, and the logical bytes it changed (the records it ingested or deleted at their base size;
+// table services change nothing logically). Write amplification is their ratio.
+export function instantWriteMetrics(instant, fileGroups, sizing) {
+    const c = { ...DEFAULT_FILE_SIZING, ...sizing };
+    const files = fileGroups.flatMap((fg) => filesWrittenAt(fg, instant.instantTime));
+    const bytesWritten = files.reduce((s, f) => s + f.bytes, 0);
+    const dataWrite = instant.type === "commit" || instant.type === "deltacommit" || (instant.type === "replacecommit" && instant.operation !== "cluster");
+    const logicalBytes = dataWrite ? (instant.records || 0) * c.recordSizeEstimate : 0;
+    return { bytesWritten, filesWritten: files.length, logicalBytes, writeAmplification: logicalBytes > 0 ? bytesWritten / logicalBytes : null };
+}
+
+// Storage footprint of the table: every file on storage, the live ones a snapshot read touches, the rest obsolete
+// (older slices, retired file groups, uncommitted files), and read amplification: bytes a snapshot read scans per
+// byte of live data it returns
+export function storageMetricsOf(table) {
+    const c = { ...DEFAULT_FILE_SIZING, ...table.fileSizing };
+    const exclude = uncommittedInstantsOf(table.timeline);
+    const all = table.fileGroups.flatMap((fg) => [...baseFilesOf(fg), ...logFilesOf(fg)]);
+    const live = table.fileGroups.filter((fg) => !fg.replacedBy);
+    const read = live.flatMap((fg) => filesAsOf(fg, null, exclude)).filter((f) => table.storage === "mor" || !f.block);
+    const rows = live.reduce((n, fg) => n + fileGroupView(fg, { merge: table.merge, baseOnly: table.storage !== "mor", exclude }).length, 0);
+    const totalBytes = all.reduce((s, f) => s + (f.bytes || 0), 0);
+    const liveBytes = read.reduce((s, f) => s + (f.bytes || 0), 0);
+    const dataBytes = rows * c.recordSizeEstimate;
+    return {
+        totalBytes,
+        liveBytes,
+        obsoleteBytes: totalBytes - liveBytes,
+        fileCount: all.length,
+        liveFileCount: read.length,
+        snapshotRows: rows,
+        readAmplification: dataBytes > 0 ? liveBytes / dataBytes : null,
+    };
+}
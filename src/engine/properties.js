@@ -0,0 +1,152 @@
+import { DEFAULT_INDEX, INDEX_TYPES } from "./indexing.js";
+import { DEFAULT_CLEANER, CLEANER_POLICIES, CLEANER_POLICY_PARAMS } from "./cleaner.js";
+
+/***********************************\
+ |* Table config                    *|
+ \***********************************/
+
+// Table config fixed when the table is created, as Hudi persists it in .hoodie/hoodie.properties:
+// - name: hoodie.table.name
+// - recordKeyField: field(s) the record key is built from (comma-separated for COMPLEX), hoodie.table.recordkey.fields
+// - partitionPathField: field(s) the partition path is built from, hoodie.table.partition.fields
+// - precombineField: ordering field deciding which version of a key wins (empty: commit time), hoodie.table.precombine.field
+// - keyGenerator: SIMPLE (one key field, one partition field, key = the value) or COMPLEX (several of each, key = "field:value,...")
+// - hiveStylePartitioning: partition paths as field=value instead of the bare value
+// - version: hoodie.table.version
+// The table type (hoodie.table.type) is the table's `storage`. The key fields decide where every stored record lives,
+// so they never change; the table type and version only change through a migration (the `migrate` action).
+// The table's `index` and `cleaner` are fixed at creation too, and written alongside (INDEX_PROPERTIES, CLEANER_PROPERTIES).
+export const TABLE_TYPES = { mor: "MERGE_ON_READ", cow: "COPY_ON_WRITE" };
+export const KEY_GENERATORS = ["SIMPLE", "COMPLEX"];
+// 5: Hudi 0.12/0.13, 6: 0.14/0.15, 8: 1.x
+export const TABLE_VERSIONS = [5, 6, 8];
+
+export const DEFAULT_TABLE_CONFIG = {
+    name: "hudi_table",
+    recordKeyField: "",
+    partitionPathField: "",
+    precombineField: "",
+    keyGenerator: "SIMPLE",
+    hiveStylePartitioning: true,
+    version: 6,
+};
+
+// Hudi's path for records whose partition value is missing
+export const DEFAULT_PARTITION_PATH = "__HIVE_DEFAULT_PARTITION__";
+
+const KEY_GENERATOR_CLASSES = {
+    SIMPLE: "org.apache.hudi.keygen.SimpleKeyGenerator",
+    COMPLEX: "org.apache.hudi.keygen.ComplexKeyGenerator",
+};
+
+const fieldsOf = (list) => `${list || ""}`.split(",").map((f) => f.trim()).filter(Boolean);
+
+export function validateTableConfig(c) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(c.name || "")) throw new Error("Table name must be letters, digits and underscores");
+    if (!KEY_GENERATORS.includes(c.keyGenerator)) throw new Error(`Unknown key generator: ${c.keyGenerator}`);
+    if (!TABLE_VERSIONS.includes(c.version)) throw new Error(`Unsupported table version: ${c.version}`);
+    // a table without key fields takes keys from the dataset spec of each commit
+    if (!c.recordKeyField && !c.partitionPathField) return;
+    if (fieldsOf(c.recordKeyField).length === 0) throw new Error("A record key field is required");
+    if (fieldsOf(c.partitionPathField).length === 0) throw new Error("A partition path field is required");
+    if (c.keyGenerator === "SIMPLE" && (fieldsOf(c.recordKeyField).length > 1 || fieldsOf(c.partitionPathField).length > 1)) {
+        throw new Error("The SIMPLE key generator takes one record key field and one partition path field; use COMPLEX");
+    }
+}
+
+// How incoming records get their key, partition path and ordering field: from the table config, or for a table
+// created without key fields from the commit's dataset spec ({ key, partitionBy, orderingField })
+export function keyGeneratorOf(config, dataset) {
+    const valueOf = (r, f) => {
+        const v = r[f];
+        if (v === undefined || v === null || v === "") throw new Error(`recordKey value for field "${f}" cannot be null or empty`);
+        return `${v}`;
+    };
+    if (!config?.recordKeyField) {
+        if (!dataset) throw new Error("The table has no record key field; commits must pass a dataset");
+        return { recordKey: (r) => valueOf(r, dataset.key), partitionPath: dataset.partitionBy, orderingField: dataset.orderingField || null };
+    }
+    const keyFields = fieldsOf(config.recordKeyField);
+    const partitionFields = fieldsOf(config.partitionPathField);
+    const partOf = (r, f) => {
+        const v = r[f] === undefined || r[f] === null || r[f] === "" ? DEFAULT_PARTITION_PATH : `${r[f]}`;
+        return config.hiveStylePartitioning ? `${f}=${v}` : v;
+    };
+    return {
+        recordKey: (r) => (config.keyGenerator === "SIMPLE" ? valueOf(r, keyFields[0]) : keyFields.map((f) => `${f}:${valueOf(r, f)}`).join(",")),
+        partitionPath: (r) => partitionFields.map((f) => partOf(r, f)).join("/"),
+        orderingField: config.precombineField || null,
+    };
+}
+
+// A dataset spec as a table partitions it: generated records get their partition paths from the table's key generator
+export const tableDatasetOf = (config, dataset) => ({ ...dataset, partitionBy: keyGeneratorOf(config, dataset).partitionPath });
+
+// Index type as Hudi names it: a GLOBAL_ prefix for the global scope
+const indexTypeName = (index) => (index.scope === "GLOBAL" && index.type !== "BUCKET" ? `GLOBAL_${index.type}` : index.type);
+
+// hoodie.properties keys of the index and cleaner settings; the loader reads them back (see hoodie.js)
+export const INDEX_PROPERTIES = { type: "hoodie.index.type", numBuckets: "hoodie.bucket.index.num.buckets", bloomFpp: "hoodie.index.bloom.fpp" };
+export const CLEANER_PROPERTIES = {
+    policy: "hoodie.cleaner.policy",
+    commitsRetained: "hoodie.cleaner.commits.retained",
+    fileVersionsRetained: "hoodie.cleaner.fileversions.retained",
+    hoursRetained: "hoodie.cleaner.hours.retained",
+};
+
+// { index, cleaner } from hoodie.properties keys; missing or invalid keys keep the defaults
+export function writerSettingsOf(props) {
+    const type = `${props[INDEX_PROPERTIES.type] || ""}`.replace(/^GLOBAL_/, "");
+    const global = `${props[INDEX_PROPERTIES.type] || ""}`.startsWith("GLOBAL_");
+    const number = (key, fallback) => (`${props[key] ?? ""}`.trim() !== "" && Number.isFinite(Number(props[key])) ? Number(props[key]) : fallback);
+    const index = {
+        ...DEFAULT_INDEX,
+        ...(INDEX_TYPES.includes(type) && { type, scope: global && type !== "BUCKET" ? "GLOBAL" : "PARTITIONED" }),
+        numBuckets: number(INDEX_PROPERTIES.numBuckets, DEFAULT_INDEX.numBuckets),
+        bloomFpp: number(INDEX_PROPERTIES.bloomFpp, DEFAULT_INDEX.bloomFpp),
+    };
+    const policy = `${props[CLEANER_PROPERTIES.policy] || ""}`;
+    const cleaner = {
+        ...DEFAULT_CLEANER,
+        ...(CLEANER_POLICIES.includes(policy) && { policy }),
+        commitsRetained: number(CLEANER_PROPERTIES.commitsRetained, DEFAULT_CLEANER.commitsRetained),
+        fileVersionsRetained: number(CLEANER_PROPERTIES.fileVersionsRetained, DEFAULT_CLEANER.fileVersionsRetained),
+        hoursRetained: number(CLEANER_PROPERTIES.hoursRetained, DEFAULT_CLEANER.hoursRetained),
+    };
+    return { index, cleaner };
+}
+
+// hoodie.properties as Hudi writes it (java.util.Properties format, keys sorted)
+export function renderProperties(table) {
+    const c = { ...DEFAULT_TABLE_CONFIG, ...table.config };
+    const index = { ...DEFAULT_INDEX, ...table.index };
+    const cleaner = { ...DEFAULT_CLEANER, ...table.cleaner };
+    const retained = CLEANER_POLICY_PARAMS[cleaner.policy];
+    const props = {
+        "hoodie.table.name": c.name,
+        "hoodie.table.type": TABLE_TYPES[table.storage],
+        "hoodie.table.version": c.version,
+        "hoodie.timeline.layout.version": c.version >= 8 ? 2 : 1,
+        // instant times are issued in UTC (see util.js)
+        "hoodie.table.timeline.timezone": "UTC",
+        "hoodie.table.base.file.format": "PARQUET",
+        "hoodie.archivelog.folder": "archived",
+        "hoodie.populate.meta.fields": true,
+        ...(c.recordKeyField && {
+            "hoodie.table.recordkey.fields": fieldsOf(c.recordKeyField).join(","),
+            "hoodie.table.partition.fields": fieldsOf(c.partitionPathField).join(","),
+            "hoodie.table.keygenerator.class": KEY_GENERATOR_CLASSES[c.keyGenerator],
+            "hoodie.datasource.write.hive_style_partitioning": c.hiveStylePartitioning,
+        }),
+        ...(c.precombineField && { "hoodie.table.precombine.field": c.precombineField }),
+        [INDEX_PROPERTIES.type]: indexTypeName(index),
+        ...(index.type === "BUCKET" && { [INDEX_PROPERTIES.numBuckets]: index.numBuckets }),
+        ...(index.type === "BLOOM" && { [INDEX_PROPERTIES.bloomFpp]: index.bloomFpp }),
+        [CLEANER_PROPERTIES.policy]: cleaner.policy,
+        [CLEANER_PROPERTIES[retained]]: cleaner[retained],
+    };
+    return Object.keys(props)
+            .sort()
+            .map((k) => `${k}=${props[k]}\n`)
+            .join("");
+}
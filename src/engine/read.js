@@ -0,0 +1,39 @@
+import { fileGroupView, uncommittedInstantsOf } from "./records.js";
+import { timeTravelError } from "./timeline.js";
+import { isReplacedAsOf } from "./layout.js";
+
+/***********************************\
+ |* Read model                      *|
+ \***********************************/
+
+// Compute snapshot and incremental reads, optionally as-of an instant.
+// Throws when the instant can no longer be served (its files were cleaned, or it is off the active timeline).
+export function readTable({ fileGroups, storage, merge, timeline = [] }, { asOf = null } = {}) {
+    const invalid = timeTravelError(timeline, asOf);
+    if (invalid) throw new Error(invalid);
+
+    // Time travel: each file group is read from its latest slice with baseInstant <= asOf, using files whose instantTime <= asOf
+    // Snapshot reads:
+    // - MoR: the slice's base merged with its log files by record key under the table's merge mode (as-of)
+    // - CoW: just the slice's base file (as-of)
+    // Files of uncommitted (inflight/failed) instants are never read, nor file groups a replacecommit retired
+    const exclude = uncommittedInstantsOf(timeline);
+    const snapshot = fileGroups
+            .filter((fg) => !isReplacedAsOf(fg, asOf))
+            .flatMap((fg) => fileGroupView(fg, { asOf, merge, baseOnly: storage !== "mor", exclude }));
+
+    // Incremental reads: records whose latest version was committed at the as-of instant
+    // (without an instant: everything since the beginning of the timeline, where deletes have already netted out)
+    const incremental = asOf ? snapshot.filter((r) => r._hoodie_commit_time === asOf) : snapshot;
+    // ...plus the keys deleted at that instant, so consumers can drop them downstream
+    const incrementalDeletes = asOf ? timeline.find((i) => i.instantTime === asOf && i.state === "COMPLETED")?.deletedKeys || [] : [];
+
+    return {
+        snapshotRows: snapshot.length,
+        incrementalRows: incremental.length,
+        uniqueKeys: new Set(snapshot.map((r) => `${r._hoodie_partition_path}/${r._hoodie_record_key}`)).size,
+        snapshot,
+        incremental,
+        incrementalDeletes,
+    };
+}
@@ -0,0 +1,106 @@
+import { mergePair } from "./merge.js";
+
+/***********************************\
+ |* Record-level storage            *|
+ \***********************************/
+
+// Stored records carry Hudi's meta columns next to the payload, so reads and merges never need the dataset
+export const recordKeyOf = (r) => r._hoodie_record_key;
+
+export const withMeta = (record, { recordKey, partition, instantTime }) => ({
+    _hoodie_commit_time: instantTime,
+    _hoodie_record_key: recordKey,
+    _hoodie_partition_path: partition,
+    ...record,
+});
+
+// Delete blocks only carry the HoodieKey of each removed record
+export const tombstoneOf = (r, instantTime) => ({
+    _hoodie_commit_time: instantTime,
+    _hoodie_record_key: r._hoodie_record_key,
+    _hoodie_partition_path: r._hoodie_partition_path,
+    _hoodie_is_deleted: true,
+});
+
+// Predicate descriptor for "delete by predicate": { field, op: '='|'!='|'>'|'>='|'<'|'<=', value }
+export const PREDICATE_OPS = ["=", "!=", ">", ">=", "<", "<="];
+
+export function matchesPredicate(r, { field, op = "=", value }) {
+    const left = r[field];
+    if (left === undefined || left === null) return false;
+    const numeric = typeof left === "number" && value !== "" && !Number.isNaN(Number(value));
+    const a = numeric ? left : `${left}`;
+    const b = numeric ? Number(value) : `${value}`;
+    switch (op) {
+        case "=": return a === b;
+        case "!=": return a !== b;
+        case ">": return a > b;
+        case ">=": return a >= b;
+        case "<": return a < b;
+        case "<=": return a <= b;
+        default: throw new Error(`Unknown predicate operator: ${op}`);
+    }
+}
+
+// In-batch dedup: one record per key, combined under the merge config ({ mode, orderingField, customCode })
+export const precombine = (records, merge = {}) => {
+    const byKey = new Map();
+    records.forEach((r) => {
+        const k = `${r._hoodie_partition_path}/${recordKeyOf(r)}`;
+        byKey.set(k, byKey.has(k) ? mergePair(byKey.get(k), r, merge) : r);
+    });
+    return [...byKey.values()];
+};
+
+// Insert keeps every incoming row (duplicates allowed); upsert merges each incoming key with its stored version
+// under the merge config (duplicates of a key collapse into the result, which keeps the slot of the first stored
+// copy); delete drops every stored copy of the tombstoned keys
+export function mergeRecords(current, incoming, op = "upsert", merge = {}) {
+    if (op === "insert") return [...current, ...incoming];
+    if (op === "delete") {
+        const gone = new Set(incoming.map(recordKeyOf));
+        return current.filter((r) => !gone.has(recordKeyOf(r)));
+    }
+    const byKey = new Map(precombine(incoming, merge).map((r) => [recordKeyOf(r), r]));
+    const seen = new Set();
+    const out = [];
+    current.forEach((r) => {
+        const k = recordKeyOf(r);
+        if (!byKey.has(k)) {
+            out.push(r);
+        } else if (!seen.has(k)) {
+            out.push(mergePair(r, byKey.get(k), merge));
+            seen.add(k);
+        }
+    });
+    byKey.forEach((r, k) => {
+        if (!seen.has(k)) out.push(r);
+    });
+    return out;
+}
+
+// Merged records of a file slice as-of an instant: its base file (or, without one, the previous slice read through),
+// then its log files replayed in order under the table's merge config (each log block carries the ordering field
+// it was written with, like a log block header). `baseOnly` skips the logs (CoW / read-optimized reads);
+// files written by an instant in `exclude` (uncommitted writes) are invisible.
+const sliceView = (fg, idx, opts) => {
+    const { asOf, merge, baseOnly, exclude } = opts;
+    const visible = (f) => (!asOf || f.instantTime <= asOf) && !exclude.has(f.instantTime);
+    const slice = fg.slices[idx];
+    const base = slice.baseFile && visible(slice.baseFile) ? slice.baseFile.records : idx > 0 ? sliceView(fg, idx - 1, opts) : [];
+    if (baseOnly) return base;
+    return slice.logFiles
+            .filter(visible)
+            .reduce((view, lf) => mergeRecords(view, lf.records, lf.op, { ...merge, orderingField: lf.orderingField }), base);
+};
+
+// Merged records of a file group as-of an instant: the latest slice whose base instant is visible
+export function fileGroupView(fg, { asOf = null, merge = {}, baseOnly = false, exclude = new Set() } = {}) {
+    let idx = fg.slices.length - 1;
+    while (idx >= 0 && asOf && fg.slices[idx].baseInstant > asOf) idx--;
+    return idx < 0 ? [] : sliceView(fg, idx, { asOf, merge, baseOnly, exclude });
+}
+
+// Instants whose files readers and writers must ignore: anything on the timeline not yet COMPLETED
+// (files of archived instants are committed by definition)
+export const uncommittedInstantsOf = (timeline) => new Set(timeline.filter((i) => i.state !== "COMPLETED").map((i) => i.instantTime));
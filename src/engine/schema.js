@@ -0,0 +1,206 @@
+import { pad2, dateStr, timeStr, createSource } from "./util.js";
+import { generateWorkload } from "./workload.js";
+
+/***********************************\
+ |* Custom dataset schemas          *|
+ \***********************************/
+
+// A schema describes a user-defined dataset: { id, name, fields, key, partition: { field, transform }, orderingField }
+// where every field is { name, generator: { kind, ...params } } and its type follows from the generator:
+// - enum: one of `values` (string)
+// - intRange: an integer in [min, max] (int)
+// - decimal: a number in [min, max] with `scale` decimals (decimal)
+// - timestamp: a 'YYYY-MM-DD HH:mm:ss' time within the last `windowHours` hours (timestamp)
+// - uuid: a random UUID (string)
+// - sequence: the next id after the highest already written, from `start`, with an optional `prefix` (long, or string with a prefix)
+// The partition expression partitions by an enum or int field as is, or by a timestamp field truncated to a year, month,
+// day or hour; a truncated value is written to a derived column (`<field>_<transform>`) that the table partitions by.
+export const FIELD_GENERATORS = {
+    enum: { type: "string", defaults: { values: ["A", "B", "C"] } },
+    intRange: { type: "int", defaults: { min: 1, max: 100 } },
+    decimal: { type: "decimal", defaults: { min: 0, max: 100, scale: 2 } },
+    timestamp: { type: "timestamp", defaults: { windowHours: 72 } },
+    uuid: { type: "string", defaults: {} },
+    sequence: { type: "long", defaults: { start: 1, prefix: "" } },
+};
+
+export const PARTITION_TRANSFORMS = ["identity", "year", "month", "day", "hour"];
+
+// More partitions than this would flood the file group panel
+const MAX_PARTITIONS = 64;
+
+export const DEFAULT_SCHEMA = {
+    name: "Sensor readings",
+    fields: [
+        { name: "reading_id", generator: { kind: "sequence", start: 1, prefix: "r" } },
+        { name: "device", generator: { kind: "enum", values: ["boiler", "chiller", "pump"] } },
+        { name: "temperature", generator: { kind: "decimal", min: -10, max: 40, scale: 1 } },
+        { name: "event_ts", generator: { kind: "timestamp", windowHours: 72 } },
+    ],
+    key: "reading_id",
+    partition: { field: "event_ts", transform: "day" },
+    orderingField: "event_ts",
+};
+
+export const fieldTypeOf = (field) => (field.generator.kind === "sequence" && field.generator.prefix ? "string" : FIELD_GENERATORS[field.generator.kind]?.type);
+
+// Ordering values compare as times or numbers, and late arrivals go back in time or numerically (see workload.js)
+const ORDERING_TYPES = ["timestamp", "int", "long", "decimal"];
+export const canOrderBy = (field) => ORDERING_TYPES.includes(fieldTypeOf(field));
+
+// Column the table partitions by: the partition field itself, or the derived column holding its truncated value
+export const partitionColumnOf = (schema) =>
+        schema.partition.transform === "identity" ? schema.partition.field : `${schema.partition.field}_${schema.partition.transform}`;
+
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Truncate a time to its partition period, and the [start, end) of a period (in UTC, like every engine time)
+const PERIODS = {
+    year: { label: (d) => `${d.getUTCFullYear()}`, start: (v) => new Date(Date.UTC(Number(v), 0, 1)), next: (d) => new Date(Date.UTC(d.getUTCFullYear() + 1, 0, 1)) },
+    month: {
+        label: (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`,
+        start: (v) => new Date(`${v}-01T00:00:00Z`),
+        next: (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)),
+    },
+    day: { label: (d) => dateStr(d), start: (v) => new Date(`${v}T00:00:00Z`), next: (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)) },
+    hour: {
+        label: (d) => `${dateStr(d)}-${pad2(d.getUTCHours())}`,
+        start: (v) => new Date(`${v.slice(0, 10)}T${v.slice(11)}:00:00Z`),
+        next: (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1)),
+    },
+};
+
+const formatTime = (d) => `${dateStr(d)} ${timeStr(d)}`;
+
+// Partition values the expression can yield as of `at`; the newest time period first
+function partitionValuesOf(schema, at = new Date()) {
+    const field = schema.fields.find((f) => f.name === schema.partition.field);
+    const g = field.generator;
+    if (g.kind === "enum") return [...g.values];
+    if (g.kind === "intRange") return Array.from({ length: g.max - g.min + 1 }, (_, i) => g.min + i);
+    const period = PERIODS[schema.partition.transform];
+    const values = [];
+    for (let d = period.start(period.label(new Date(at.getTime() - g.windowHours * 3600 * 1000))); d <= at; d = period.next(d)) values.push(period.label(d));
+    return values.reverse();
+}
+
+export function validateSchema(schema) {
+    if (!`${schema.name || ""}`.trim()) throw new Error("A dataset name is required");
+    if (!Array.isArray(schema.fields) || schema.fields.length === 0) throw new Error("A schema needs at least one field");
+    const names = new Set();
+    schema.fields.forEach(({ name, generator: g = {} }) => {
+        if (!NAME.test(name || "") || name.startsWith("_hoodie_")) throw new Error(`Invalid field name: "${name}"`);
+        if (names.has(name)) throw new Error(`Duplicate field: ${name}`);
+        names.add(name);
+        if (!FIELD_GENERATORS[g.kind]) throw new Error(`Unknown generator for ${name}: ${g.kind}`);
+        if (g.kind === "enum" && !(Array.isArray(g.values) && g.values.length > 0 && g.values.every((v) => `${v}` !== ""))) throw new Error(`${name}: enum values are required`);
+        if (g.kind === "intRange" && !(Number.isInteger(g.min) && Number.isInteger(g.max) && g.min <= g.max)) throw new Error(`${name}: min and max must be integers with min <= max`);
+        if (g.kind === "decimal" && !(typeof g.min === "number" && typeof g.max === "number" && g.min < g.max && Number.isInteger(g.scale) && g.scale >= 0 && g.scale <= 6)) {
+            throw new Error(`${name}: decimal needs min < max and a scale of 0-6`);
+        }
+        if (g.kind === "timestamp" && !(typeof g.windowHours === "number" && g.windowHours > 0)) throw new Error(`${name}: the timestamp window must be positive`);
+        if (g.kind === "sequence" && !Number.isInteger(g.start)) throw new Error(`${name}: the sequence start must be an integer`);
+    });
+    if (!names.has(schema.key)) throw new Error("Pick the record key field");
+    const { field, transform } = schema.partition || {};
+    if (!names.has(field)) throw new Error("Pick the partition field");
+    if (!PARTITION_TRANSFORMS.includes(transform)) throw new Error(`Unknown partition transform: ${transform}`);
+    const kind = schema.fields.find((f) => f.name === field).generator.kind;
+    if (transform === "identity" && !["enum", "intRange"].includes(kind)) throw new Error("Partition by an enum or int range field, or truncate a timestamp field");
+    if (transform !== "identity" && kind !== "timestamp") throw new Error(`The ${transform} transform needs a timestamp field`);
+    if (transform !== "identity" && names.has(partitionColumnOf(schema))) throw new Error(`The derived partition column ${partitionColumnOf(schema)} clashes with a field`);
+    const count = partitionValuesOf(schema).length;
+    if (count > MAX_PARTITIONS) throw new Error(`The partition expression yields ${count} partitions (at most ${MAX_PARTITIONS})`);
+    if (schema.orderingField && !names.has(schema.orderingField)) throw new Error(`Unknown ordering field: ${schema.orderingField}`);
+    if (schema.orderingField && !canOrderBy(schema.fields.find((f) => f.name === schema.orderingField))) {
+        throw new Error(`The ordering field ${schema.orderingField} must be a timestamp or a number (not an enum, uuid or prefixed sequence)`);
+    }
+}
+
+const uuid = (source) =>
+        "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+            const r = source.rand(0, 15);
+            return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+        });
+
+// Build a dataset spec from a schema, like the entries of DATASETS: { name, key, orderingField, partitionField,
+// partitionBy, partitionValues, prepare, makeRecord, updateRecord, generate, fields }; values and times come from the
+// source the generator is given (see createSource in util.js)
+export function datasetFromSchema(schema) {
+    validateSchema(schema);
+    const column = partitionColumnOf(schema);
+    const { field: partitionField, transform } = schema.partition;
+    const period = PERIODS[transform];
+    // next id per sequence field; prepare() sets them past every id already written (and back to the start for an
+    // empty table, so a seeded run replays the same ids)
+    const sequences = new Map(schema.fields.filter((f) => f.generator.kind === "sequence").map((f) => [f.name, f.generator.start]));
+    const seqOf = (f, v) => Number(`${v}`.slice((f.generator.prefix || "").length));
+
+    const valueOf = (f, source) => {
+        const g = f.generator;
+        switch (g.kind) {
+            case "enum": return g.values[source.rand(0, g.values.length - 1)];
+            case "intRange": return source.rand(g.min, g.max);
+            case "decimal": return Number((g.min + source.random() * (g.max - g.min)).toFixed(g.scale));
+            case "timestamp": return formatTime(new Date(source.now() - source.random() * g.windowHours * 3600 * 1000));
+            case "uuid": return uuid(source);
+            default: {
+                const next = sequences.get(f.name);
+                sequences.set(f.name, next + 1);
+                return g.prefix ? `${g.prefix}${next}` : next;
+            }
+        }
+    };
+
+    // a time inside the partition's period, and inside the window
+    const timeIn = (f, value, source) => {
+        const at = source.now();
+        const from = Math.max(period.start(value).getTime(), at - f.generator.windowHours * 3600 * 1000);
+        const to = Math.min(period.next(period.start(value)).getTime(), at);
+        return formatTime(new Date(from + source.random() * Math.max(0, to - from)));
+    };
+
+    const spec = {
+        name: schema.name,
+        key: schema.key,
+        orderingField: schema.orderingField || null,
+        partitionField: column,
+        partitionBy: (r) => `${column}=${r[column]}`,
+        fields: [...schema.fields.map((f) => f.name), ...(transform === "identity" ? [] : [column])],
+        partitionValues: (source = createSource()) => partitionValuesOf(schema, new Date(source.now())),
+        prepare: (existing) => {
+            schema.fields
+                    .filter((f) => sequences.has(f.name))
+                    .forEach((f) => {
+                        const highest = existing.reduce((max, r) => {
+                            const v = seqOf(f, r[f.name]);
+                            return Number.isFinite(v) && v > max ? v : max;
+                        }, -Infinity);
+                        sequences.set(f.name, Math.max(f.generator.start, highest + 1));
+                    });
+        },
+        makeRecord: (i, partitionValue, source) => {
+            const record = Object.fromEntries(schema.fields.map((f) => [f.name, valueOf(f, source)]));
+            if (transform === "identity") {
+                record[partitionField] = partitionValue;
+            } else {
+                record[partitionField] = timeIn(schema.fields.find((f) => f.name === partitionField), partitionValue, source);
+                record[column] = partitionValue;
+            }
+            return record;
+        },
+        // a new version keeps the key and partition, moves the ordering field forward and regenerates the rest
+        updateRecord: (prev, source) => {
+            const next = { ...prev };
+            schema.fields.forEach((f) => {
+                if (f.name === schema.key || f.name === partitionField || f.generator.kind === "sequence") return;
+                if (f.name !== schema.orderingField) next[f.name] = valueOf(f, source);
+                else if (f.generator.kind === "timestamp") next[f.name] = formatTime(new Date(source.now()));
+                else if (typeof prev[f.name] === "number") next[f.name] = prev[f.name] + 1;
+                else next[f.name] = valueOf(f, source);
+            });
+            return next;
+        },
+    };
+    return { ...spec, generate: (n, profile, existing, source) => generateWorkload(spec, n, profile, existing, source) };
+}
@@ -0,0 +1,261 @@
+import { deflateSync, inflateSync, strToU8, strFromU8 } from "fflate";
+import { UNSEEDED_RUN, advanceRun, createSource } from "./util.js";
+import { DATASETS } from "./datasets.js";
+import { datasetFromSchema } from "./schema.js";
+import { generateWorkload } from "./workload.js";
+import { createTable, applyAction } from "./table.js";
+import { createComparison, applyToPair } from "./comparison.js";
+import { readTable } from "./read.js";
+import { tableDatasetOf } from "./properties.js";
+import { DEFAULT_CUSTOM_MERGE } from "./merge.js";
+
+/***********************************\
+ |* Sessions                        *|
+ \***********************************/
+
+// A session is everything the visualizer needs to come back to the same state:
+//   { datasetKey, schemas, workload, table, twin, ingestBuffer, run, history }
+// Tables are plain data, so they serialize as is; a custom dataset travels with the schemas it was built from.
+// `run` is where a seeded run stands (the run data createSource in util.js reads), so a restored session draws the
+// same records and instant times it would have next.
+// `history` is how the tables came about, for scenario links: { start, steps }. `start` is where it begins, either
+// { options, comparison, run, ingestBuffer } (tables created with createTable or createComparison) or
+// { table, twin, run, ingestBuffer } (a loaded table, or a session from before histories). The steps follow in order:
+//   { type: 'rows', rows }                               records added to the ingest buffer as they are
+//   { type: 'generate', count, workload, datasetKey }    records generated into the buffer (seeded runs)
+//   { type: 'clearBuffer' }
+//   { type: 'action', action, datasetKey }               an applyAction action (see actionStep)
+//   { type: 'advance', ms }, { type: 'stopRun' }         the run's clock moved forward; back to unseeded
+//   { type: 'leaveComparison' }                          the CoW side dropped
+export const SESSION_VERSION = 1;
+
+const isTable = (t) => t && typeof t === "object" && Array.isArray(t.fileGroups) && Array.isArray(t.timeline) && typeof t.storage === "string";
+
+// Check a parsed session and fill in what older or partial sessions leave out
+function checkSession(data) {
+    if (!data || data.format !== "hudi-visualizer-session") throw new Error("Not a visualizer session");
+    if (data.version > SESSION_VERSION) throw new Error(`Session version ${data.version} is newer than this app (${SESSION_VERSION})`);
+    if (!isTable(data.table)) throw new Error("The session holds no table");
+    if (data.twin && !isTable(data.twin)) throw new Error("The session's comparison table is invalid");
+    const ingestBuffer = Array.isArray(data.ingestBuffer) ? data.ingestBuffer : [];
+    return {
+        datasetKey: data.datasetKey || "nycTaxi",
+        schemas: Array.isArray(data.schemas) ? data.schemas : [],
+        workload: data.workload || null,
+        table: data.table,
+        twin: data.twin || null,
+        ingestBuffer,
+        run: data.run || null,
+        history: checkHistory(data.history) || { start: { table: data.table, twin: data.twin || null, run: data.run || null, ingestBuffer }, steps: [] },
+        savedAt: data.savedAt || null,
+    };
+}
+
+const checkHistory = (history) => {
+    if (!history || !history.start || !Array.isArray(history.steps)) return null;
+    const { start } = history;
+    if (start.table ? !isTable(start.table) : !start.options) throw new Error("The session's history has no starting table");
+    return { start: { ...start, ingestBuffer: Array.isArray(start.ingestBuffer) ? start.ingestBuffer : [] }, steps: history.steps };
+};
+
+// The datasets a session and its history use
+const datasetKeysOf = ({ datasetKey, history }) => new Set([datasetKey, ...(history?.steps || []).map((s) => s.datasetKey).filter(Boolean)]);
+
+const sessionData = ({ datasetKey, schemas = [], workload = null, table, twin = null, ingestBuffer = [], run = null, history = null }) => {
+    const keys = datasetKeysOf({ datasetKey, history });
+    return {
+        format: "hudi-visualizer-session",
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        datasetKey,
+        // only the schemas the session uses
+        schemas: schemas.filter((s) => keys.has(`custom:${s.id}`)),
+        workload,
+        table,
+        twin,
+        ingestBuffer,
+        run,
+        history,
+    };
+};
+
+export const serializeSession = (session) => JSON.stringify(sessionData(session));
+
+export function parseSession(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a visualizer session: ${e.message}`);
+    }
+    return checkSession(data);
+}
+
+// Instants keep the records they wrote for the instant drawer; a scenario leaves them out, as the file slices hold them
+const withoutWrittenRecords = (table) => table && { ...table, timeline: table.timeline.map((i) => (i.writtenRecords?.length ? { ...i, writtenRecords: [] } : i)) };
+
+// Rows a history keeps before it starts over from the tables; at about 50 characters a row once deflated, more would
+// take a link past what chat apps and issue trackers keep
+export const HISTORY_ROWS_LIMIT = 500;
+
+const rowsIn = (history) => history.steps.reduce((n, step) => n + (step.type === "rows" ? step.rows.length : 0), 0);
+
+// Add a step to a history. A 'rows' step joins the one before it, if that is a 'rows' step too (auto ingest adds one
+// every tick). Rows outside a seeded run are kept as they are, so once the history holds more than HISTORY_ROWS_LIMIT
+// it starts over from `current`, where the session stands after the step ({ table, twin, run, ingestBuffer }).
+export function withStep(history, step, current = null) {
+    const last = history.steps.at(-1);
+    const steps = step.type === "rows" && last?.type === "rows" ? [...history.steps.slice(0, -1), { type: "rows", rows: [...last.rows, ...step.rows] }] : [...history.steps, step];
+    const next = { ...history, steps };
+    if (!current || rowsIn(next) <= HISTORY_ROWS_LIMIT) return next;
+    const { table, twin = null, run = null, ingestBuffer = [] } = current;
+    return { start: { table, twin, run, ingestBuffer }, steps: [] };
+}
+
+// The history step for an action. A commit's records and dataset are left out: the app commits the ingest buffer, and
+// a replay takes the records from its own buffer and the dataset from `datasetKey`.
+export const actionStep = (action, datasetKey) => {
+    if (action.type !== "commit") return { type: "action", action, datasetKey };
+    const { records, dataset, ...rest } = action;
+    return { type: "action", action: rest, datasetKey };
+};
+
+const toBase64Url = (bytes) => {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+// A scenario link holds the session's history instead of its tables: the start (table settings and the run's seed) and
+// the steps, which replayScenario applies again. In a seeded run that rebuilds the same tables, down to file ids and
+// instant times; outside one, the same records and actions with new file ids and instant times from the wall clock.
+// A history that starts from a loaded table carries that table. Deflated and base64url-encoded.
+export const SCENARIO_VERSION = 1;
+
+export const encodeScenario = (session) => {
+    const { datasetKey, schemas, workload, history } = sessionData(session);
+    const start = { ...history.start, table: withoutWrittenRecords(history.start.table), twin: withoutWrittenRecords(history.start.twin) };
+    const scenario = { format: "hudi-visualizer-scenario", version: SCENARIO_VERSION, datasetKey, schemas, workload, history: { ...history, start } };
+    return toBase64Url(deflateSync(strToU8(JSON.stringify(scenario)), { level: 9 }));
+};
+
+// The scenario in a link, not yet replayed (see customMergeCodeOf). Links from before histories hold a whole session,
+// which becomes a scenario starting from its tables.
+export function decodeScenario(encoded) {
+    let data;
+    try {
+        data = JSON.parse(strFromU8(inflateSync(fromBase64Url(encoded))));
+    } catch (e) {
+        throw new Error("The scenario link is damaged or truncated");
+    }
+    if (data?.format === "hudi-visualizer-session") {
+        const { datasetKey, schemas, workload, history } = checkSession(data);
+        return { datasetKey, schemas, workload, history };
+    }
+    if (data?.format !== "hudi-visualizer-scenario") throw new Error("Not a visualizer scenario");
+    if (data.version > SCENARIO_VERSION) throw new Error(`Scenario version ${data.version} is newer than this app (${SCENARIO_VERSION})`);
+    const history = checkHistory(data.history);
+    if (!history) throw new Error("The scenario holds no history");
+    return { datasetKey: data.datasetKey || "nycTaxi", schemas: Array.isArray(data.schemas) ? data.schemas : [], workload: data.workload || null, history };
+}
+
+// Same lookup as the app's dataset list: built-in, then custom, else NYC Taxi
+const datasetOf = (datasetKey, schemas) => {
+    if (DATASETS[datasetKey]) return DATASETS[datasetKey];
+    const schema = schemas.find((s) => `custom:${s.id}` === datasetKey);
+    return schema ? datasetFromSchema(schema) : DATASETS.nycTaxi;
+};
+
+// Rebuild a session from a scenario by applying its steps to its start, the way the app applied them. An action that
+// failed then fails again and leaves the tables as they were.
+export function replayScenario({ datasetKey, schemas, workload, history }) {
+    const { start, steps } = history;
+    let run = start.run || UNSEEDED_RUN;
+    const withSource = (work) => {
+        const source = createSource(run);
+        try {
+            return work(source);
+        } finally {
+            run = source.state();
+        }
+    };
+    let table = start.table || null;
+    let twin = start.twin || null;
+    if (!table && start.comparison) ({ mor: table, cow: twin } = withSource((source) => createComparison(start.options, source)));
+    else if (!table) table = withSource((source) => createTable(start.options, source));
+    let ingestBuffer = start.ingestBuffer;
+    steps.forEach((step, idx) => {
+        try {
+            switch (step.type) {
+                case "rows":
+                    ingestBuffer = [...ingestBuffer, ...step.rows];
+                    break;
+                case "generate": {
+                    const spec = tableDatasetOf(table.config, datasetOf(step.datasetKey, schemas));
+                    const existing = [...readTable(table).snapshot, ...ingestBuffer];
+                    ingestBuffer = [...ingestBuffer, ...withSource((source) => generateWorkload(spec, step.count, step.workload, existing, source))];
+                    break;
+                }
+                case "clearBuffer":
+                    ingestBuffer = [];
+                    break;
+                case "action": {
+                    const action = step.action.type === "commit" ? { ...step.action, records: ingestBuffer, dataset: datasetOf(step.datasetKey, schemas) } : step.action;
+                    if (action.type === "commit") ingestBuffer = [];
+                    try {
+                        if (twin) ({ pair: { mor: table, cow: twin } } = withSource((source) => applyToPair({ mor: table, cow: twin }, action, source)));
+                        else ({ table } = withSource((source) => applyAction(table, action, source)));
+                    } catch (e) {
+                        // rejected when it was first applied too
+                    }
+                    break;
+                }
+                case "advance":
+                    run = advanceRun(run, step.ms);
+                    break;
+                case "stopRun":
+                    run = UNSEEDED_RUN;
+                    break;
+                case "leaveComparison":
+                    twin = null;
+                    break;
+                default:
+                    throw new Error(`unknown step type ${step.type}`);
+            }
+        } catch (e) {
+            throw new Error(`The scenario cannot be replayed: step ${idx + 1}: ${e.message}`);
+        }
+    });
+    return { datasetKey, schemas, workload, table, twin, ingestBuffer, run, history, savedAt: null };
+}
+
+// What a page opened with a scenario link shows: { session, error }. The replayed scenario once `accept(scenario)`
+// agrees, else `saved` (the autosave, or null). A link that cannot be decoded or replayed (e.g. cut off when it was
+// shared) falls back to `saved` as well, so the autosave is not lost, and reports why.
+export function openScenarioLink(encoded, saved, accept) {
+    try {
+        const scenario = decodeScenario(encoded);
+        return { session: accept(scenario) ? replayScenario(scenario) : saved, error: null };
+    } catch (e) {
+        return { session: saved, error: e.message };
+    }
+}
+
+// The CUSTOM merge functions a session or scenario would compile (compileCustomMerge runs them with new Function), so
+// the app can show them and ask before opening one from a file or a link. The app's own default function is left out.
+export function customMergeCodeOf({ table, twin, history }) {
+    const merges = [table?.merge, twin?.merge, history?.start.table?.merge, history?.start.twin?.merge, history?.start.options?.merge].filter(Boolean);
+    const codes = merges.filter((m) => m.mode === "CUSTOM").map((m) => m.customCode);
+    for (const { type, action } of history?.steps || []) {
+        if (type !== "action" || action.type !== "setMergeMode" || action.mode !== "CUSTOM") continue;
+        // without code of its own, the step switches to the code the table already holds
+        if (action.customCode) codes.push(action.customCode);
+        else codes.push(...merges.map((m) => m.customCode));
+    }
+    return [...new Set(codes.filter((code) => code && code !== DEFAULT_CUSTOM_MERGE))];
+}
@@ -0,0 +1,54 @@
+/***********************************\
+ |* File sizing                     *|
+ \***********************************/
+
+// File sizing config (Hudi's hoodie.parquet.max.file.size, hoodie.parquet.small.file.limit and
+// hoodie.copyonwrite.record.size.estimate), in bytes:
+// - maxFileSize: a file group is full once its records reach this size
+// - smallFileLimit: file groups smaller than this are topped up with new inserts before new groups are opened
+// - recordSizeEstimate: simulated bytes per record in a base file
+// - logCompressionRatio: size of rows in a base file relative to the same rows in a log file
+//   (Hudi's hoodie.logfile.to.parquet.compression.ratio; log files are row-based and compress less)
+// A file group's size is its latest committed record count times the record size estimate.
+export const DEFAULT_FILE_SIZING = { maxFileSize: 32 * 1024, smallFileLimit: 24 * 1024, recordSizeEstimate: 1024, logCompressionRatio: 0.35 };
+
+export function validateFileSizing(c) {
+    ["maxFileSize", "smallFileLimit", "recordSizeEstimate"].forEach((k) => {
+        if (!(typeof c[k] === "number" && c[k] > 0)) throw new Error(`${k} must be a positive number`);
+    });
+    if (!(c.logCompressionRatio > 0 && c.logCompressionRatio <= 1)) throw new Error("logCompressionRatio must be in (0, 1]");
+    if (c.smallFileLimit > c.maxFileSize) throw new Error("smallFileLimit cannot exceed maxFileSize");
+    if (c.recordSizeEstimate > c.maxFileSize) throw new Error("recordSizeEstimate cannot exceed maxFileSize");
+}
+
+export const bytesOf = (rows, sizing) => rows * { ...DEFAULT_FILE_SIZING, ...sizing }.recordSizeEstimate;
+
+// Records that fit in one file group
+export const recordsPerFile = (sizing) => {
+    const c = { ...DEFAULT_FILE_SIZING, ...sizing };
+    return Math.max(1, Math.floor(c.maxFileSize / c.recordSizeEstimate));
+};
+
+// Place `count` new records of one partition: top up the small file groups among `candidates` ({ fileGroupId, rows },
+// in order) up to the max file size, then open new file groups of at most a full file each.
+// Returns [{ fileGroupId (null: a new group), rows (before), records }].
+export function planInserts(sizing, candidates, count) {
+    const c = { ...DEFAULT_FILE_SIZING, ...sizing };
+    const perFile = recordsPerFile(c);
+    const placements = [];
+    let left = count;
+    candidates
+            .filter(({ rows }) => bytesOf(rows, c) < c.smallFileLimit)
+            .forEach(({ fileGroupId, rows }) => {
+                const records = Math.min(left, Math.max(0, perFile - rows));
+                if (records === 0) return;
+                placements.push({ fileGroupId, rows, records });
+                left -= records;
+            });
+    while (left > 0) {
+        const records = Math.min(left, perFile);
+        placements.push({ fileGroupId: null, rows: 0, records });
+        left -= records;
+    }
+    return placements;
+}
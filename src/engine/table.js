@@ -0,0 +1,792 @@
+import { instantAfter, createSource } from "./util.js";
+import { withMeta, recordKeyOf, mergeRecords, fileGroupView, tombstoneOf, matchesPredicate, precombine, uncommittedInstantsOf } from "./records.js";
+import { DEFAULT_MERGE, mergePair, compileCustomMerge, MERGE_MODES } from "./merge.js";
+import { recordInstants, failedWritesOf, savepointsOf, timeTravelError, WRITE_TYPES } from "./timeline.js";
+import { DEFAULT_CLEANER, planClean, executeCleanPlan, validateCleaner } from "./cleaner.js";
+import { DEFAULT_COMPACTION, planCompaction, compactionDue, validateCompaction } from "./compaction.js";
+import { DEFAULT_INDEX, tagRecords, bucketOf, validateIndex } from "./indexing.js";
+import { DEFAULT_FILE_SIZING, planInserts, recordsPerFile, validateFileSizing } from "./sizing.js";
+import { withFileSizes, writeStatsOf, instantWriteMetrics, storageMetricsOf } from "./metrics.js";
+import { newFileId, bucketFileId, makeBaseFile, withBaseSlice, withLogFile, filesWrittenAt, markerFor, withoutFilesOf, filesAsOf, isReplacedAsOf, latestSlice } from "./layout.js";
+import { DEFAULT_TABLE_CONFIG, TABLE_TYPES, TABLE_VERSIONS, keyGeneratorOf, validateTableConfig } from "./properties.js";
+import { DEFAULT_CLUSTERING, planClustering, pendingClusteringGroupsOf, sortRecords, chunk, validateClustering } from "./clustering.js";
+
+/**
+ * Headless Hudi table engine.
+ * - A table is plain data: { storage, config, merge, index, fileSizing, cleaner, compaction, clustering, fileGroups, timeline, nextFileGroupId, markers }
+ *   where `markers` maps an unfinished write's instant to the marker files it left behind
+ * - applyAction(table, action, source) never mutates its input; it returns { table, instants }
+ *   where `instants` are the timeline entries created or transitioned by the action. Random file ids and write tokens,
+ *   and instant times an action is not given, come from `source` (see createSource in util.js; unseeded by default)
+ * - The React UI only keeps the latest table and renders it, so the same engine can be
+ *   driven from tests or other tools
+ */
+
+// FileGroup structure: { id, fileId, partition, slices: [{ baseInstant, baseFile, logFiles, pending? }] } (see layout.js)
+export const makeFileGroup = (id, partition = "default", fileId = newFileId()) => ({
+    id,
+    fileId,
+    partition,
+    slices: [],
+});
+
+// Hands out fg-N ids from the table's counter; returns the group plus the counter to store back
+const allocateFileGroup = (nextFileGroupId, partition, source) => [makeFileGroup(`fg-${nextFileGroupId}`, partition, newFileId(source)), nextFileGroupId + 1];
+
+// The instant time an action asked for, else the next one from the source's clock, after every instant of the table
+const instantTimeFor = (table, source, requested) => requested || source.nextInstantTime(latestInstantTimeOf(table));
+
+const unchanged = (table) => ({ table, instants: [] });
+
+// Write operations a commit accepts (Hudi's hoodie.datasource.write.operation)
+export const WRITE_OPERATIONS = ["upsert", "insert", "bulk_insert", "insert_overwrite", "insert_overwrite_table"];
+
+// Latest view of a file group as writers see it: files of uncommitted instants are skipped
+const committedView = (table, fg) => fileGroupView(fg, { merge: table.merge, exclude: uncommittedInstantsOf(table.timeline) });
+
+// Live file groups as the index sees them: latest committed records and the files a lookup reads
+const indexedGroupsOf = (table) => {
+    const exclude = uncommittedInstantsOf(table.timeline);
+    return table.fileGroups
+            .filter((fg) => !fg.replacedBy)
+            .map((fg) => ({ fg, records: committedView(table, fg), files: filesAsOf(fg, null, exclude).map((f) => f.name) }));
+};
+
+// The file group backing `bucket` in a partition: an empty group not yet bound to a bucket is claimed, else a new one
+// is allocated; returns the updated group list and counter
+const bucketGroup = (groups, nextFileGroupId, partition, bucket, source) => {
+    const empty = groups.find((g) => g.partition === partition && !g.replacedBy && g.slices.length === 0 && g.bucket === undefined);
+    if (empty) {
+        const fg = { ...empty, bucket, fileId: bucketFileId(bucket, source) };
+        return [fg, groups.map((g) => (g === empty ? fg : g)), nextFileGroupId];
+    }
+    const [allocated, next] = allocateFileGroup(nextFileGroupId, partition, source);
+    const fg = { ...allocated, bucket, fileId: bucketFileId(bucket, source) };
+    return [fg, [...groups, fg], next];
+};
+
+// Finish a write that turned `table.fileGroups` into `fileGroups`. On success the instant completes (its markers are
+// deleted with it) and the file groups in `replaced` are retired. With `fail`, the writer dies half-way: only the first
+// half of the touched file groups get their files, one more has a marker but no file, and the instant stays INFLIGHT
+// until it is rolled back.
+function finishWrite(table, fileGroups, instant, { fail = false, nextFileGroupId = table.nextFileGroupId, prior = [], replaced = new Set() } = {}) {
+    if (!fail) {
+        const retired = fileGroups.map((fg) => (replaced.has(fg.id) ? { ...fg, replacedBy: instant.instantTime } : fg));
+        return {
+            table: { ...table, fileGroups: retired, nextFileGroupId, timeline: recordInstants(table.timeline, [instant]) },
+            instants: [...prior, instant],
+        };
+    }
+    const before = new Map(table.fileGroups.map((fg) => [fg.id, fg]));
+    const touched = fileGroups.filter((fg) => before.get(fg.id) !== fg);
+    const written = new Set(touched.slice(0, Math.max(1, Math.floor(touched.length / 2))).map((fg) => fg.id));
+    const markers = touched
+            .slice(0, written.size + 1)
+            .flatMap((fg) => filesWrittenAt(fg, instant.instantTime).map((f) => markerFor(fg, f, before.get(fg.id)?.slices.length > 0)));
+    const partial = fileGroups.filter((fg) => before.has(fg.id) || written.has(fg.id)).map((fg) => (written.has(fg.id) ? fg : before.get(fg.id)));
+    const failed = {
+        ...instant,
+        state: "INFLIGHT",
+        notes: `${instant.notes} (writer failed)`,
+        failed: true,
+        markers,
+        partialFiles: partial.filter((fg) => written.has(fg.id)).flatMap((fg) => filesWrittenAt(fg, instant.instantTime).map((f) => f.name)),
+        createdFileGroupIds: [...written].filter((id) => !before.has(id)),
+    };
+    return {
+        table: {
+            ...table,
+            fileGroups: partial,
+            nextFileGroupId,
+            markers: { ...table.markers, [instant.instantTime]: markers },
+            timeline: recordInstants(table.timeline, [failed]),
+        },
+        instants: [...prior, failed],
+    };
+}
+
+// Undo one failed write: delete the files it wrote (and groups it created), drop its markers and its instant,
+// and record a `rollback` instant listing what was removed
+function rollbackWrite(table, failed, instantTime) {
+    const deletedFiles = [];
+    const created = new Set(failed.createdFileGroupIds || []);
+    const fileGroups = table.fileGroups.flatMap((fg) => {
+        const files = filesWrittenAt(fg, failed.instantTime);
+        if (files.length === 0) return [fg];
+        files.forEach((f) => deletedFiles.push({ partition: fg.partition, fileGroupId: fg.id, name: f.name, rows: f.rows }));
+        const rest = withoutFilesOf(fg, failed.instantTime);
+        return rest.slices.length === 0 && created.has(fg.id) ? [] : [rest];
+    });
+    const { [failed.instantTime]: markers = [], ...markersLeft } = table.markers || {};
+    const instant = {
+        instantTime,
+        type: "rollback",
+        state: "COMPLETED",
+        records: deletedFiles.reduce((s, f) => s + f.rows, 0),
+        notes: `rolled back ${failed.type} ${failed.instantTime}`,
+        rolledBack: { instantTime: failed.instantTime, type: failed.type, notes: failed.notes },
+        deletedFiles,
+        markers,
+        writtenRecords: [],
+    };
+    const timeline = recordInstants(
+            table.timeline.filter((i) => i.instantTime !== failed.instantTime),
+            [instant]
+    );
+    return { table: { ...table, fileGroups, markers: markersLeft, timeline }, instant };
+}
+
+// Roll back failed writes oldest first; rollbacks get consecutive instant times starting at `instantTime`.
+// Also returns the next free instant time for a write that follows them.
+function rollbackFailedWrites(table, failed, instantTime) {
+    let next = table;
+    let time = instantTime;
+    const instants = [];
+    [...failed].reverse().forEach((f) => {
+        const done = rollbackWrite(next, f, time);
+        next = done.table;
+        instants.push(done.instant);
+        time = instantAfter(time);
+    });
+    return { table: next, instants, instantTime: time };
+}
+
+// `storage` is the table type ('mor' or 'cow') and `config` its key fields, key generator and version (see properties.js);
+// both are fixed at creation and only change through `migrate`. `index` (its record index, see indexing.js) and
+// `cleaner` (its cleaner policy, see cleaner.js) are written to hoodie.properties with them and never change.
+// `merge` is the table's merge config: { mode, customCode } (see merge.js);
+// `fileSizing` its max file size, small file limit and record size estimate (see sizing.js);
+// `compaction` its compaction strategy and triggers (see compaction.js); `clustering` its clustering config (see clustering.js).
+// The file groups of `partitions` get their file ids from `source`.
+export function createTable(
+        {
+            storage = "mor",
+            config = DEFAULT_TABLE_CONFIG,
+            merge = DEFAULT_MERGE,
+            index = DEFAULT_INDEX,
+            fileSizing = DEFAULT_FILE_SIZING,
+            cleaner = DEFAULT_CLEANER,
+            compaction = DEFAULT_COMPACTION,
+            clustering = DEFAULT_CLUSTERING,
+            partitions = ["p0", "p1"],
+        } = {},
+        source = createSource()
+) {
+    let nextFileGroupId = 1;
+    const fileGroups = partitions.map((p) => {
+        const [fg, next] = allocateFileGroup(nextFileGroupId, p, source);
+        nextFileGroupId = next;
+        return fg;
+    });
+    if (!TABLE_TYPES[storage]) throw new Error(`Unknown table type: ${storage}`);
+    validateTableConfig({ ...DEFAULT_TABLE_CONFIG, ...config });
+    validateIndex({ ...DEFAULT_INDEX, ...index });
+    validateCleaner({ ...DEFAULT_CLEANER, ...cleaner });
+    validateFileSizing({ ...DEFAULT_FILE_SIZING, ...fileSizing });
+    return { storage, config: { ...DEFAULT_TABLE_CONFIG, ...config }, merge, index: { ...DEFAULT_INDEX, ...index }, fileSizing: { ...DEFAULT_FILE_SIZING, ...fileSizing }, cleaner: { ...DEFAULT_CLEANER, ...cleaner }, compaction, clustering, fileGroups, timeline: [], nextFileGroupId, markers: {} };
+}
+
+/***********************************\
+ |* Action handlers                 *|
+ \***********************************/
+
+// Commit buffered records: MoR appends one log file per touched file group, CoW writes a new slice (base file) per group.
+// Upserts tag each key through the table's index (see indexing.js) and update the file group that already holds it;
+// inserts skip the lookup and may create duplicate keys. New keys top up the partition's small file groups before
+// new ones are opened (see sizing.js); under the BUCKET index every key goes to its bucket's file group instead. Versions of a key combine under the table's merge mode with the dataset's ordering (precombine) field,
+// so under event-time ordering a late-arriving older version never overwrites newer data. Keys, partition paths and the
+// ordering field come from the table config's key generator (see properties.js), or from `dataset` for tables without one.
+// Failed writes still INFLIGHT are rolled back first (eager rollback); `fail` makes this write fail part-way.
+// bulk_insert and the insert_overwrite operations write new file groups instead (see writeNewFileGroups).
+function commit(original, { records = [], dataset, op = "upsert", parallelism = 2, fail = false, instantTime: requested }, source) {
+    if (!WRITE_OPERATIONS.includes(op)) throw new Error(`Unknown write operation: ${op}`);
+    if (records.length === 0) return unchanged(original);
+    const { table, instants: rollbacks, instantTime } = rollbackFailedWrites(original, failedWritesOf(original.timeline), instantTimeFor(original, source, requested));
+    if (op !== "upsert" && op !== "insert") {
+        return withAutoCompaction(writeNewFileGroups(table, { records, dataset, op, parallelism, fail, instantTime, rollbacks }, source), source);
+    }
+    const { storage } = table;
+    const index = { ...DEFAULT_INDEX, ...table.index };
+    const keyGen = keyGeneratorOf(table.config, dataset);
+    const { orderingField } = keyGen;
+    const merge = { ...table.merge, orderingField };
+    let groups = [...table.fileGroups];
+    let { nextFileGroupId } = table;
+
+    // upserts pre-combine the batch by key under the merge mode before tagging
+    let batch = records.map((raw) => withMeta(raw, { recordKey: keyGen.recordKey(raw), partition: keyGen.partitionPath(raw), instantTime }));
+    if (op === "upsert") {
+        batch = precombine(batch, merge);
+    }
+
+    // tag incoming records with the file group holding their key (upsert), or just their bucket (insert, BUCKET index)
+    const { tags, lookup } =
+            op === "upsert" || index.type === "BUCKET"
+                    ? tagRecords(index, batch, indexedGroupsOf(table))
+                    : { tags: batch.map((record) => ({ record, fileGroupId: null, existing: null, falsePositives: [] })), lookup: null };
+
+    const incomingByGroup = new Map();
+    const placed = []; // where every key ended up (drawer)
+    let updates = 0;
+    let stale = 0;
+    const merges = []; // before/after of every updated key (for MoR this previews what reads and compaction will produce)
+    const bucketGroups = new Map(); // `${partition}/${bucket}` -> file group opened by this commit
+    const unplaced = new Map(); // partition -> new keys left for small-file handling
+    const route = (target, r, { update = false, bucket, falsePositives = [] } = {}) => {
+        incomingByGroup.set(target.id, [...(incomingByGroup.get(target.id) || []), r]);
+        placed.push({ key: recordKeyOf(r), partition: target.partition, fileGroupId: target.id, location: update ? "update" : "insert", bucket, falsePositives });
+    };
+    tags.forEach(({ record, fileGroupId, existing, bucket, falsePositives }) => {
+        let r = record;
+        const part = r._hoodie_partition_path;
+        let target = fileGroupId ? groups.find((g) => g.id === fileGroupId) : null;
+        const update = op === "upsert" && Boolean(existing);
+        if (update) {
+            // a global index keeps an updated key in the partition that already holds it
+            if (target.partition !== part) r = { ...r, _hoodie_partition_path: target.partition };
+            updates++;
+            const after = mergePair(existing, r, merge);
+            // an incoming version that leaves the stored one unchanged is still written, but loses on every merge
+            if (JSON.stringify(after) === JSON.stringify(existing)) stale++;
+            merges.push({ key: recordKeyOf(r), partition: target.partition, fileGroupId: target.id, before: existing, incoming: r, after });
+        } else if (!target && bucket !== undefined) {
+            // first key of a bucket: bind a file group to it
+            target = bucketGroups.get(`${part}/${bucket}`);
+            if (!target) {
+                [target, groups, nextFileGroupId] = bucketGroup(groups, nextFileGroupId, part, bucket, source);
+                bucketGroups.set(`${part}/${bucket}`, target);
+            }
+        } else if (!target) {
+            unplaced.set(part, [...(unplaced.get(part) || []), { record: r, falsePositives }]);
+            return;
+        }
+        route(target, r, { update, bucket, falsePositives });
+    });
+
+    // new keys: top up the partition's small file groups (not those a pending clustering rewrites), then open new ones
+    const busy = pendingClusteringGroupsOf(table.timeline);
+    const insertPlacement = [];
+    unplaced.forEach((pending, part) => {
+        const candidates = groups
+                .filter((g) => g.partition === part && !g.replacedBy && g.bucket === undefined && !busy.has(g.id))
+                .map((g) => ({ fileGroupId: g.id, rows: committedView(table, g).length }));
+        let offset = 0;
+        planInserts(table.fileSizing, candidates, pending.length).forEach(({ fileGroupId, rows, records: count }) => {
+            let target = fileGroupId ? groups.find((g) => g.id === fileGroupId) : null;
+            if (!target) {
+                [target, nextFileGroupId] = allocateFileGroup(nextFileGroupId, part, source);
+                groups.push(target);
+            }
+            pending.slice(offset, (offset += count)).forEach(({ record, falsePositives }) => route(target, record, { falsePositives }));
+            insertPlacement.push({ partition: part, fileGroupId: target.id, rowsBefore: rows, records: count, newGroup: !fileGroupId });
+        });
+    });
+
+    const fileGroups = groups.map((fg) => {
+        const incoming = incomingByGroup.get(fg.id);
+        if (!incoming) return fg;
+        // MoR: one log file (data block) per touched file group
+        if (storage === "mor") return withLogFile(fg, { instantTime, op, orderingField, records: incoming });
+        // CoW: new slice whose base merges the incoming records into the current view (pending logs included)
+        return withBaseSlice(fg, instantTime, mergeRecords(committedView(table, fg), incoming, op, merge), source);
+    });
+
+    const instant = {
+        instantTime,
+        type: storage === "mor" ? "deltacommit" : "commit",
+        state: "COMPLETED",
+        records: records.length,
+        notes: op,
+        inserts: batch.length - updates,
+        updates,
+        stale,
+        combined: records.length - batch.length,
+        orderingField,
+        mergeMode: table.merge.mode,
+        merges,
+        ...(lookup && { lookup: { ...lookup, records: placed } }),
+        ...(insertPlacement.length > 0 && { insertPlacement: { ...DEFAULT_FILE_SIZING, ...table.fileSizing, recordsPerFile: recordsPerFile(table.fileSizing), groups: insertPlacement } }),
+        writtenRecords: [...records],
+    };
+    return withAutoCompaction(finishWrite(table, fileGroups, instant, { fail, nextFileGroupId, prior: rollbacks }), source);
+}
+
+// Write operations that skip the index lookup and land every record in new file groups, `parallelism` per touched
+// partition (more if they would exceed the max file size; base files, even on MoR); under the BUCKET index one per
+// bucket instead:
+// - bulk_insert: existing file groups are untouched (duplicate keys are possible)
+// - insert_overwrite: also retires every live file group in the partitions the batch touches
+// - insert_overwrite_table: also retires every live file group of the table
+// The overwrite operations are recorded as replacecommits listing the replaced file ids per partition.
+function writeNewFileGroups(table, { records, dataset, op, parallelism, fail, instantTime, rollbacks }, source) {
+    if (!(parallelism >= 1)) throw new Error("parallelism must be at least 1");
+    const keyGen = keyGeneratorOf(table.config, dataset);
+    const byPartition = new Map();
+    records.forEach((raw) => {
+        const partition = keyGen.partitionPath(raw);
+        byPartition.set(partition, [...(byPartition.get(partition) || []), withMeta(raw, { recordKey: keyGen.recordKey(raw), partition, instantTime })]);
+    });
+    const index = { ...DEFAULT_INDEX, ...table.index };
+    const bucketed = index.type === "BUCKET";
+    if (bucketed && op === "bulk_insert") {
+        const taken = table.fileGroups.find((fg) => !fg.replacedBy && fg.bucket !== undefined && byPartition.has(fg.partition));
+        if (taken) throw new Error(`bulk_insert cannot open new file groups in ${taken.partition}: its buckets already exist`);
+    }
+    let { nextFileGroupId } = table;
+    const created = [...byPartition.entries()].flatMap(([partition, batch]) => {
+        if (!bucketed) {
+            // files still roll over at the max file size
+            return chunk(batch, Math.max(Math.min(parallelism, batch.length), Math.ceil(batch.length / recordsPerFile(table.fileSizing)))).map((part) => {
+                let fg;
+                [fg, nextFileGroupId] = allocateFileGroup(nextFileGroupId, partition, source);
+                return withBaseSlice(fg, instantTime, part, source);
+            });
+        }
+        const byBucket = new Map();
+        batch.forEach((r) => {
+            const bucket = bucketOf(recordKeyOf(r), index.numBuckets);
+            byBucket.set(bucket, [...(byBucket.get(bucket) || []), r]);
+        });
+        return [...byBucket.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([bucket, part]) => {
+                    let fg;
+                    [fg, nextFileGroupId] = allocateFileGroup(nextFileGroupId, partition, source);
+                    return withBaseSlice({ ...fg, bucket, fileId: bucketFileId(bucket, source) }, instantTime, part, source);
+                });
+    });
+
+    const overwrite = op !== "bulk_insert";
+    const replacedGroups = overwrite ? table.fileGroups.filter((fg) => !fg.replacedBy && fg.slices.length > 0 && (op === "insert_overwrite_table" || byPartition.has(fg.partition))) : [];
+    const partitionToReplaceFileIds = {};
+    replacedGroups.forEach((fg) => (partitionToReplaceFileIds[fg.partition] = [...(partitionToReplaceFileIds[fg.partition] || []), fg.fileId]));
+    const instant = {
+        instantTime,
+        type: overwrite ? "replacecommit" : table.storage === "mor" ? "deltacommit" : "commit",
+        state: "COMPLETED",
+        records: records.length,
+        notes: `${op} (${created.length} new file groups${overwrite ? `, ${replacedGroups.length} replaced` : ""})`,
+        operation: op,
+        inserts: records.length,
+        updates: 0,
+        newFileGroupIds: created.map((fg) => fg.id),
+        ...(overwrite && { partitionToReplaceFileIds, replacedFileIds: replacedGroups.map((fg) => fg.fileId) }),
+        writtenRecords: [...records],
+    };
+    return finishWrite(table, [...table.fileGroups, ...created], instant, {
+        fail,
+        nextFileGroupId,
+        prior: rollbacks,
+        replaced: new Set(replacedGroups.map((fg) => fg.id)),
+    });
+}
+
+// delete_partition: retire every live file group of the given partitions with a replacecommit (no data is written)
+function deletePartition(original, { partitions = [], instantTime: requested }, source) {
+    const doomed = new Set(partitions);
+    const replacedGroups = original.fileGroups.filter((fg) => doomed.has(fg.partition) && !fg.replacedBy && fg.slices.length > 0);
+    if (replacedGroups.length === 0) throw new Error(`No live file groups in ${partitions.join(", ") || "(no partition)"}`);
+    const { table, instants: rollbacks, instantTime } = rollbackFailedWrites(original, failedWritesOf(original.timeline), instantTimeFor(original, source, requested));
+    const partitionToReplaceFileIds = {};
+    replacedGroups.forEach((fg) => (partitionToReplaceFileIds[fg.partition] = [...(partitionToReplaceFileIds[fg.partition] || []), fg.fileId]));
+    const instant = {
+        instantTime,
+        type: "replacecommit",
+        state: "COMPLETED",
+        records: 0,
+        notes: `delete_partition ${[...doomed].join(", ")} (${replacedGroups.length} replaced)`,
+        operation: "delete_partition",
+        partitionToReplaceFileIds,
+        replacedFileIds: replacedGroups.map((fg) => fg.fileId),
+        writtenRecords: [],
+    };
+    return finishWrite(table, table.fileGroups, instant, { prior: rollbacks, replaced: new Set(replacedGroups.map((fg) => fg.id)) });
+}
+
+// Delete by record keys and/or a predicate ({ field, op, value }) evaluated against the latest view.
+// MoR appends a log file with a delete block (tombstones) per touched file group; CoW writes a new slice without the rows.
+function deleteRecords(original, { keys = [], where = null, fail = false, instantTime: requested }, source) {
+    const { table, instants: rollbacks, instantTime } = rollbackFailedWrites(original, failedWritesOf(original.timeline), instantTimeFor(original, source, requested));
+    const { storage } = table;
+    const keySet = new Set(keys.map((k) => `${k}`));
+    const deletedKeys = [];
+    const fileGroups = table.fileGroups.map((fg) => {
+        if (fg.replacedBy) return fg;
+        const view = committedView(table, fg);
+        const doomed = view.filter((r) => keySet.has(recordKeyOf(r)) || (where && matchesPredicate(r, where)));
+        if (doomed.length === 0) return fg;
+        const tombstones = [...new Map(doomed.map((r) => [recordKeyOf(r), tombstoneOf(r, instantTime)])).values()];
+        tombstones.forEach((t) => deletedKeys.push({ key: t._hoodie_record_key, partition: t._hoodie_partition_path, fileGroupId: fg.id }));
+        if (storage === "mor") return withLogFile(fg, { instantTime, block: "delete", op: "delete", records: tombstones });
+        return withBaseSlice(fg, instantTime, mergeRecords(view, tombstones, "delete"), source);
+    });
+    if (deletedKeys.length === 0) return unchanged(original);
+
+    const predicate = where ? `${where.field} ${where.op} ${where.value}` : null;
+    const instant = {
+        instantTime,
+        type: storage === "mor" ? "deltacommit" : "commit",
+        state: "COMPLETED",
+        records: deletedKeys.length,
+        notes: predicate ? `delete where ${predicate}` : "delete",
+        deletedKeys,
+        writtenRecords: [],
+    };
+    return withAutoCompaction(finishWrite(table, fileGroups, instant, { fail, prior: rollbacks }), source);
+}
+
+// Roll back failed writes: one `target` instant, or every write left INFLIGHT
+function rollback(table, { target = null, instantTime }, source) {
+    const failed = failedWritesOf(table.timeline).filter((i) => !target || i.instantTime === target);
+    if (target && failed.length === 0) throw new Error(`Instant ${target} is not a failed write`);
+    if (failed.length === 0) return unchanged(table);
+    const { table: next, instants } = rollbackFailedWrites(table, failed, instantTimeFor(table, source, instantTime));
+    return { table: next, instants };
+}
+
+// Compaction (MoR only): can be scheduled, then run later.
+// Scheduling stores a plan (the file slices the table's compaction strategy picks, see compaction.js) on a REQUESTED
+// compaction instant and opens a pending slice keyed by that instant on every planned file group, so later
+// deltacommits log against the new slice; running it writes that slice's base file from the previous slice.
+function scheduleCompaction(table, { instantTime: requested, auto = false }, source) {
+    if (table.storage !== "mor") return unchanged(table);
+    const plan = planCompaction(table, uncommittedInstantsOf(table.timeline), pendingClusteringGroupsOf(table.timeline));
+    if (plan.operations.length === 0) {
+        if (auto) return unchanged(table);
+        throw new Error(`Nothing to compact under the ${plan.strategy} strategy`);
+    }
+    const instantTime = instantTimeFor(table, source, requested);
+    const planned = new Set(plan.operations.map((op) => op.fileGroupId));
+    const fileGroups = table.fileGroups.map((fg) =>
+            planned.has(fg.id) ? { ...fg, slices: [...fg.slices, { baseInstant: instantTime, baseFile: null, logFiles: [], pending: true }] } : fg
+    );
+    const instant = {
+        instantTime,
+        type: "compaction",
+        state: "REQUESTED",
+        records: 0,
+        notes: `${auto ? "auto-scheduled" : "scheduled"} (${plan.strategy}, ${plan.operations.length} slices)`,
+        plan,
+        writtenRecords: [],
+    };
+    return { table: { ...table, fileGroups, timeline: recordInstants(table.timeline, [instant]) }, instants: [instant] };
+}
+
+// Run REQUESTED compactions: only the slices in each plan are compacted
+function runCompactions(table, action, source) {
+    if (table.storage !== "mor") return unchanged(table);
+    const toRun = table.timeline.filter((i) => i.type === "compaction" && i.state === "REQUESTED");
+    if (toRun.length === 0) return unchanged(table);
+
+    // file group -> compaction instants planned for it
+    const planned = new Map();
+    toRun.forEach((inst) => inst.plan.operations.forEach((op) => planned.set(op.fileGroupId, [...(planned.get(op.fileGroupId) || []), inst.instantTime])));
+    // Merge each planned pending slice's predecessor (base + logs) into the base file stamped with the compaction instant
+    const compacted = new Map(); // compaction instant -> rows written
+    const fileGroups = table.fileGroups.map((fg) => {
+        const instants = planned.get(fg.id);
+        if (!instants) return fg;
+        const slices = [...fg.slices];
+        slices.forEach((slice, idx) => {
+            if (!slice.pending || !instants.includes(slice.baseInstant) || idx === 0) return;
+            const merged = committedView(table, { ...fg, slices: slices.slice(0, idx) });
+            slices[idx] = { ...slice, pending: false, baseFile: makeBaseFile(fg.fileId, slice.baseInstant, merged, source) };
+            compacted.set(slice.baseInstant, (compacted.get(slice.baseInstant) || 0) + merged.length);
+        });
+        return { ...fg, slices };
+    });
+
+    const instants = toRun.map((inst) => ({ ...inst, state: "COMPLETED", records: compacted.get(inst.instantTime) || 0 }));
+    return { table: { ...table, fileGroups, timeline: recordInstants(table.timeline, instants) }, instants };
+}
+
+// After a completed MoR write, schedule a compaction when the table's trigger fires; inline execution also runs it
+function withAutoCompaction({ table, instants }, source) {
+    const write = instants.at(-1);
+    if (write.state !== "COMPLETED" || !compactionDue(table, write.instantTime)) return { table, instants };
+    const scheduled = scheduleCompaction(table, { instantTime: instantAfter(write.instantTime), auto: true }, source);
+    if (scheduled.instants.length === 0) return { table, instants };
+    if (table.compaction.execution !== "inline") return { table: scheduled.table, instants: [...instants, ...scheduled.instants] };
+    const ran = runCompactions(scheduled.table, {}, source);
+    return { table: ran.table, instants: [...instants, ...ran.instants] };
+}
+
+// Compaction config: { strategy, logSizeThreshold, targetIO, autoSchedule, trigger, deltaCommits, deltaSeconds, execution }
+function setCompaction(table, { strategy, logSizeThreshold, targetIO, autoSchedule, trigger, deltaCommits, deltaSeconds, execution }) {
+    const patch = Object.fromEntries(
+            Object.entries({ strategy, logSizeThreshold, targetIO, autoSchedule, trigger, deltaCommits, deltaSeconds, execution }).filter(([, v]) => v !== undefined)
+    );
+    const next = { ...DEFAULT_COMPACTION, ...table.compaction, ...patch };
+    validateCompaction(next);
+    return unchanged({ ...table, compaction: next });
+}
+
+// Clean, like compaction, is planned first: scheduling stores the plan (slices and files to delete per partition,
+// computed by the table's cleaner policy, see cleaner.js) on a REQUESTED clean instant; running it deletes them.
+function scheduleClean(table, { instantTime: requested }, source) {
+    if (table.timeline.some((i) => i.type === "clean" && i.state !== "COMPLETED")) throw new Error("A clean is already scheduled; run it first");
+    const instantTime = instantTimeFor(table, source, requested);
+    const plan = planClean(table, instantTime);
+    const files = Object.values(plan.filesToDelete).flat().length;
+    const instant = { instantTime, type: "clean", state: "REQUESTED", records: 0, notes: `${plan.policy}: ${files} files planned`, plan, writtenRecords: [] };
+    return { table: { ...table, timeline: recordInstants(table.timeline, [instant]) }, instants: [instant] };
+}
+
+function runCleans(table) {
+    const toRun = table.timeline.filter((i) => i.type === "clean" && i.state === "REQUESTED").reverse();
+    if (toRun.length === 0) return unchanged(table);
+    let { fileGroups } = table;
+    const instants = toRun.map((inst) => {
+        const done = executeCleanPlan(fileGroups, inst.plan);
+        fileGroups = done.fileGroups;
+        const files = Object.values(inst.plan.filesToDelete).flat().length;
+        const pinned = inst.plan.retainedForSavepoints > 0 ? `, ${inst.plan.retainedForSavepoints} slices kept for savepoints` : "";
+        return { ...inst, state: "COMPLETED", records: done.rows, notes: `${inst.plan.policy}: ${files} files deleted${pinned}` };
+    });
+    return { table: { ...table, fileGroups, timeline: recordInstants(table.timeline, instants) }, instants };
+}
+
+// Schedule and run a clean in one go
+function clean(table, { instantTime }, source) {
+    const scheduled = scheduleClean(table, { instantTime }, source);
+    return runCleans(scheduled.table);
+}
+
+// Savepoint a COMPLETED write: pins every file a read as of that instant needs, so clean cannot delete them
+function savepoint(table, { target, instantTime: requested }, source) {
+    const saved = table.timeline.find((i) => i.instantTime === target);
+    if (!saved || saved.state !== "COMPLETED" || !WRITE_TYPES.includes(saved.type)) throw new Error(`Only a COMPLETED commit can be savepointed: ${target}`);
+    if (savepointsOf(table.timeline).has(target)) throw new Error(`Instant ${target} is already savepointed`);
+    const cleaned = timeTravelError(table.timeline, target);
+    if (cleaned) throw new Error(`Cannot savepoint: ${cleaned}`);
+    const instantTime = instantTimeFor(table, source, requested);
+    // savepoint metadata: partition -> data files pinned
+    const partitionFiles = {};
+    table.fileGroups
+            .filter((fg) => !isReplacedAsOf(fg, target))
+            .forEach((fg) => {
+                const files = filesAsOf(fg, target).map((f) => f.name);
+                if (files.length > 0) partitionFiles[fg.partition] = [...(partitionFiles[fg.partition] || []), ...files];
+            });
+    const instant = {
+        instantTime,
+        type: "savepoint",
+        state: "COMPLETED",
+        records: 0,
+        notes: `savepoint of ${saved.type} ${target}`,
+        savepointedInstant: target,
+        partitionFiles,
+        writtenRecords: [],
+    };
+    return { table: { ...table, timeline: recordInstants(table.timeline, [instant]) }, instants: [instant] };
+}
+
+// Restore the table to a savepoint: every write after the savepointed instant (completed, pending or failed) is rolled
+// back, its files deleted, and savepoints of those writes dropped. Clean and rollback history stays on the timeline.
+function restore(table, { savepoint: target, instantTime: requested }, source) {
+    if (!savepointsOf(table.timeline).has(target)) throw new Error(`No savepoint for instant ${target}`);
+    const instantTime = instantTimeFor(table, source, requested);
+    const undone = table.timeline.filter((i) => i.instantTime > target && WRITE_TYPES.includes(i.type));
+    const undoneTimes = new Set(undone.map((i) => i.instantTime));
+    const deletedFiles = [];
+    const fileGroups = table.fileGroups.flatMap((fg) => {
+        if (fg.slices.length === 0) return [fg];
+        const slices = fg.slices
+                .map((s) => {
+                    const gone = [s.baseFile, ...s.logFiles].filter((f) => f && f.instantTime > target);
+                    gone.forEach((f) => deletedFiles.push({ partition: fg.partition, fileGroupId: fg.id, name: f.name, rows: f.rows }));
+                    return { ...s, baseFile: s.baseFile && s.baseFile.instantTime > target ? null : s.baseFile, logFiles: s.logFiles.filter((lf) => lf.instantTime <= target) };
+                })
+                .filter((s) => s.baseInstant <= target && (s.baseFile || s.logFiles.length > 0 || s.pending));
+        // a file group whose every file came after the savepoint did not exist yet; one replaced after it is live again
+        const { replacedBy, ...live } = fg;
+        if (slices.length === 0) return [];
+        return [replacedBy && replacedBy <= target ? { ...fg, slices } : { ...live, slices }];
+    });
+    const markers = Object.fromEntries(Object.entries(table.markers || {}).filter(([t]) => !undoneTimes.has(t)));
+    const instant = {
+        instantTime,
+        type: "restore",
+        state: "COMPLETED",
+        records: deletedFiles.reduce((s, f) => s + f.rows, 0),
+        notes: `restored to savepoint ${target}`,
+        restoredTo: target,
+        rolledBackInstants: undone.map((i) => ({ instantTime: i.instantTime, type: i.type, notes: i.notes })),
+        deletedFiles,
+        writtenRecords: [],
+    };
+    const timeline = table.timeline.filter((i) => !undoneTimes.has(i.instantTime) && !(i.type === "savepoint" && i.savepointedInstant > target));
+    return { table: { ...table, fileGroups, markers, timeline: recordInstants(timeline, [instant]) }, instants: [instant] };
+}
+
+// Clustering: scheduling stores a plan (per partition, the small file groups to rewrite, see clustering.js) on a
+// REQUESTED replacecommit; running it rewrites each group set's latest records, sorted by the sort columns, into
+// fewer new file groups and retires the replaced ones. The completed replacecommit lists the replaced file ids.
+function scheduleClustering(table, { instantTime: requested }, source) {
+    if (table.index?.type === "BUCKET") throw new Error("Clustering would break the BUCKET index's one file group per bucket");
+    const busy = pendingClusteringGroupsOf(table.timeline);
+    const candidates = table.fileGroups
+            .filter((fg) => !fg.replacedBy && !busy.has(fg.id) && !latestSlice(fg)?.pending)
+            .map((fg) => ({ fg, rows: committedView(table, fg).length }));
+    const plan = planClustering(table, candidates);
+    if (plan.inputGroups.length === 0) throw new Error(`No partition has enough file groups under ${plan.smallFileRows} rows to cluster`);
+    const instantTime = instantTimeFor(table, source, requested);
+    const groups = plan.inputGroups.reduce((n, g) => n + g.fileGroupIds.length, 0);
+    const instant = {
+        instantTime,
+        type: "replacecommit",
+        state: "REQUESTED",
+        records: 0,
+        notes: `clustering scheduled (${groups} file groups)`,
+        operation: "cluster",
+        plan,
+        writtenRecords: [],
+    };
+    return { table: { ...table, timeline: recordInstants(table.timeline, [instant]) }, instants: [instant] };
+}
+
+function runClustering(table, action, source) {
+    const toRun = table.timeline.filter((i) => i.type === "replacecommit" && i.state === "REQUESTED" && i.operation === "cluster").reverse();
+    if (toRun.length === 0) return unchanged(table);
+    let { fileGroups, nextFileGroupId } = table;
+    const instants = toRun.map((inst) => {
+        const { instantTime, plan } = inst;
+        const partitionToReplaceFileIds = {};
+        const newFileGroupIds = [];
+        let rows = 0;
+        plan.inputGroups.forEach((group) => {
+            // groups an insert_overwrite or delete_partition retired since scheduling are left alone
+            const replaced = new Set(group.fileGroupIds.filter((id) => fileGroups.some((fg) => fg.id === id && !fg.replacedBy)));
+            if (replaced.size === 0) return;
+            // the latest committed records, so writes that landed after scheduling are carried over
+            const records = sortRecords(
+                    fileGroups.filter((fg) => replaced.has(fg.id)).flatMap((fg) => committedView(table, fg)),
+                    plan.sortColumns
+            );
+            const outputs = chunk(records, Math.max(1, Math.ceil(records.length / plan.targetFileRows))).map((part) => {
+                let fg;
+                [fg, nextFileGroupId] = allocateFileGroup(nextFileGroupId, group.partition, source);
+                newFileGroupIds.push(fg.id);
+                return withBaseSlice(fg, instantTime, part, source);
+            });
+            rows += records.length;
+            partitionToReplaceFileIds[group.partition] = fileGroups.filter((fg) => replaced.has(fg.id)).map((fg) => fg.fileId);
+            fileGroups = [...fileGroups.map((fg) => (replaced.has(fg.id) ? { ...fg, replacedBy: instantTime } : fg)), ...outputs];
+        });
+        const replacedCount = Object.values(partitionToReplaceFileIds).flat().length;
+        return {
+            ...inst,
+            state: "COMPLETED",
+            records: rows,
+            notes: `clustering: ${replacedCount} file groups → ${newFileGroupIds.length}`,
+            partitionToReplaceFileIds,
+            replacedFileIds: Object.values(partitionToReplaceFileIds).flat(),
+            newFileGroupIds,
+        };
+    });
+    return { table: { ...table, fileGroups, nextFileGroupId, timeline: recordInstants(table.timeline, instants) }, instants };
+}
+
+// Clustering config: { sortColumns, smallFileRows, targetFileRows }
+function setClustering(table, { sortColumns, smallFileRows, targetFileRows }) {
+    const patch = Object.fromEntries(Object.entries({ sortColumns, smallFileRows, targetFileRows }).filter(([, v]) => v !== undefined));
+    const next = { ...DEFAULT_CLUSTERING, ...table.clustering, ...patch };
+    validateClustering(next);
+    return unchanged({ ...table, clustering: next });
+}
+
+// File sizing config: { maxFileSize, smallFileLimit, recordSizeEstimate } in bytes, and logCompressionRatio
+function setFileSizing(table, { maxFileSize, smallFileLimit, recordSizeEstimate, logCompressionRatio }) {
+    const patch = Object.fromEntries(Object.entries({ maxFileSize, smallFileLimit, recordSizeEstimate, logCompressionRatio }).filter(([, v]) => v !== undefined));
+    const next = { ...DEFAULT_FILE_SIZING, ...table.fileSizing, ...patch };
+    validateFileSizing(next);
+    return unchanged({ ...table, fileSizing: next });
+}
+
+function addPartition(table, action, source) {
+    const [fg, nextFileGroupId] = allocateFileGroup(table.nextFileGroupId, `p${table.fileGroups.length}`, source);
+    return { table: { ...table, fileGroups: [...table.fileGroups, fg], nextFileGroupId }, instants: [] };
+}
+
+// Migrate the table type and/or version (the only hoodie.properties settings a table can change after creation). MoR -> CoW needs every
+// log file compacted first: CoW readers and writers only see base files. CoW -> MoR takes effect with the next write.
+function migrate(table, { tableType, version }) {
+    const storage = tableType === undefined ? table.storage : Object.keys(TABLE_TYPES).find((k) => k === tableType || TABLE_TYPES[k] === tableType);
+    if (!storage) throw new Error(`Unknown table type: ${tableType}`);
+    const config = { ...DEFAULT_TABLE_CONFIG, ...table.config };
+    const nextVersion = version === undefined ? config.version : Number(version);
+    if (!TABLE_VERSIONS.includes(nextVersion)) throw new Error(`Unsupported table version: ${version}`);
+    if (storage === "cow" && table.storage === "mor") {
+        if (failedWritesOf(table.timeline).length > 0) throw new Error("Roll back failed writes before migrating to COPY_ON_WRITE");
+        if (table.timeline.some((i) => i.type === "compaction" && i.state !== "COMPLETED")) throw new Error("Run pending compactions before migrating to COPY_ON_WRITE");
+        const withLogs = table.fileGroups.filter((fg) => !fg.replacedBy && latestSlice(fg)?.logFiles.length > 0);
+        if (withLogs.length > 0) throw new Error(`Compact every file group before migrating to COPY_ON_WRITE (${withLogs.length} still have log files)`);
+    }
+    return unchanged({ ...table, storage, config: { ...config, version: nextVersion } });
+}
+
+// Switch the merge mode used by later commits, compaction and snapshot reads; custom code must compile
+function setMergeMode(table, { mode, customCode = table.merge.customCode }) {
+    if (!MERGE_MODES.includes(mode)) throw new Error(`Unknown merge mode: ${mode}`);
+    if (mode === "CUSTOM") compileCustomMerge(customCode);
+    return unchanged({ ...table, merge: { mode, customCode } });
+}
+
+const HANDLERS = {
+    commit,
+    delete: deleteRecords,
+    deletePartition,
+    rollback,
+    savepoint,
+    restore,
+    scheduleCompaction,
+    runCompactions,
+    scheduleClustering,
+    runClustering,
+    scheduleClean,
+    runCleans,
+    clean,
+    addPartition,
+    migrate,
+    setMergeMode,
+    setCompaction,
+    setClustering,
+    setFileSizing,
+};
+
+// Apply one action: { type: 'commit'|'delete'|'deletePartition'|'rollback'|'savepoint'|'restore'|'scheduleCompaction'|'runCompactions'|
+//   'scheduleClustering'|'runClustering'|'scheduleClean'|'runCleans'|'clean'|
+//   'addPartition'|'migrate'|'setMergeMode'|'setCompaction'|'setClustering'|'setFileSizing', ...params }
+// Invalid actions (e.g. a failing custom merge function) throw and leave the input table untouched (the source may
+// still have moved on). Store `source.state()` afterwards to carry a seeded run on.
+export function applyAction(table, action, source = createSource()) {
+    const handler = HANDLERS[action.type];
+    if (!handler) throw new Error(`Unknown table action: ${action.type}`);
+    return withMetrics(handler(table, action, source));
+}
+
+// Instant times share one format, so they order as strings
+export const latestInstantTimeOf = (table) => table.timeline.reduce((latest, i) => (i.instantTime > latest ? i.instantTime : latest), "");
+
+// Stamp estimated sizes on the files an action wrote, and give each instant it created its write stats
+// (partitionToWriteStats for writes) and the table's storage metrics right after it (see metrics.js)
+function withMetrics({ table, instants }) {
+    if (instants.length === 0) return { table, instants };
+    const fileGroups = withFileSizes(table.fileGroups, table.fileSizing);
+    const sized = { ...table, fileGroups };
+    const storage = storageMetricsOf(sized);
+    const measured = new Map(
+            instants.map((i) => [
+                i.instantTime,
+                {
+                    ...i,
+                    ...(WRITE_TYPES.includes(i.type) && i.state !== "REQUESTED" && { partitionToWriteStats: writeStatsOf(fileGroups, i.instantTime) }),
+                    metrics: { ...instantWriteMetrics(i, fileGroups, table.fileSizing), ...storage },
+                },
+            ])
+    );
+    return {
+        table: { ...sized, timeline: sized.timeline.map((i) => measured.get(i.instantTime) || i) },
+        instants: instants.map((i) => measured.get(i.instantTime)),
+    };
+}
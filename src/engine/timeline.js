@@ -0,0 +1,45 @@
+/***********************************\
+ |* Timeline                        *|
+ \***********************************/
+
+// The timeline is a list of instants, newest first:
+//   { instantTime, type, state: 'REQUESTED'|'INFLIGHT'|'COMPLETED', records, notes, ...action metadata }
+
+// Newest instant first (UI convenience); an instant with the same time is replaced in place
+export const recordInstants = (timeline, instants) =>
+        instants.reduce(
+                (t, ins) => (t.some((i) => i.instantTime === ins.instantTime) ? t.map((i) => (i.instantTime === ins.instantTime ? ins : i)) : [ins, ...t]),
+                timeline
+        );
+
+// Instant types that write data files and can be savepointed or rolled back by a restore
+export const WRITE_TYPES = ["commit", "deltacommit", "compaction", "replacecommit"];
+
+// COMPLETED writes, newest first
+export const completedWritesOf = (timeline) => timeline.filter((i) => WRITE_TYPES.includes(i.type) && i.state === "COMPLETED");
+
+// Writes left INFLIGHT by a writer that failed (the simulator runs a single writer, so nothing else is inflight)
+export const failedWritesOf = (timeline) => timeline.filter((i) => ["commit", "deltacommit", "replacecommit"].includes(i.type) && i.state === "INFLIGHT");
+
+// Instants a savepoint pins (savepointed instant time -> savepoint instant)
+export const savepointsOf = (timeline) =>
+        new Map(timeline.filter((i) => i.type === "savepoint" && i.state === "COMPLETED").map((i) => [i.savepointedInstant, i]));
+
+// Names of every data file some savepoint needs
+export const savepointedFilesOf = (timeline) => new Set([...savepointsOf(timeline).values()].flatMap((sp) => Object.values(sp.partitionFiles).flat()));
+
+// Why a read as of `asOf` can no longer be served, or null when it can: the instant must be on the (active) timeline,
+// and no completed clean may have deleted a slice that reads as of it needed
+export function timeTravelError(timeline, asOf) {
+    if (!asOf) return null;
+    if (!timeline.some((i) => i.instantTime === asOf)) return `Instant ${asOf} is not on the active timeline (archived or unknown)`;
+    const blocking = timeline
+            .filter((i) => i.type === "clean" && i.state === "COMPLETED")
+            .flatMap((c) => c.plan.slices.filter((s) => s.baseInstant <= asOf && asOf < s.servedUntil).map((s) => ({ ...s, clean: c.instantTime })));
+    if (blocking.length === 0) return null;
+    // the first commit every file group can serve again
+    const readableFrom = blocking.reduce((max, s) => (s.servedUntil > max ? s.servedUntil : max), "");
+    const earliest = [...completedWritesOf(timeline)].reverse().find((i) => i.instantTime >= readableFrom);
+    const { clean, fileGroupId } = blocking[0];
+    return `Instant ${asOf} is older than the earliest retained commit ${earliest?.instantTime || readableFrom}: clean ${clean} deleted the files of ${fileGroupId} it needs`;
+}
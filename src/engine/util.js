@@ -0,0 +1,127 @@
+/***********************************\
+ |* Helpers                         *|
+ \***********************************/
+
+export const pad2 = (n) => (n < 10 ? `0${n}` : `${n}`);
+// Dates and instant times are read and written in UTC (Hudi's hoodie.table.timeline.timezone=UTC), so a seeded run
+// gives the same values in every timezone
+export const dateStr = (d) => `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+export const timeStr = (d) => `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`;
+
+export const makeInstantTime = (d) => {
+    // Hudi instants are often timestamp-based (yyyyMMddHHmmssSSS)
+    const SSS = `${d.getUTCMilliseconds()}`.padStart(3, "0");
+    return (
+            `${d.getUTCFullYear()}` +
+            pad2(d.getUTCMonth() + 1) +
+            pad2(d.getUTCDate()) +
+            pad2(d.getUTCHours()) +
+            pad2(d.getUTCMinutes()) +
+            pad2(d.getUTCSeconds()) +
+            SSS
+    );
+};
+
+// Shift a timestamp string by `ms`, keeping its format ('YYYY-MM-DD HH:mm:ss' or ISO-8601)
+export const shiftTimestamp = (value, ms) => {
+    if (`${value}`.includes("T")) return new Date(new Date(value).getTime() + ms).toISOString();
+    const d = new Date(new Date(`${`${value}`.replace(" ", "T")}Z`).getTime() + ms);
+    return `${dateStr(d)} ${timeStr(d)}`;
+};
+
+// Convert Hudi instantTime (yyyyMMddHHmmssSSS) to a Date
+export const instantToDate = (instant) => {
+    if (!instant) return null;
+    try {
+        const yyyy = parseInt(instant.slice(0, 4), 10);
+        const MM = parseInt(instant.slice(4, 6), 10) - 1;
+        const dd = parseInt(instant.slice(6, 8), 10);
+        const hh = parseInt(instant.slice(8, 10), 10);
+        const mm = parseInt(instant.slice(10, 12), 10);
+        const ss = parseInt(instant.slice(12, 14), 10);
+        const SSS = parseInt(instant.slice(14, 17) || "0", 10);
+        return new Date(Date.UTC(yyyy, MM, dd, hh, mm, ss, SSS));
+    } catch (e) {
+        return null;
+    }
+};
+
+// The next instant time strictly after `instant` (1ms later)
+export const instantAfter = (instant) => makeInstantTime(new Date(instantToDate(instant).getTime() + 1));
+
+/***********************************\
+ |* Seeded runs and the clock       *|
+ \***********************************/
+
+// Every random choice (generated records, file ids, write tokens) and every "now" (instant times, generated
+// timestamps) comes from a source the caller passes in, built from plain run data:
+//   { seed, state, now, offset, sequence }
+// Unseeded (seed null), a source follows Math.random and the wall clock (pushed `offset` ms ahead). A seeded run draws
+// from a PRNG seeded with the run's seed and reads a virtual clock that starts at VIRTUAL_EPOCH and only moves when an
+// instant is issued or the clock is advanced, so the same seed and the same actions always build the same table.
+// `sequence` numbers the keys a run generates. Nothing is kept between calls: the caller stores `source.state()`.
+const VIRTUAL_EPOCH = Date.UTC(2024, 0, 1, 9, 0, 0, 0);
+// A seeded run's clock moves this far past every instant it issues, so its instants are spaced like a real timeline
+const VIRTUAL_STEP_MS = 1000;
+
+// mulberry32: a 32-bit state, small enough to save with a session and resume exactly
+const nextState = (state) => (state + 0x6d2b79f5) | 0;
+const outputOf = (state) => {
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Seeds are strings ("demo", "42"); FNV-1a turns them into the PRNG's first state
+const stateOfSeed = (seed) => [...`${seed}`].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619), 2166136261) | 0;
+
+export const UNSEEDED_RUN = { seed: null, state: 0, now: null, offset: 0, sequence: 0 };
+
+export const seededRun = (seed) => {
+    if (`${seed ?? ""}`.trim() === "") throw new Error("A seed is required");
+    return { seed: `${seed}`.trim(), state: stateOfSeed(`${seed}`.trim()), now: VIRTUAL_EPOCH, offset: 0, sequence: 0 };
+};
+
+// Fast-forward a run's clock, e.g. to let KEEP_LATEST_BY_HOURS retention or a time-based compaction trigger come due
+export const advanceRun = (run, ms) => {
+    if (!(ms > 0)) throw new Error("The clock only moves forward");
+    const source = createSource(run);
+    source.advance(ms);
+    return source.state();
+};
+
+// A source over `run` (missing or partial run data: unseeded, from the wall clock):
+// - random(), rand(min, max): the next draw
+// - now(): the clock (ms)
+// - nextInstantTime(after): an instant time from the clock, strictly after the instant time `after` (e.g. the table's
+//   latest, as instants an action derives from its own can run ahead of the clock)
+// - nextSequence(): the run's next key number
+// - advance(ms), state(): move the clock; the run data to store for the next call
+export function createSource(run = UNSEEDED_RUN) {
+    const seeded = Boolean(run?.seed);
+    let state = seeded ? run.state | 0 : 0;
+    let virtualNow = seeded ? Number(run.now) || VIRTUAL_EPOCH : null;
+    let offset = run?.offset > 0 ? run.offset : 0;
+    let sequence = Number.isInteger(run?.sequence) && run.sequence > 0 ? run.sequence : 0;
+    const source = {
+        random: () => {
+            if (!seeded) return Math.random();
+            state = nextState(state);
+            return outputOf(state);
+        },
+        rand: (min, max) => Math.floor(source.random() * (max - min + 1)) + min,
+        now: () => (seeded ? virtualNow : Date.now() + offset),
+        nextInstantTime: (after = "") => {
+            const t = Math.max(source.now(), after ? instantToDate(after).getTime() + 1 : 0);
+            if (seeded) virtualNow = t + VIRTUAL_STEP_MS;
+            return makeInstantTime(new Date(t));
+        },
+        nextSequence: () => sequence++,
+        advance: (ms) => {
+            if (seeded) virtualNow += ms;
+            else offset += ms;
+        },
+        state: () => ({ seed: seeded ? `${run.seed}` : null, state, now: virtualNow, offset, sequence }),
+    };
+    return source;
+}
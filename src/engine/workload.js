@@ -0,0 +1,92 @@
+import { shiftTimestamp, createSource } from "./util.js";
+
+/***********************************\
+ |* Workload profiles               *|
+ \***********************************/
+
+// A workload profile shapes what a dataset generator emits:
+// - updateRatio: fraction of rows that re-write a previously written key (0 = append-only)
+// - keyDistribution: how updated keys are picked, 'uniform' or 'zipfian' (a few hot keys get most updates)
+// - zipfSkew: Zipf exponent s; higher = hotter head
+// - hotPartitions: partition paths (e.g. 'dt=2025-08-10', 'region=US-EAST') that receive `hotWeight` of new inserts
+// - lateRatio / lateByMinutes: fraction of updates that arrive late, with an ordering value older than the stored version
+//   (by that many minutes, or units for a numeric ordering field)
+export const DEFAULT_WORKLOAD = {
+    updateRatio: 0,
+    keyDistribution: "uniform",
+    zipfSkew: 1.2,
+    hotPartitions: [],
+    hotWeight: 0.8,
+    lateRatio: 0,
+    lateByMinutes: 30,
+};
+
+export const KEY_DISTRIBUTIONS = ["uniform", "zipfian"];
+
+// Weighted pick over items; weights need not sum to 1
+const pickWeighted = (source, items, weights) => {
+    const total = weights.reduce((s, w) => s + w, 0);
+    let x = source.random() * total;
+    for (let i = 0; i < items.length; i++) {
+        x -= weights[i];
+        if (x < 0) return items[i];
+    }
+    return items[items.length - 1];
+};
+
+const zipfWeights = (n, s) => Array.from({ length: n }, (_, rank) => 1 / Math.pow(rank + 1, s));
+
+const stripMeta = (r) => Object.fromEntries(Object.entries(r).filter(([k]) => !k.startsWith("_hoodie_")));
+
+// An ordering value `minutes` older: a number goes back that many units, a timestamp that many minutes. Null for a
+// value that is neither (e.g. an imported text column), which then cannot arrive late.
+const lateValueOf = (stored, minutes) => {
+    if (typeof stored === "number") return stored - minutes;
+    const text = `${stored ?? ""}`;
+    const ms = Date.parse(text.includes("T") ? text : `${text.replace(" ", "T")}Z`);
+    return Number.isNaN(ms) ? null : shiftTimestamp(text, -minutes * 60 * 1000);
+};
+
+// Build `n` rows for a dataset spec ({ key, orderingField, partitionBy, partitionField, partitionValues, makeRecord, updateRecord,
+// prepare? }). `existing` are previously written rows (committed or buffered, meta columns allowed) that updates may
+// target; an optional `prepare(existing)` runs first (e.g. to continue sequential ids past those already written).
+// Every draw and timestamp comes from `source` (see createSource in util.js).
+export function generateWorkload(spec, n, profile = DEFAULT_WORKLOAD, existing = [], source = createSource()) {
+    const p = { ...DEFAULT_WORKLOAD, ...profile };
+    if (spec.prepare) spec.prepare(existing);
+
+    // latest version per key, in first-written order (rank 0 is the hottest key under Zipf)
+    const known = [...new Map(existing.map((r) => [`${r[spec.key]}`, stripMeta(r)])).values()];
+    const keyWeights = p.keyDistribution === "zipfian" ? zipfWeights(known.length, p.zipfSkew) : known.map(() => 1);
+
+    // hot partitions share `hotWeight` of new inserts; the rest is spread over the other partitions
+    const values = spec.partitionValues(source);
+    const paths = values.map((v) => spec.partitionBy({ [spec.partitionField]: v }));
+    const hot = paths.filter((path) => p.hotPartitions.includes(path));
+    const cold = paths.length - hot.length;
+    const partitionWeights = paths.map((path) =>
+            hot.length === 0 || cold === 0 ? 1 : hot.includes(path) ? p.hotWeight / hot.length : (1 - p.hotWeight) / cold
+    );
+
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+        if (known.length > 0 && source.random() < p.updateRatio) {
+            const prev = pickWeighted(source, known, keyWeights);
+            const next = spec.updateRecord(prev, source);
+            const late = spec.orderingField && source.random() < p.lateRatio ? lateValueOf(prev[spec.orderingField], p.lateByMinutes) : null;
+            if (late !== null) {
+                // late arrival: carries an ordering value older than the version already written
+                next[spec.orderingField] = late;
+            } else {
+                known[known.indexOf(prev)] = next; // later updates in the same batch build on this version
+            }
+            rows.push(next);
+        } else {
+            rows.push(spec.makeRecord(i, pickWeighted(source, values, partitionWeights), source));
+        }
+    }
+    return rows;
+}
+
+// Partition paths a dataset can emit as of the source's clock (for picking hot partitions in the UI)
+export const partitionPathsOf = (spec, source = createSource()) => spec.partitionValues(source).map((v) => spec.partitionBy({ [spec.partitionField]: v }));
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createComparison, applyToPair, compareTables, applyAction, createSource, seededRun } from "../src/engine/index.js";
+import { CONFIG, row } from "./helpers.js";
+
+// 1000 bytes per record in a base file, twice that in a log file, a tenth of it per delete tombstone
+const SIZING = { recordSizeEstimate: 1000, logCompressionRatio: 0.5 };
+
+// Apply actions to a fresh pair, returning the pair and each action's per-side results
+const run = (actions) => {
+    const source = createSource(seededRun("demo"));
+    let pair = createComparison({ config: CONFIG, partitions: [], fileSizing: SIZING }, source);
+    const results = actions.map((action) => {
+        const applied = applyToPair(pair, action, source);
+        pair = applied.pair;
+        return applied.results;
+    });
+    return { pair, results };
+};
+
+const ACTIONS = [
+    { type: "commit", records: [row(1), row(2)] },
+    { type: "commit", records: [row(1, "a", 2)] },
+    { type: "delete", keys: ["2"] },
+    { type: "scheduleCompaction" },
+    { type: "runCompactions" },
+];
+
+test("both tables of a pair get the same instant times", () => {
+    const { pair, results } = run(ACTIONS);
+    const times = (side) => results.flatMap((r) => (r[side].instants || []).map((i) => i.instantTime));
+    // the writes line up; CoW has nothing to compact
+    assert.deepEqual(times("cow"), times("mor").slice(0, 3));
+    assert.deepEqual(pair.cow.timeline.map((i) => i.instantTime), pair.mor.timeline.filter((i) => i.type !== "compaction").map((i) => i.instantTime));
+    assert.deepEqual(results[3].cow, { instants: [] });
+    assert.equal(pair.mor.timeline[0].type, "compaction");
+    assert.ok(times("mor").every((t, idx, all) => idx === 0 || t >= all[idx - 1]));
+});
+
+test("a pair returns the same snapshot after upserts, deletes and compaction", () => {
+    ACTIONS.forEach((action, idx) => assert.equal(compareTables(run(ACTIONS.slice(0, idx + 1)).pair).sameResults, true, action.type));
+    // a write applied to one side only shows up as a difference
+    const lopsided = { ...run(ACTIONS.slice(0, 1)).pair };
+    lopsided.mor = applyAction(lopsided.mor, { type: "commit", records: [row(3)] }).table;
+    assert.equal(compareTables(lopsided).sameResults, false);
+});
+
+test("compareTables reports each side's write and read cost", () => {
+    const { mor, cow } = compareTables(run(ACTIONS).pair);
+    // MoR: 4000 + 2000 + 200 bytes of logs and a 1000-byte base file; its snapshot now reads the compacted base only
+    assert.deepEqual(mor, {
+        instants: 4,
+        bytesWritten: 7200,
+        filesWritten: 4,
+        logicalBytes: 4000,
+        writeAmplification: 1.8,
+        totalBytes: 7200,
+        obsoleteBytes: 6200,
+        fileCount: 4,
+        snapshotBytesRead: 1000,
+        snapshotFilesRead: 1,
+        readAmplification: 1,
+        snapshotRows: 1,
+    });
+    // CoW: every write rewrites the base file (2000, 2000, 1000 bytes)
+    assert.deepEqual(cow, {
+        instants: 3,
+        bytesWritten: 5000,
+        filesWritten: 3,
+        logicalBytes: 4000,
+        writeAmplification: 1.25,
+        totalBytes: 5000,
+        obsoleteBytes: 4000,
+        fileCount: 3,
+        snapshotBytesRead: 1000,
+        snapshotFilesRead: 1,
+        readAmplification: 1,
+        snapshotRows: 1,
+    });
+});
+
+test("an action only one side accepts leaves the other side unchanged, and one neither accepts throws", () => {
+    const { pair } = run([]);
+    const { pair: next, results } = applyToPair(pair, { type: "scheduleCompaction" });
+    assert.match(results.mor.error, /Nothing to compact/);
+    assert.equal(next.mor, pair.mor);
+    assert.throws(() => applyToPair(pair, { type: "nope" }), /Unknown table action/);
+});
@@ -0,0 +1,76 @@
+import { deflateSync } from "fflate";
+import { createTable, applyAction } from "../src/engine/index.js";
+
+// A small table keyed on `id`, partitioned by `part`, ordered by `ts`
+export const CONFIG = { name: "t", recordKeyField: "id", partitionPathField: "part", precombineField: "ts", keyGenerator: "SIMPLE", hiveStylePartitioning: true, version: 6 };
+
+export const newTable = (options = {}) => createTable({ storage: "mor", config: CONFIG, partitions: [], ...options });
+
+export const row = (id, part = "a", ts = 1, extra = {}) => ({ id, part, ts, ...extra });
+
+// Instant times one second apart from a fixed start: instant(0) = '20240101000000000', instant(1) = '20240101000001000', ...
+export const instant = (n) => `2024010100${String(Math.floor(n / 60)).padStart(2, "0")}${String(n % 60).padStart(2, "0")}000`;
+
+// Apply actions in order, returning the final table
+export const applyAll = (table, actions) => actions.reduce((t, action) => applyAction(t, action).table, table);
+
+// An Avro object container file holding `records` (the binary encoding only as far as Hudi's plans need it: unions
+// take their first branch that fits the value), optionally deflated
+export function avroContainer(schema, records, codec = "null") {
+    const out = [];
+    const long = (n) => {
+        let z = n >= 0 ? n * 2 : -n * 2 - 1;
+        do {
+            const b = z % 128;
+            z = Math.floor(z / 128);
+            out.push(z > 0 ? b | 0x80 : b);
+        } while (z > 0);
+    };
+    const bytes = (b) => {
+        long(b.length);
+        out.push(...b);
+    };
+    const string = (s) => bytes(new TextEncoder().encode(s));
+    const names = new Map();
+    const fits = (type, v) => (type === "null" ? v === null : v !== null);
+    const write = (type, v) => {
+        if (typeof type === "string" && names.has(type)) return write(names.get(type), v);
+        if (Array.isArray(type)) {
+            const idx = type.findIndex((t) => fits(t, v));
+            long(idx);
+            return write(type[idx], v);
+        }
+        if (type === "null") return;
+        if (type === "boolean") return out.push(v ? 1 : 0);
+        if (type === "int" || type === "long") return long(v);
+        if (type === "string") return string(v);
+        if (type === "bytes") return bytes(v);
+        if (type.type === "record") {
+            names.set(type.name, type);
+            return type.fields.forEach((f) => write(f.type, v[f.name] ?? null));
+        }
+        if (type.type === "enum") return long(type.symbols.indexOf(v));
+        if (type.type === "array" || type.type === "map") {
+            // one block holding every item, then the empty block that ends the list
+            const items = type.type === "array" ? v.map((item) => [null, item]) : Object.entries(v);
+            if (items.length > 0) long(items.length);
+            items.forEach(([key, item]) => {
+                if (key !== null) string(key);
+                write(type.items || type.values, item);
+            });
+            return long(0);
+        }
+        throw new Error(`unsupported type ${JSON.stringify(type)}`);
+    };
+    const sync = Array.from({ length: 16 }, (_, i) => i * 7);
+    out.push(0x4f, 0x62, 0x6a, 0x01);
+    write({ type: "map", values: "bytes" }, { "avro.schema": new TextEncoder().encode(JSON.stringify(schema)), "avro.codec": new TextEncoder().encode(codec) });
+    out.push(...sync);
+    const header = out.splice(0);
+    records.forEach((r) => write(schema, r));
+    const body = codec === "deflate" ? deflateSync(new Uint8Array(out.splice(0))) : out.splice(0);
+    long(records.length);
+    bytes(body);
+    out.push(...sync);
+    return new Uint8Array([...header, ...out]);
+}
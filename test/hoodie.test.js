@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, tableFiles, loadTable, baseFilesOf, timeTravelError, savepointsOf } from "../src/engine/index.js";
+import { newTable, row, instant, applyAll, avroContainer } from "./helpers.js";
+
+const commits = (n) => Array.from({ length: n }, (_, i) => ({ type: "commit", records: [row(1, "a", i + 1)], instantTime: instant(i + 1) }));
+
+// A CoW table whose clean deleted the first two base files
+const cleaned = () =>
+        applyAction(applyAll(newTable({ storage: "cow", cleaner: { policy: "KEEP_LATEST_FILE_VERSIONS", fileVersionsRetained: 1 } }), commits(3)), {
+            type: "clean",
+            instantTime: instant(10),
+        }).table;
+
+// The parts of Hudi's HoodieCleanerPlan and HoodieCleanMetadata schemas a clean needs
+const ACTION_INSTANT = { type: "record", name: "HoodieActionInstant", fields: [{ name: "timestamp", type: "string" }, { name: "action", type: "string" }, { name: "state", type: "string" }] };
+const CLEANER_PLAN = {
+    type: "record",
+    name: "HoodieCleanerPlan",
+    namespace: "org.apache.hudi.avro.model",
+    fields: [
+        { name: "earliestInstantToRetain", type: ["null", ACTION_INSTANT] },
+        { name: "policy", type: "string" },
+        { name: "filesToBeDeletedPerPartition", type: ["null", { type: "map", values: { type: "array", items: "string" } }] },
+        { name: "version", type: ["int", "null"] },
+        {
+            name: "filePathsToBeDeletedPerPartition",
+            type: ["null", { type: "map", values: { type: "array", items: { type: "record", name: "HoodieCleanFileInfo", fields: [{ name: "filePath", type: ["null", "string"] }, { name: "isBootstrapBaseFile", type: ["null", "boolean"] }] } } }],
+        },
+    ],
+};
+const CLEAN_METADATA = {
+    type: "record",
+    name: "HoodieCleanMetadata",
+    namespace: "org.apache.hudi.avro.model",
+    fields: [
+        { name: "startCleanTime", type: "string" },
+        { name: "timeTakenInMillis", type: "long" },
+        { name: "totalFilesDeleted", type: "int" },
+        { name: "earliestCommitToRetain", type: "string" },
+        {
+            name: "partitionMetadata",
+            type: {
+                type: "map",
+                values: {
+                    type: "record",
+                    name: "HoodieCleanPartitionMetadata",
+                    fields: ["partitionPath", "policy"].map((name) => ({ name, type: "string" })).concat(
+                            ["deletePathPatterns", "successDeleteFiles", "failedDeleteFiles"].map((name) => ({ name, type: { type: "array", items: "string" } }))
+                    ),
+                },
+            },
+        },
+        { name: "version", type: ["int", "null"] },
+    ],
+};
+
+// The table's files with the clean's plan and metadata rewritten as Avro, the way Hudi writes them
+const withAvroClean = (files, codec) => {
+    const clean = `.hoodie/${instant(10)}.clean`;
+    return {
+        ...files,
+        [`${clean}.requested`]: avroContainer(CLEANER_PLAN, [JSON.parse(files[`${clean}.requested`])], codec),
+        [`${clean}.inflight`]: avroContainer(CLEANER_PLAN, [JSON.parse(files[`${clean}.inflight`])], codec),
+        [clean]: avroContainer(CLEAN_METADATA, [JSON.parse(files[clean])], codec),
+    };
+};
+
+test("an exported table loads back with the same file slices", () => {
+    const table = cleaned();
+    const { table: loaded } = loadTable(tableFiles(table));
+    assert.deepEqual(baseFilesOf(loaded.fileGroups[0]).map((f) => f.name), baseFilesOf(table.fileGroups[0]).map((f) => f.name));
+    assert.equal(loaded.timeline.length, table.timeline.length);
+});
+
+test("a savepoint at the instant time of the commit it keeps loads next to that commit", () => {
+    const table = applyAll(newTable({ storage: "cow" }), [...commits(1), { type: "savepoint", target: instant(1), instantTime: instant(2) }]);
+    // Hudi names the savepoint after the commit it keeps
+    const files = Object.fromEntries(Object.entries(tableFiles(table)).map(([path, content]) => [path.replace(`${instant(2)}.savepoint`, `${instant(1)}.savepoint`), content]));
+    const { table: loaded } = loadTable(files);
+    assert.deepEqual(loaded.timeline.map((i) => `${i.type}@${i.instantTime}`), [`savepoint@${instant(1)}`, `commit@${instant(1)}`]);
+    assert.equal(loaded.fileGroups.length, 1);
+    assert.equal(loaded.timeline[0].savepointedInstant, instant(1));
+    assert.ok(savepointsOf(loaded.timeline).has(instant(1)));
+});
+
+for (const codec of ["null", "deflate"]) {
+    test(`Avro clean plans and metadata (${codec} codec) are decoded, not skipped`, () => {
+        const table = cleaned();
+        const { table: loaded, warnings } = loadTable(withAvroClean(tableFiles(table), codec));
+        assert.deepEqual(warnings, []);
+        const clean = loaded.timeline.find((i) => i.type === "clean");
+        assert.deepEqual(clean.plan.filesToDelete, table.timeline[0].plan.filesToDelete);
+        assert.equal(clean.plan.slices.length, 2);
+        assert.equal(baseFilesOf(loaded.fileGroups[0]).length, 1);
+        assert.ok(timeTravelError(loaded.timeline, instant(1)));
+    });
+}
+
+test("Avro metadata that cannot be decoded fails the load", () => {
+    const files = withAvroClean(tableFiles(cleaned()), "null");
+    const clean = `.hoodie/${instant(10)}.clean`;
+    assert.throws(() => loadTable({ ...files, [clean]: files[clean].slice(0, files[clean].length - 20) }), /cannot be decoded/);
+    assert.throws(() => loadTable({ ...files, [clean]: avroContainer(CLEAN_METADATA, [], "snappy") }), /unsupported Avro codec snappy/);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRecords, checkRecords } from "../src/engine/index.js";
+import { CONFIG } from "./helpers.js";
+
+test("a UTF-8 byte order mark does not end up in the first CSV header", () => {
+    const { records, columns } = parseRecords("\uFEFFid,part,ts\n1,a,5\n", "csv");
+    assert.deepEqual(columns.map((c) => c.name), ["id", "part", "ts"]);
+    assert.deepEqual(records, [{ id: 1, part: "a", ts: 5 }]);
+});
+
+test("rows without a record key are rejected, with or without configured key fields", () => {
+    const records = [{ id: 1, part: "a" }, { part: "a" }, { id: "", part: "a" }];
+    const dataset = { key: "id", partitionBy: (r) => `part=${r.part}` };
+    for (const config of [CONFIG, { ...CONFIG, recordKeyField: "" }]) {
+        const { valid, issues } = checkRecords(records, config, { dataset });
+        assert.deepEqual(valid, [records[0]]);
+        assert.deepEqual(issues.map((i) => [i.row, i.reason]), [[2, "key"], [3, "key"]]);
+    }
+});
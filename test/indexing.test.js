@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, readTable, bucketOf } from "../src/engine/index.js";
+import { newTable, row, instant, applyAll } from "./helpers.js";
+
+// Keys 1 and 3 in one file group of partition a, then an upsert of `records`; returns the table and the write's lookup
+const lookupOf = (index, records) => {
+    const table = applyAll(newTable({ index }), [{ type: "commit", records: [row(1), row(3)], instantTime: instant(1) }]);
+    const { table: written, instants } = applyAction(table, { type: "commit", records, instantTime: instant(2) });
+    return { table: written, group: table.fileGroups[0], lookup: instants[0].lookup };
+};
+
+test("a bloom false positive reads the file group even though the key is not in it", () => {
+    const { group, lookup } = lookupOf({ type: "BLOOM", bloomFpp: 0.99 }, [row(2)]);
+    assert.deepEqual(lookup.records.map(({ key, location, falsePositives }) => ({ key, location, falsePositives })), [{ key: "2", location: "insert", falsePositives: [group.id] }]);
+    const [probe] = lookup.probes;
+    assert.deepEqual({ bloomChecks: probe.bloomChecks, bloomHits: probe.bloomHits, falsePositives: probe.falsePositives, matches: probe.matches }, { bloomChecks: 1, bloomHits: 1, falsePositives: 1, matches: 0 });
+    assert.equal(lookup.keysRead, 2);
+    assert.equal(lookup.filesRead, group.slices.flatMap((s) => s.logFiles).length);
+    assert.ok(lookup.filesRead > 0);
+
+    // without false positives the same key is checked against the filter but nothing is read
+    const exact = lookupOf({ type: "BLOOM", bloomFpp: 0 }, [row(2)]).lookup;
+    assert.deepEqual(exact.records[0].falsePositives, []);
+    assert.equal(exact.probes[0].bloomChecks, 1);
+    assert.equal(exact.filesRead, 0);
+});
+
+test("BLOOM prunes file groups whose key range cannot hold the key before checking the filter", () => {
+    const { lookup } = lookupOf({ type: "BLOOM", bloomFpp: 0.99 }, [row(0), row(5)]);
+    const [probe] = lookup.probes;
+    assert.equal(probe.rangePruned, 2);
+    assert.equal(probe.bloomChecks, 0);
+    assert.equal(lookup.filesRead, 0);
+    assert.ok(lookup.records.every((r) => r.location === "insert" && r.falsePositives.length === 0));
+
+    // a key inside the range that the group holds is a bloom hit and a match
+    const hit = lookupOf({ type: "BLOOM", bloomFpp: 0 }, [row(3, "a", 2)]).lookup;
+    assert.deepEqual([hit.probes[0].bloomHits, hit.probes[0].matches, hit.probes[0].falsePositives], [1, 1, 0]);
+    assert.equal(hit.records[0].location, "update");
+});
+
+test("the BUCKET index routes a key to its bucket's file group without reading any file", () => {
+    const index = { type: "BUCKET", numBuckets: 4 };
+    const sameBucket = Array.from({ length: 20 }, (_, i) => i + 10).find((id) => bucketOf(`${id}`, 4) === bucketOf("1", 4));
+    const { table, lookup } = lookupOf(index, [row(1, "a", 2), row(sameBucket)]);
+    const holder = table.fileGroups.find((fg) => fg.partition === "part=a" && fg.bucket === bucketOf("1", 4));
+    assert.deepEqual(lookup.records.map(({ key, location, fileGroupId, bucket }) => ({ key, location, fileGroupId, bucket })), [
+        { key: "1", location: "update", fileGroupId: holder.id, bucket: bucketOf("1", 4) },
+        { key: `${sameBucket}`, location: "insert", fileGroupId: holder.id, bucket: bucketOf("1", 4) },
+    ]);
+    assert.deepEqual(lookup.probes, []);
+    assert.equal(lookup.filesRead, 0);
+    assert.ok(holder.fileId.startsWith(`${holder.bucket}`.padStart(8, "0")));
+    // one file group per bucket in use
+    assert.equal(new Set(table.fileGroups.map((fg) => fg.bucket)).size, table.fileGroups.length);
+});
+
+test("a GLOBAL index keeps an update in the partition that already holds the key", () => {
+    const seed = (scope) => applyAll(newTable({ index: { type: "SIMPLE", scope } }), [{ type: "commit", records: [row(1), row(2, "b")], instantTime: instant(1) }]);
+    const move = { type: "commit", records: [row(1, "b", 2)], instantTime: instant(2) };
+
+    const { table, instants } = applyAction(seed("GLOBAL"), move);
+    const [placed] = instants[0].lookup.records;
+    assert.deepEqual([placed.location, placed.partition], ["update", "part=a"]);
+    const ones = readTable(table).snapshot.filter((r) => r._hoodie_record_key === "1");
+    assert.deepEqual(ones.map((r) => [r._hoodie_partition_path, r.ts]), [["part=a", 2]]);
+    // both partitions were in scope of the lookup
+    assert.equal(instants[0].lookup.probes.length, 2);
+
+    // a partitioned index only looks in part=b and inserts a second copy of the key there
+    const partitioned = applyAction(seed("PARTITIONED"), move);
+    assert.equal(partitioned.instants[0].lookup.records[0].location, "insert");
+    assert.deepEqual(readTable(partitioned.table).snapshot.filter((r) => r._hoodie_record_key === "1").map((r) => r._hoodie_partition_path).sort(), ["part=a", "part=b"]);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, storageMetricsOf } from "../src/engine/index.js";
+import { newTable, row, instant } from "./helpers.js";
+
+// 1000 bytes per record in a base file, twice that in a log file, a tenth of it per delete tombstone
+const SIZING = { recordSizeEstimate: 1000, logCompressionRatio: 0.5 };
+
+const pick = (metrics, keys) => Object.fromEntries(keys.map((k) => [k, metrics[k]]));
+const WRITE = ["bytesWritten", "filesWritten", "logicalBytes", "writeAmplification"];
+const STORAGE = ["totalBytes", "liveBytes", "obsoleteBytes", "fileCount", "liveFileCount", "snapshotRows", "readAmplification"];
+
+test("each instant records its write amplification and the table's read amplification right after it", () => {
+    const steps = [
+        // two inserts into one log file: 2 x 2000 bytes for 2 x 1000 logical bytes
+        [{ type: "commit", records: [row(1), row(2)], instantTime: instant(1) }, { bytesWritten: 4000, filesWritten: 1, logicalBytes: 2000, writeAmplification: 2 }, { totalBytes: 4000, liveBytes: 4000, obsoleteBytes: 0, fileCount: 1, liveFileCount: 1, snapshotRows: 2, readAmplification: 2 }],
+        // an update: another log file a snapshot read has to merge
+        [{ type: "commit", records: [row(1, "a", 2)], instantTime: instant(2) }, { bytesWritten: 2000, filesWritten: 1, logicalBytes: 1000, writeAmplification: 2 }, { totalBytes: 6000, liveBytes: 6000, obsoleteBytes: 0, fileCount: 2, liveFileCount: 2, snapshotRows: 2, readAmplification: 3 }],
+        // a delete writes only a tombstone, yet the read still scans every log file for one row
+        [{ type: "delete", keys: ["2"], instantTime: instant(3) }, { bytesWritten: 200, filesWritten: 1, logicalBytes: 1000, writeAmplification: 0.2 }, { totalBytes: 6200, liveBytes: 6200, obsoleteBytes: 0, fileCount: 3, liveFileCount: 3, snapshotRows: 1, readAmplification: 6.2 }],
+        // scheduling writes nothing
+        [{ type: "scheduleCompaction", instantTime: instant(4) }, { bytesWritten: 0, filesWritten: 0, logicalBytes: 0, writeAmplification: null }, { totalBytes: 6200, liveBytes: 6200, obsoleteBytes: 0, fileCount: 3, liveFileCount: 3, snapshotRows: 1, readAmplification: 6.2 }],
+        // compaction changes nothing logically; the logs become obsolete and a read scans one base file
+        [{ type: "runCompactions" }, { bytesWritten: 1000, filesWritten: 1, logicalBytes: 0, writeAmplification: null }, { totalBytes: 7200, liveBytes: 1000, obsoleteBytes: 6200, fileCount: 4, liveFileCount: 1, snapshotRows: 1, readAmplification: 1 }],
+    ];
+    steps.reduce((table, [action, write, storage]) => {
+        const { table: next, instants } = applyAction(table, action);
+        const [{ metrics }] = instants;
+        assert.deepEqual(pick(metrics, WRITE), write, action.type);
+        assert.deepEqual(pick(metrics, STORAGE), storage, action.type);
+        assert.deepEqual(storageMetricsOf(next), storage);
+        return next;
+    }, newTable({ fileSizing: SIZING }));
+});
+
+test("a CoW update rewrites the whole base file and leaves the old slice obsolete", () => {
+    const table = applyAction(newTable({ storage: "cow", fileSizing: SIZING }), { type: "commit", records: [row(1), row(2), row(3), row(4)], instantTime: instant(1) }).table;
+    const { table: next, instants } = applyAction(table, { type: "commit", records: [row(1, "a", 2)], instantTime: instant(2) });
+    assert.deepEqual(pick(instants[0].metrics, WRITE), { bytesWritten: 4000, filesWritten: 1, logicalBytes: 1000, writeAmplification: 4 });
+    assert.deepEqual(pick(storageMetricsOf(next), STORAGE), { totalBytes: 8000, liveBytes: 4000, obsoleteBytes: 4000, fileCount: 2, liveFileCount: 1, snapshotRows: 4, readAmplification: 1 });
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readTable } from "../src/engine/index.js";
+import { newTable, row, instant, applyAll } from "./helpers.js";
+
+const history = (storage) =>
+        applyAll(newTable({ storage }), [
+            { type: "commit", records: [row(1, "a", 1, { v: "one" }), row(2, "a", 1, { v: "two" })], instantTime: instant(1) },
+            { type: "commit", records: [row(1, "a", 2, { v: "one'" })], instantTime: instant(2) },
+            { type: "delete", keys: ["2"], instantTime: instant(3) },
+        ]);
+
+["mor", "cow"].forEach((storage) => {
+    test(`${storage}: a snapshot read merges updates and deletes`, () => {
+        const { snapshot, uniqueKeys } = readTable(history(storage));
+        assert.equal(uniqueKeys, 1);
+        assert.equal(snapshot[0].v, "one'");
+    });
+
+    test(`${storage}: time travel reads the table as of an instant`, () => {
+        const { snapshot } = readTable(history(storage), { asOf: instant(1) });
+        assert.deepEqual(snapshot.map((r) => r.v).sort(), ["one", "two"]);
+    });
+
+    test(`${storage}: an incremental read returns what an instant changed`, () => {
+        const table = history(storage);
+        assert.deepEqual(readTable(table, { asOf: instant(2) }).incremental.map((r) => r.v), ["one'"]);
+        assert.deepEqual(readTable(table, { asOf: instant(3) }).incrementalDeletes.map((d) => d.key), ["2"]);
+    });
+});
+
+test("the later version of a key wins by its ordering field, not by arrival", () => {
+    const table = applyAll(newTable(), [
+        { type: "commit", records: [row(1, "a", 5, { v: "new" })], instantTime: instant(1) },
+        { type: "commit", records: [row(1, "a", 3, { v: "late" })], instantTime: instant(2) },
+    ]);
+    assert.equal(readTable(table).snapshot[0].v, "new");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DATASETS, createTable, applyAction, createSource, seededRun, advanceRun, UNSEEDED_RUN } from "../src/engine/index.js";
+
+const dataset = DATASETS.nycTaxi;
+const config = { name: "t", recordKeyField: "trip_id", partitionPathField: "pickup_date", precombineField: "pickup_datetime", keyGenerator: "SIMPLE", hiveStylePartitioning: false, version: 6 };
+
+// Build a table from a seed: create, two commits of generated records, a compaction; the run is threaded through
+const build = (seed) => {
+    let run = seededRun(seed);
+    const step = (work) => {
+        const source = createSource(run);
+        const result = work(source);
+        run = source.state();
+        return result;
+    };
+    let table = step((source) => createTable({ storage: "mor", config }, source));
+    for (const n of [5, 5]) {
+        const records = step((source) => dataset.generate(n, undefined, [], source));
+        ({ table } = step((source) => applyAction(table, { type: "commit", op: "upsert", records, dataset }, source)));
+    }
+    ({ table } = step((source) => applyAction(table, { type: "scheduleCompaction" }, source)));
+    return table;
+};
+
+test("the same seed and the same actions build the same table", () => {
+    const table = build("demo");
+    assert.deepEqual(build("demo"), table);
+    assert.notDeepEqual(build("other"), table);
+    assert.equal(table.timeline.at(-1).instantTime, "20240101090000000");
+});
+
+test("sources over different runs do not draw from each other", () => {
+    const draws = (source) => Array.from({ length: 5 }, () => source.random());
+    const alone = draws(createSource(seededRun("a")));
+    const a = createSource(seededRun("a"));
+    const b = createSource(seededRun("b"));
+    const interleaved = alone.map(() => (b.random(), a.random()));
+    assert.deepEqual(interleaved, alone);
+});
+
+test("generated keys stay unique while the virtual clock stands still", () => {
+    const source = createSource(seededRun("demo"));
+    const keys = dataset.generate(50, { updateRatio: 0 }, [], source).map((r) => r.trip_id);
+    assert.equal(new Set(keys).size, keys.length);
+    assert.equal(source.now(), createSource(seededRun("demo")).now());
+});
+
+test("advancing a run moves its clock forward only", () => {
+    const run = seededRun("demo");
+    assert.equal(createSource(advanceRun(run, 3600 * 1000)).now() - createSource(run).now(), 3600 * 1000);
+    assert.throws(() => advanceRun(run, 0), /forward/);
+    assert.equal(createSource(advanceRun(UNSEEDED_RUN, 60 * 1000)).state().offset, 60 * 1000);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, readTable, baseFilesOf, logFilesOf, latestSlice } from "../src/engine/index.js";
+import { newTable, row, instant, applyAll } from "./helpers.js";
+
+const commits = (n, from = 1) => Array.from({ length: n }, (_, i) => ({ type: "commit", records: [row(1, "a", from + i)], instantTime: instant(from + i) }));
+
+test("compaction is scheduled with a plan, then writes a base file for the planned slice", () => {
+    const written = applyAll(newTable(), commits(2));
+    const scheduled = applyAction(written, { type: "scheduleCompaction", instantTime: instant(3) });
+    assert.equal(scheduled.instants[0].state, "REQUESTED");
+    assert.equal(scheduled.instants[0].plan.operations.length, 1);
+    assert.equal(latestSlice(scheduled.table.fileGroups[0]).pending, true);
+
+    const { table, instants } = applyAction(scheduled.table, { type: "runCompactions" });
+    assert.equal(instants[0].state, "COMPLETED");
+    const group = table.fileGroups[0];
+    assert.equal(baseFilesOf(group).at(-1).instantTime, instant(3));
+    assert.equal(latestSlice(group).logFiles.length, 0);
+    assert.deepEqual(readTable(table).snapshot.map((r) => r.ts), [2]);
+});
+
+test("compaction is rejected on CoW and when nothing needs compacting", () => {
+    assert.equal(applyAction(newTable({ storage: "cow" }), { type: "scheduleCompaction", instantTime: instant(1) }).instants.length, 0);
+    assert.throws(() => applyAction(newTable(), { type: "scheduleCompaction", instantTime: instant(1) }), /Nothing to compact/);
+});
+
+test("the inline compaction trigger fires after the configured delta commits", () => {
+    const table = applyAll(newTable({ compaction: { autoSchedule: true, trigger: "NUM_COMMITS", deltaCommits: 2, execution: "inline" } }), commits(2));
+    assert.ok(table.timeline.some((i) => i.type === "compaction" && i.state === "COMPLETED"));
+});
+
+test("KEEP_LATEST_FILE_VERSIONS cleans all but the latest slices", () => {
+    const cow = applyAll(newTable({ storage: "cow", cleaner: { policy: "KEEP_LATEST_FILE_VERSIONS", fileVersionsRetained: 1 } }), commits(3));
+    const { table, instants } = applyAction(cow, { type: "clean", instantTime: instant(10) });
+    assert.equal(instants[0].type, "clean");
+    assert.equal(instants[0].state, "COMPLETED");
+    assert.equal(baseFilesOf(table.fileGroups[0]).length, 1);
+    assert.throws(() => readTable(table, { asOf: instant(1) }));
+});
+
+test("KEEP_LATEST_COMMITS keeps every slice the retained commits read", () => {
+    const cow = applyAll(newTable({ storage: "cow", cleaner: { policy: "KEEP_LATEST_COMMITS", commitsRetained: 2 } }), commits(4));
+    const { table } = applyAction(cow, { type: "clean", instantTime: instant(10) });
+    assert.deepEqual(baseFilesOf(table.fileGroups[0]).map((f) => f.instantTime), [instant(3), instant(4)]);
+});
+
+test("a savepoint keeps its files through a clean", () => {
+    const cow = applyAll(newTable({ storage: "cow", cleaner: { policy: "KEEP_LATEST_FILE_VERSIONS", fileVersionsRetained: 1 } }), [
+        ...commits(1),
+        { type: "savepoint", target: instant(1), instantTime: instant(2) },
+        ...commits(2, 3),
+    ]);
+    const { table } = applyAction(cow, { type: "clean", instantTime: instant(10) });
+    assert.ok(baseFilesOf(table.fileGroups[0]).some((f) => f.instantTime === instant(1)));
+    assert.equal(readTable(table, { asOf: instant(1) }).snapshot[0].ts, 1);
+});
+
+test("a failed write stays INFLIGHT, is never read, and is rolled back", () => {
+    const failed = applyAll(newTable(), [...commits(1), { type: "commit", records: [row(1, "a", 9)], fail: true, instantTime: instant(2) }]);
+    assert.equal(failed.timeline[0].state, "INFLIGHT");
+    assert.equal(readTable(failed).snapshot[0].ts, 1);
+
+    const { table, instants } = applyAction(failed, { type: "rollback", instantTime: instant(3) });
+    assert.equal(instants[0].type, "rollback");
+    assert.equal(instants[0].rolledBack.instantTime, instant(2));
+    assert.ok(!table.timeline.some((i) => i.instantTime === instant(2)));
+    assert.ok(!logFilesOf(table.fileGroups[0]).some((lf) => lf.instantTime === instant(2)));
+});
+
+test("the next write rolls back failed writes first", () => {
+    const table = applyAll(newTable(), [...commits(1), { type: "commit", records: [row(2)], fail: true, instantTime: instant(2) }, ...commits(1, 5)]);
+    assert.deepEqual(table.timeline.map((i) => i.type).slice(0, 2), ["deltacommit", "rollback"]);
+});
+
+test("restore rolls the table back to a savepoint", () => {
+    const table = applyAll(newTable({ storage: "cow" }), [
+        ...commits(1),
+        { type: "savepoint", target: instant(1), instantTime: instant(2) },
+        ...commits(2, 3),
+        { type: "restore", savepoint: instant(1), instantTime: instant(6) },
+    ]);
+    assert.equal(table.timeline[0].type, "restore");
+    assert.deepEqual(readTable(table).snapshot.map((r) => r.ts), [1]);
+});
+
+test("clustering rewrites a partition's small file groups sorted into fewer ones and retires the replaced groups", () => {
+    // three file groups of two rows in part=a, one in part=b
+    const records = [row(1, "a", 6), row(2, "a", 5), row(3, "a", 4), row(4, "a", 3), row(5, "a", 2), row(6, "a", 1), row(7, "b")];
+    const written = applyAll(newTable({ storage: "cow", clustering: { sortColumns: ["ts"], smallFileRows: 5, targetFileRows: 4 } }), [
+        { type: "commit", op: "bulk_insert", parallelism: 3, records, instantTime: instant(1) },
+    ]);
+    const small = written.fileGroups.filter((fg) => fg.partition === "part=a");
+    assert.equal(small.length, 3);
+
+    const scheduled = applyAction(written, { type: "scheduleClustering", instantTime: instant(2) });
+    const [plan] = scheduled.instants[0].plan.inputGroups;
+    assert.equal(scheduled.instants[0].state, "REQUESTED");
+    // part=b's single group would not end with fewer groups, so only part=a is planned
+    assert.equal(scheduled.instants[0].plan.inputGroups.length, 1);
+    assert.deepEqual(plan, { partition: "part=a", fileGroupIds: small.map((fg) => fg.id), fileIds: small.map((fg) => fg.fileId), rows: 6, outputGroups: 2 });
+
+    const { table, instants } = applyAction(scheduled.table, { type: "runClustering" });
+    const [replace] = instants;
+    assert.equal(replace.state, "COMPLETED");
+    assert.deepEqual(replace.partitionToReplaceFileIds, { "part=a": small.map((fg) => fg.fileId) });
+    assert.ok(small.every((fg) => table.fileGroups.find((g) => g.id === fg.id).replacedBy === instant(2)));
+    const rewritten = table.fileGroups.filter((fg) => replace.newFileGroupIds.includes(fg.id));
+    assert.deepEqual(rewritten.map((fg) => baseFilesOf(fg)[0].rows), [3, 3]);
+    assert.deepEqual(rewritten.flatMap((fg) => latestSlice(fg).baseFile.records.map((r) => r.ts)), [1, 2, 3, 4, 5, 6]);
+
+    // snapshot reads skip the replaced groups; time travel before the replacecommit still reads them
+    const keys = (records) => records.map((r) => r._hoodie_record_key).sort();
+    const partB = written.fileGroups.filter((fg) => fg.partition === "part=b");
+    assert.deepEqual(keys(readTable(table).snapshot), keys([...rewritten, ...partB].flatMap((fg) => latestSlice(fg).baseFile.records)));
+    assert.equal(readTable(table).snapshot.length, 7);
+    assert.deepEqual(readTable(table, { asOf: instant(1) }).snapshot, readTable(written).snapshot);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync, strToU8 } from "fflate";
+import { DATASETS, DEFAULT_CUSTOM_MERGE, createTable, applyAction, readTable, generateWorkload, tableDatasetOf, createSource, seededRun, serializeSession, parseSession, actionStep, encodeScenario, decodeScenario, replayScenario, openScenarioLink, customMergeCodeOf, withStep, HISTORY_ROWS_LIMIT } from "../src/engine/index.js";
+
+const dataset = DATASETS.nycTaxi;
+const options = { storage: "mor", config: { name: "t", recordKeyField: "trip_id", partitionPathField: "pickup_date", precombineField: "pickup_datetime", keyGenerator: "SIMPLE", hiveStylePartitioning: false, version: 6 } };
+const workload = { updateRatio: 0.5 };
+
+// What the app does for: create in a seeded run, generate 10, commit, generate 10, commit; with the history it records
+function seededSession() {
+    let run = seededRun("demo");
+    const history = { start: { options, comparison: false, run, ingestBuffer: [] }, steps: [] };
+    const withSource = (work) => {
+        const source = createSource(run);
+        const result = work(source);
+        run = source.state();
+        return result;
+    };
+    let table = withSource((source) => createTable(options, source));
+    for (let i = 0; i < 2; i++) {
+        const records = withSource((source) => generateWorkload(tableDatasetOf(table.config, dataset), 10, workload, readTable(table).snapshot, source));
+        history.steps.push({ type: "generate", count: 10, workload, datasetKey: "nycTaxi" });
+        const action = { type: "commit", op: "upsert", records, dataset };
+        history.steps.push(actionStep(action, "nycTaxi"));
+        ({ table } = withSource((source) => applyAction(table, action, source)));
+    }
+    return { datasetKey: "nycTaxi", schemas: [], workload, table, twin: null, ingestBuffer: [], run, history };
+}
+
+test("a scenario link replays a seeded session to the same table", () => {
+    const session = seededSession();
+    const encoded = encodeScenario(session);
+    const replayed = replayScenario(decodeScenario(encoded));
+    assert.deepEqual(replayed.table, session.table);
+    assert.deepEqual(replayed.run, session.run);
+    assert.ok(encoded.length < 1000, `link of ${encoded.length} characters`);
+});
+
+test("commit steps leave their records out", () => {
+    const [, commit] = seededSession().history.steps;
+    assert.deepEqual(commit, { type: "action", action: { type: "commit", op: "upsert" }, datasetKey: "nycTaxi" });
+});
+
+test("links and sessions from before histories start from their tables", () => {
+    const table = JSON.parse(JSON.stringify(seededSession().table)); // as stored: without undefined fields
+    const legacy = { format: "hudi-visualizer-session", version: 1, datasetKey: "nycTaxi", table, twin: null, ingestBuffer: [] };
+    const encoded = Buffer.from(deflateSync(strToU8(JSON.stringify(legacy)))).toString("base64url");
+    assert.deepEqual(replayScenario(decodeScenario(encoded)).table, table);
+    assert.deepEqual(parseSession(JSON.stringify(legacy)).history.start.table, table);
+});
+
+test("a session round trip keeps its history", () => {
+    const session = seededSession();
+    assert.deepEqual(parseSession(serializeSession(session)).history, session.history);
+});
+
+test("custom merge code is found in tables and in merge mode steps", () => {
+    const session = seededSession();
+    assert.deepEqual(customMergeCodeOf(session), []);
+    const custom = "return incoming;";
+    session.history.steps.push(actionStep({ type: "setMergeMode", mode: "CUSTOM", customCode: custom }, "nycTaxi"));
+    session.history.steps.push(actionStep({ type: "setMergeMode", mode: "CUSTOM", customCode: DEFAULT_CUSTOM_MERGE }, "nycTaxi"));
+    assert.deepEqual(customMergeCodeOf(decodeScenario(encodeScenario(session))), [custom]);
+    const table = { ...session.table, merge: { mode: "CUSTOM", customCode: "return stored;" } };
+    assert.deepEqual(customMergeCodeOf({ ...session, table }), ["return stored;", custom]);
+});
+
+test("a damaged or truncated link falls back to the saved session", () => {
+    const saved = seededSession();
+    const encoded = encodeScenario(saved);
+    const truncated = openScenarioLink(encoded.slice(0, encoded.length / 2), saved, () => true);
+    assert.equal(truncated.session, saved);
+    assert.match(truncated.error, /damaged or truncated/);
+    assert.deepEqual(openScenarioLink("not-a-link", null, () => true), { session: null, error: "The scenario link is damaged or truncated" });
+    const declined = openScenarioLink(encoded, saved, () => false);
+    assert.deepEqual(declined, { session: saved, error: null });
+    assert.deepEqual(openScenarioLink(encoded, null, () => true).session.table, saved.table);
+});
+
+test("rows steps merge, and a history past the row limit starts over from where the session stands", () => {
+    const session = seededSession();
+    const rows = (n) => Array.from({ length: n }, (_, i) => ({ trip_id: `r${i}` }));
+    let history = withStep(session.history, { type: "rows", rows: rows(2) }, session);
+    history = withStep(history, { type: "rows", rows: rows(3) }, session);
+    assert.equal(history.steps.length, session.history.steps.length + 1);
+    assert.equal(history.steps.at(-1).rows.length, 5);
+    const buffered = rows(HISTORY_ROWS_LIMIT);
+    const restarted = withStep(history, { type: "rows", rows: buffered }, { ...session, ingestBuffer: buffered });
+    assert.deepEqual(restarted, { start: { table: session.table, twin: null, run: session.run, ingestBuffer: buffered }, steps: [] });
+    assert.deepEqual(replayScenario({ ...session, history: restarted }).table, session.table);
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, readTable, baseFilesOf, logFilesOf, tableFiles, loadTable, planInserts } from "../src/engine/index.js";
+import { newTable, row, instant, applyAll } from "./helpers.js";
+
+test("a MoR upsert appends one log file per touched file group", () => {
+    const t1 = applyAll(newTable(), [{ type: "commit", records: [row(1), row(2, "b")], instantTime: instant(1) }]);
+    const { table, instants } = applyAction(t1, { type: "commit", records: [row(1, "a", 2)], instantTime: instant(2) });
+    assert.equal(instants.length, 1);
+    assert.equal(instants[0].type, "deltacommit");
+    assert.equal(instants[0].state, "COMPLETED");
+    assert.equal(instants[0].updates, 1);
+    const group = table.fileGroups.find((fg) => fg.partition === "part=a");
+    assert.equal(baseFilesOf(group).length, 0);
+    assert.deepEqual(logFilesOf(group).map((lf) => lf.instantTime), [instant(1), instant(2)]);
+});
+
+test("a CoW upsert rewrites the base file into a new slice", () => {
+    const table = applyAll(newTable({ storage: "cow" }), [
+        { type: "commit", records: [row(1), row(2)], instantTime: instant(1) },
+        { type: "commit", records: [row(2, "a", 5)], instantTime: instant(2) },
+    ]);
+    assert.equal(table.timeline[0].type, "commit");
+    const [group] = table.fileGroups;
+    assert.deepEqual(group.slices.map((s) => s.baseInstant), [instant(1), instant(2)]);
+    assert.equal(group.slices[1].baseFile.rows, 2);
+    assert.equal(logFilesOf(group).length, 0);
+});
+
+test("applyAction leaves its input table untouched", () => {
+    const before = newTable();
+    const frozen = JSON.stringify(before);
+    applyAction(before, { type: "commit", records: [row(1)], instantTime: instant(1) });
+    assert.equal(JSON.stringify(before), frozen);
+});
+
+test("invalid actions throw", () => {
+    assert.throws(() => applyAction(newTable(), { type: "nope" }), /Unknown table action/);
+    assert.throws(() => applyAction(newTable({ storage: "cow" }), { type: "commit", records: [row(1)], op: "merge", instantTime: instant(1) }), /Unknown write operation/);
+});
+
+test("deletes write tombstones on MoR", () => {
+    const table = applyAll(newTable(), [
+        { type: "commit", records: [row(1), row(2)], instantTime: instant(1) },
+        { type: "delete", keys: ["1"], instantTime: instant(2) },
+    ]);
+    const deletes = logFilesOf(table.fileGroups[0]).filter((lf) => lf.block === "delete");
+    assert.equal(deletes.length, 1);
+    assert.deepEqual(table.timeline[0].deletedKeys.map((d) => d.key), ["1"]);
+});
+
+test("index and cleaner settings are written to hoodie.properties and read back", () => {
+    const table = newTable({ index: { type: "BUCKET", numBuckets: 8 }, cleaner: { policy: "KEEP_LATEST_FILE_VERSIONS", fileVersionsRetained: 2 } });
+    const properties = tableFiles(table)[".hoodie/hoodie.properties"];
+    assert.match(properties, /^hoodie\.index\.type=BUCKET$/m);
+    assert.match(properties, /^hoodie\.bucket\.index\.num\.buckets=8$/m);
+    assert.match(properties, /^hoodie\.cleaner\.policy=KEEP_LATEST_FILE_VERSIONS$/m);
+    assert.match(properties, /^hoodie\.cleaner\.fileversions\.retained=2$/m);
+    const { table: loaded } = loadTable({ ".hoodie/hoodie.properties": properties });
+    assert.deepEqual(loaded.index, table.index);
+    assert.deepEqual(loaded.cleaner, table.cleaner);
+});
+
+test("index and cleaner cannot be changed after creation", () => {
+    assert.throws(() => applyAction(newTable(), { type: "setIndex", indexType: "BLOOM" }));
+    assert.throws(() => applyAction(newTable(), { type: "setCleaner", policy: "KEEP_LATEST_COMMITS" }));
+});
+
+// Two partitions, one file group each
+const seeded = (options = {}) => applyAll(newTable(options), [{ type: "commit", records: [row(1), row(2, "b")], instantTime: instant(1) }]);
+const live = (table) => table.fileGroups.filter((fg) => !fg.replacedBy);
+const keysOf = (table) => readTable(table).snapshot.map((r) => r._hoodie_record_key).sort();
+
+test("bulk_insert writes base files into new file groups and leaves existing ones alone", () => {
+    const before = seeded();
+    const { table, instants } = applyAction(before, { type: "commit", op: "bulk_insert", parallelism: 2, records: [row(1, "a", 5), row(3), row(4), row(5)], instantTime: instant(2) });
+    assert.equal(instants[0].type, "deltacommit");
+    assert.equal(instants[0].newFileGroupIds.length, 2);
+    const created = table.fileGroups.filter((fg) => instants[0].newFileGroupIds.includes(fg.id));
+    assert.ok(created.every((fg) => fg.partition === "part=a" && baseFilesOf(fg).length === 1 && logFilesOf(fg).length === 0));
+    assert.deepEqual(table.fileGroups.slice(0, 2), before.fileGroups);
+    // no index lookup: key 1 is now in two file groups
+    assert.deepEqual(keysOf(table), ["1", "1", "2", "3", "4", "5"]);
+});
+
+test("bulk_insert opens more file groups than its parallelism when files would pass the max file size", () => {
+    const table = newTable({ storage: "cow", fileSizing: { maxFileSize: 4096, smallFileLimit: 2048, recordSizeEstimate: 1024 } });
+    const records = Array.from({ length: 10 }, (_, i) => row(i));
+    const { table: written, instants } = applyAction(table, { type: "commit", op: "bulk_insert", parallelism: 2, records, instantTime: instant(1) });
+    assert.equal(instants[0].newFileGroupIds.length, 3);
+    assert.ok(written.fileGroups.every((fg) => baseFilesOf(fg)[0].rows <= 4));
+    assert.equal(readTable(written).snapshot.length, 10);
+    assert.throws(() => applyAction(table, { type: "commit", op: "bulk_insert", parallelism: 0, records, instantTime: instant(1) }), /parallelism/);
+});
+
+test("insert_overwrite replaces the file groups of the partitions it writes", () => {
+    const before = seeded();
+    const { table, instants } = applyAction(before, { type: "commit", op: "insert_overwrite", parallelism: 1, records: [row(7)], instantTime: instant(2) });
+    const [replace] = instants;
+    assert.equal(replace.type, "replacecommit");
+    assert.deepEqual(replace.partitionToReplaceFileIds, { "part=a": [before.fileGroups[0].fileId] });
+    assert.equal(table.fileGroups[0].replacedBy, instant(2));
+    assert.equal(live(table).length, 2);
+    assert.deepEqual(keysOf(table), ["2", "7"]);
+    // time travel before the replacecommit still reads the replaced group
+    assert.deepEqual(readTable(table, { asOf: instant(1) }).snapshot.map((r) => r._hoodie_record_key).sort(), ["1", "2"]);
+});
+
+test("insert_overwrite_table replaces every file group of the table", () => {
+    const before = seeded();
+    const { table, instants } = applyAction(before, { type: "commit", op: "insert_overwrite_table", parallelism: 1, records: [row(7)], instantTime: instant(2) });
+    assert.deepEqual(instants[0].replacedFileIds.sort(), before.fileGroups.map((fg) => fg.fileId).sort());
+    assert.equal(live(table).length, 1);
+    assert.deepEqual(keysOf(table), ["7"]);
+});
+
+test("delete_partition retires a partition's file groups without writing data", () => {
+    const before = seeded();
+    const { table, instants } = applyAction(before, { type: "deletePartition", partitions: ["part=b"], instantTime: instant(2) });
+    assert.equal(instants[0].type, "replacecommit");
+    assert.equal(instants[0].operation, "delete_partition");
+    assert.deepEqual(instants[0].partitionToReplaceFileIds, { "part=b": [before.fileGroups[1].fileId] });
+    assert.deepEqual(keysOf(table), ["1"]);
+    assert.throws(() => applyAction(table, { type: "deletePartition", partitions: ["part=b"], instantTime: instant(3) }), /No live file groups/);
+});
+
+test("under the BUCKET index overwrites write one file group per bucket, and bulk_insert keeps out of bucketed partitions", () => {
+    const before = seeded({ index: { type: "BUCKET", numBuckets: 4 } });
+    const records = Array.from({ length: 12 }, (_, i) => row(i + 10));
+    const { table, instants } = applyAction(before, { type: "commit", op: "insert_overwrite", parallelism: 1, records, instantTime: instant(2) });
+    const created = table.fileGroups.filter((fg) => instants[0].newFileGroupIds.includes(fg.id));
+    assert.ok(created.length > 1 && created.length <= 4);
+    assert.equal(new Set(created.map((fg) => fg.bucket)).size, created.length);
+    assert.ok(created.every((fg) => fg.fileId.startsWith(`${fg.bucket}`.padStart(8, "0"))));
+    assert.throws(() => applyAction(table, { type: "commit", op: "bulk_insert", records: [row(30)], instantTime: instant(3) }), /buckets already exist/);
+    assert.doesNotThrow(() => applyAction(table, { type: "commit", op: "bulk_insert", records: [row(30, "c")], instantTime: instant(3) }));
+});
+
+// 4 records per file; groups under 3 records are small
+const SIZING = { maxFileSize: 4096, smallFileLimit: 3072, recordSizeEstimate: 1024 };
+
+test("new keys top up small file groups to the max file size before new groups open", () => {
+    const candidates = [{ fileGroupId: "fg1", rows: 1 }, { fileGroupId: "fg2", rows: 3 }, { fileGroupId: "fg3", rows: 2 }];
+    assert.deepEqual(planInserts(SIZING, candidates, 10), [
+        { fileGroupId: "fg1", rows: 1, records: 3 },
+        { fileGroupId: "fg3", rows: 2, records: 2 },
+        { fileGroupId: null, rows: 0, records: 4 },
+        { fileGroupId: null, rows: 0, records: 1 },
+    ]);
+    // fewer new keys than the small groups have room for open nothing
+    assert.deepEqual(planInserts(SIZING, candidates, 2), [{ fileGroupId: "fg1", rows: 1, records: 2 }]);
+});
+
+test("an upsert of new keys fills the partition's small file group and never grows a group past the max file size", () => {
+    const table = applyAll(newTable({ storage: "cow", fileSizing: SIZING }), [{ type: "commit", records: [row(1), row(2)], instantTime: instant(1) }]);
+    const { table: written, instants } = applyAction(table, { type: "commit", records: Array.from({ length: 7 }, (_, i) => row(i + 3)), instantTime: instant(2) });
+    const [small] = table.fileGroups;
+    assert.deepEqual(instants[0].insertPlacement.groups.map(({ fileGroupId, rowsBefore, records, newGroup }) => ({ fileGroupId, rowsBefore, records, newGroup })), [
+        { fileGroupId: small.id, rowsBefore: 2, records: 2, newGroup: false },
+        { fileGroupId: written.fileGroups[1].id, rowsBefore: 0, records: 4, newGroup: true },
+        { fileGroupId: written.fileGroups[2].id, rowsBefore: 0, records: 1, newGroup: true },
+    ]);
+    assert.equal(instants[0].insertPlacement.recordsPerFile, 4);
+    assert.deepEqual(written.fileGroups.map((fg) => baseFilesOf(fg).at(-1).rows), [4, 4, 1]);
+    // the full group is left alone by the next insert; the one-row group is topped up
+    const next = applyAction(written, { type: "commit", records: [row(20), row(21)], instantTime: instant(3) });
+    assert.deepEqual(next.instants[0].insertPlacement.groups.map((g) => [g.fileGroupId, g.records]), [[written.fileGroups[2].id, 2]]);
+    assert.ok(next.table.fileGroups.every((fg) => baseFilesOf(fg).at(-1).rows <= 4));
+});
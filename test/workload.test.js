@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateWorkload, validateSchema, DEFAULT_SCHEMA } from "../src/engine/index.js";
+
+// A minimal dataset spec with a numeric ordering field
+const spec = {
+    key: "id",
+    orderingField: "version",
+    partitionField: "part",
+    partitionValues: () => ["a"],
+    partitionBy: (r) => `part=${r.part}`,
+    makeRecord: (i, part) => ({ id: `k${i}`, part, version: 1 }),
+    updateRecord: (prev) => ({ ...prev, version: prev.version + 1 }),
+};
+
+test("late arrivals on a numeric ordering field go back numerically", () => {
+    const rows = generateWorkload(spec, 5, { updateRatio: 1, lateRatio: 1, lateByMinutes: 3 }, [{ id: "k0", part: "a", version: 10 }]);
+    assert.deepEqual(rows.map((r) => r.version), [7, 7, 7, 7, 7]);
+});
+
+test("late arrivals on a timestamp ordering field go back in minutes", () => {
+    const timed = { ...spec, orderingField: "ts", updateRecord: (prev) => ({ ...prev }) };
+    const [row] = generateWorkload(timed, 1, { updateRatio: 1, lateRatio: 1, lateByMinutes: 30 }, [{ id: "k0", part: "a", ts: "2024-01-01T10:00:00.000Z" }]);
+    assert.equal(new Date(row.ts).toISOString(), "2024-01-01T09:30:00.000Z");
+});
+
+test("ordering values that are neither times nor numbers do not arrive late", () => {
+    const labelled = { ...spec, orderingField: "kind", updateRecord: (prev) => ({ ...prev }) };
+    const rows = generateWorkload(labelled, 2, { updateRatio: 1, lateRatio: 1 }, [{ id: "k0", part: "a", kind: "TEMP" }, { id: "k1", part: "a", kind: "abc" }]);
+    rows.forEach((r) => assert.equal(r.kind, r.id === "k0" ? "TEMP" : "abc"));
+});
+
+test("a schema's ordering field must be a timestamp or a number", () => {
+    assert.doesNotThrow(() => validateSchema({ ...DEFAULT_SCHEMA, orderingField: "temperature" }));
+    for (const field of ["device", "reading_id"]) {
+        assert.throws(() => validateSchema({ ...DEFAULT_SCHEMA, orderingField: field }), /must be a timestamp or a number/);
+    }
+});